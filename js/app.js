@@ -6,39 +6,55 @@
 // Copyright © 2025 [Hassan Ashraf]
 
 import { VideoManager } from "./video.js";
-import { TimelineManager } from "./timeline.js";
+import { TimelineManager, createDefaultTracks } from "./timeline.js";
+import { SequenceManager } from "./sequences.js";
 import { EffectsManager } from "./effects.js";
+import { LutManager } from "./luts.js";
 import { TemplatesManager } from "./templates.js";
 import { AudioManager } from "./audio.js";
+import { Compositor } from "./compositor.js";
+import { PlaybackEngine } from "./playback.js";
+import { ThumbnailManager } from "./thumbnails.js";
+import { ExportManager } from "./export.js";
+import { HistoryManager } from "./history.js";
+import { ClipboardManager } from "./clipboard.js";
+import { MarkersManager } from "./markers.js";
+import { SpeedManager } from "./speed.js";
+import { KeyframeManager, PROPERTIES } from "./keyframes.js";
+import { GradingManager } from "./grading.js";
+import { ShortcutManager } from "./shortcuts.js";
+import { ProjectManager } from "./project.js";
+import { AutosaveManager } from "./autosave.js";
+import { createId } from "./utils.js";
+import {
+  FRAME_RATES,
+  DEFAULT_FRAME_RATE,
+  formatTimecode,
+  toFrame,
+  fromFrame,
+} from "./timecode.js";
 
 class ViciApp {
   constructor() {
     this.state = {
       currentTab: "edit",
       selectedClip: null,
+      selectedClips: [],
       isPlaying: false,
       currentTime: 0,
       duration: 0,
       volume: 100,
       zoom: 5,
+      frameRate: DEFAULT_FRAME_RATE,
+      tracks: createDefaultTracks(),
       clips: [],
+      // Nested sequences of compound clips, and the path of those open
+      sequences: [],
+      openSequences: [],
       textOverlays: [],
-      currentFilter: "none",
-      effects: {
-        brightness: 0,
-        contrast: 0,
-        saturation: 0,
-        sharpness: 0,
-        vignette: false,
-        grain: false,
-        blur: false,
-        glitch: false,
-      },
-      transform: {
-        scale: 100,
-        rotation: 0,
-        speed: 100,
-      },
+      markers: [],
+      inPoint: null,
+      outPoint: null,
     };
 
     this.init();
@@ -48,9 +64,24 @@ class ViciApp {
     // Initialize managers
     this.video = new VideoManager(this);
     this.timeline = new TimelineManager(this);
+    this.sequences = new SequenceManager(this);
     this.effects = new EffectsManager(this);
+    this.luts = new LutManager(this);
     this.templates = new TemplatesManager(this);
     this.audio = new AudioManager(this);
+    this.compositor = new Compositor(this);
+    this.playback = new PlaybackEngine(this);
+    this.thumbnails = new ThumbnailManager(this);
+    this.exporter = new ExportManager(this);
+    this.history = new HistoryManager(this);
+    this.clipboard = new ClipboardManager(this);
+    this.markers = new MarkersManager(this);
+    this.speed = new SpeedManager(this);
+    this.keyframes = new KeyframeManager(this);
+    this.grading = new GradingManager(this);
+    this.shortcuts = new ShortcutManager(this);
+    this.project = new ProjectManager(this);
+    this.autosave = new AutosaveManager(this);
 
     // Setup event listeners
     this.setupNavigation();
@@ -58,7 +89,6 @@ class ViciApp {
     this.setupPlaybackControls();
     this.setupPropertyControls();
     this.setupModals();
-    this.setupKeyboardShortcuts();
     this.setupToolbar();
 
     // Initialize timeline ruler
@@ -66,6 +96,9 @@ class ViciApp {
 
     console.log("Vici Video Editor initialized");
     this.showToast("Welcome to Vici!", "success");
+
+    // Offer to bring back the last autosaved session
+    await this.autosave.offerRestore();
   }
 
   // Navigation
@@ -152,6 +185,20 @@ class ViciApp {
     fullscreenBtn.addEventListener("click", () =>
       this.video.toggleFullscreen()
     );
+
+    // Tap or click the picture to play/pause
+    const previewWrapper = document.getElementById("previewWrapper");
+    previewWrapper.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0 || !this.state.clips.length) return;
+      previewWrapper.addEventListener(
+        "pointerup",
+        (upE) => {
+          const distance = Math.hypot(upE.clientX - e.clientX, upE.clientY - e.clientY);
+          if (upE.pointerId === e.pointerId && distance < 10) this.togglePlayback();
+        },
+        { once: true }
+      );
+    });
   }
 
   togglePlayback() {
@@ -185,88 +232,95 @@ class ViciApp {
     document.getElementById("totalTime").textContent =
       this.formatTime(duration);
     this.timeline.updatePlayhead(current, duration);
+    this.keyframes?.render();
   }
 
+  // HH:MM:SS:FF at the project frame rate
   formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins.toString().padStart(2, "0")}:${secs
-      .toString()
-      .padStart(2, "0")}`;
+    return formatTimecode(seconds, this.state.frameRate);
+  }
+
+  setFrameRate(key) {
+    if (!FRAME_RATES[key]) return;
+    this.state.frameRate = key;
+    document.getElementById("frameRateSelect").value = key;
+    this.autosave.markDirty();
+    this.timeline.renderRuler();
+    this.timeline.renderClips();
+
+    // Keep the playhead on a frame of the new rate
+    this.video.seekTo(fromFrame(toFrame(this.state.currentTime, key), key));
+  }
+
+  // Move the playhead by whole frames
+  stepFrame(frames) {
+    const rate = this.state.frameRate;
+    this.video.pause();
+    this.video.seekTo(fromFrame(Math.max(0, toFrame(this.state.currentTime, rate) + frames), rate));
   }
 
   // Property Controls
   setupPropertyControls() {
-    // Transform controls
-    this.setupSlider(
-      "scaleSlider",
-      "scaleValue",
-      (v) => `${v}%`,
-      (v) => {
-        this.state.transform.scale = v;
-        this.video.updateTransform();
-      }
-    );
-
-    this.setupSlider(
-      "rotationSlider",
-      "rotationValue",
-      (v) => `${v}°`,
-      (v) => {
-        this.state.transform.rotation = v;
-        this.video.updateTransform();
-      }
-    );
+    // Animatable clip properties: transform, adjustments and clip volume.
+    // With keyframes on a property these set a key at the playhead.
+    Object.entries(PROPERTIES).forEach(([property, { name, unit, control }]) => {
+      const id = control || property;
+      this.setupSlider(
+        `${id}Slider`,
+        `${id}Value`,
+        (v) => `${v}${unit}`,
+        (v) => this.keyframes.setValue(property, v),
+        { label: name, scopes: ["clips"] }
+      );
+    });
 
     this.setupSlider(
       "speedSlider",
       "speedValue",
       (v) => `${(v / 100).toFixed(1)}x`,
-      (v) => {
-        this.state.transform.speed = v;
-        this.video.setPlaybackRate(v / 100);
-      }
+      (v) => this.speed.setSpeed(v / 100),
+      { label: "Change speed", scopes: ["clips"] }
     );
 
-    // Enhancement controls
+    // Sharpen and denoise edit the selected clips' effect stacks
     this.setupSlider(
-      "brightnessSlider",
-      "brightnessValue",
+      "sharpnessSlider",
+      "sharpnessValue",
       (v) => v,
-      (v) => {
-        this.state.effects.brightness = v;
-        this.effects.applyEffects();
-      }
+      (v) => this.effects.setAdjustment("sharpness", v),
+      { label: "Sharpness", scopes: ["clips"] }
     );
 
     this.setupSlider(
-      "contrastSlider",
-      "contrastValue",
-      (v) => v,
-      (v) => {
-        this.state.effects.contrast = v;
-        this.effects.applyEffects();
-      }
+      "sharpenRadiusSlider",
+      "sharpenRadiusValue",
+      (v) => `${(v / 10).toFixed(1)}px`,
+      (v) => this.effects.updateEffect("sharpness", { radius: v / 10 }),
+      { label: "Sharpen radius", scopes: ["clips"] }
     );
 
     this.setupSlider(
-      "saturationSlider",
-      "saturationValue",
+      "sharpenThresholdSlider",
+      "sharpenThresholdValue",
       (v) => v,
-      (v) => {
-        this.state.effects.saturation = v;
-        this.effects.applyEffects();
-      }
+      (v) => this.effects.updateEffect("sharpness", { threshold: v }),
+      { label: "Sharpen threshold", scopes: ["clips"] }
     );
 
     this.setupSlider(
-      "sharpnessSlider",
-      "sharpnessValue",
-      (v) => v,
-      (v) => {
-        this.state.effects.sharpness = v;
-        this.effects.applyEffects();
-      }
+      "denoiseSlider",
+      "denoiseValue",
+      (v) => `${v}%`,
+      (v) => this.effects.updateEffect("denoise", { strength: v }),
+      { label: "Denoise", scopes: ["clips"] }
+    );
+
+    this.setupSlider(
+      "temporalDenoiseSlider",
+      "temporalDenoiseValue",
+      (v) => `${v}%`,
+      (v) => this.effects.updateEffect("denoise", { temporal: v }),
+      { label: "Temporal denoise", scopes: ["clips"] }
     );
 
     // Font size
@@ -289,32 +343,56 @@ class ViciApp {
       }
     );
 
-    // Filter cards
-    document.querySelectorAll(".filter-card").forEach((card) => {
+    this.setupSlider(
+      "lutIntensitySlider",
+      "lutIntensityValue",
+      (v) => `${v}%`,
+      (v) => this.effects.setLutParams({ intensity: v }),
+      { label: "LUT intensity", scopes: ["clips"] }
+    );
+
+    // Color correction of the selected clips
+    [
+      ["temperature", "Temperature", (v) => this.grading.setBalance("temperature", v)],
+      ["tint", "Tint", (v) => this.grading.setBalance("tint", v)],
+      ["liftMaster", "Lift", (v) => this.grading.setWheelMaster("lift", v)],
+      ["gammaMaster", "Gamma", (v) => this.grading.setWheelMaster("gamma", v)],
+      ["gainMaster", "Gain", (v) => this.grading.setWheelMaster("gain", v)],
+      ["hslHue", "HSL hue", (v) => this.grading.setHsl("hue", v)],
+      ["hslSaturation", "HSL saturation", (v) => this.grading.setHsl("saturation", v)],
+      ["hslLightness", "HSL lightness", (v) => this.grading.setHsl("lightness", v)],
+    ].forEach(([id, label, onChange]) => {
+      this.setupSlider(`${id}Slider`, `${id}Value`, (v) => v, onChange, {
+        label,
+        scopes: ["clips"],
+      });
+    });
+
+    // Filter cards; LUT cards are wired by the LUT library
+    document.querySelectorAll(".filter-card[data-filter]").forEach((card) => {
       card.addEventListener("click", () => {
-        document
-          .querySelectorAll(".filter-card")
-          .forEach((c) => c.classList.remove("active"));
-        card.classList.add("active");
-        this.state.currentFilter = card.dataset.filter;
-        this.effects.applyFilter(card.dataset.filter);
+        this.history.transact("Apply filter", ["clips"], () =>
+          this.effects.setFilter(card.dataset.filter)
+        );
       });
     });
 
     // Effect buttons
     document.querySelectorAll(".effect-btn").forEach((btn) => {
       btn.addEventListener("click", () => {
-        btn.classList.toggle("active");
         const effect = btn.dataset.effect;
-        this.state.effects[effect] = btn.classList.contains("active");
-        this.effects.applyEffects();
+        this.history.transact(`Toggle ${effect}`, ["clips"], () =>
+          this.effects.toggleEffect(effect)
+        );
       });
     });
 
     // Enhance buttons
     document.querySelectorAll(".enhance-btn").forEach((btn) => {
       btn.addEventListener("click", () => {
-        this.effects.autoEnhance(btn.dataset.enhance);
+        this.history.transact("Enhance", ["clips"], () =>
+          this.effects.autoEnhance(btn.dataset.enhance)
+        );
         btn.classList.add("active");
         setTimeout(() => btn.classList.remove("active"), 1000);
       });
@@ -344,31 +422,68 @@ class ViciApp {
     });
   }
 
-  setupSlider(sliderId, valueId, formatFn, onChange) {
+  // `history` ({ label, scopes }) makes the slider undoable; a whole drag
+  // is recorded as one step when the slider is released
+  setupSlider(sliderId, valueId, formatFn, onChange, history = null) {
     const slider = document.getElementById(sliderId);
     const valueEl = document.getElementById(valueId);
 
     if (!slider || !valueEl) return;
 
+    let edit = null;
+
     slider.addEventListener("input", (e) => {
+      if (history && !edit) {
+        edit = this.history.begin(history.label, history.scopes);
+      }
       const value = parseInt(e.target.value);
       valueEl.textContent = formatFn(value);
       onChange(value);
     });
+
+    slider.addEventListener("change", () => {
+      edit?.commit();
+      edit = null;
+    });
+  }
+
+  setSliderValue(sliderId, valueId, value, formatFn) {
+    const slider = document.getElementById(sliderId);
+    const valueEl = document.getElementById(valueId);
+    if (slider) slider.value = value;
+    if (valueEl) valueEl.textContent = formatFn(value);
   }
 
   // Toolbar
   setupToolbar() {
     document.querySelectorAll(".tool-btn[data-tool]").forEach((btn) => {
       btn.addEventListener("click", () => {
-        document
-          .querySelectorAll(".tool-btn[data-tool]")
-          .forEach((b) => b.classList.remove("active"));
-        btn.classList.add("active");
         this.timeline.setTool(btn.dataset.tool);
       });
     });
 
+    document.querySelectorAll(".trim-mode-btn").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        this.timeline.setTrimMode(btn.dataset.mode);
+      });
+    });
+
+    document.getElementById("saveProjectBtn")?.addEventListener("click", () => {
+      this.project.save();
+    });
+
+    document.getElementById("openProjectBtn")?.addEventListener("click", () => {
+      this.project.open();
+    });
+
+    document.getElementById("undoBtn")?.addEventListener("click", () => {
+      this.undo();
+    });
+
+    document.getElementById("redoBtn")?.addEventListener("click", () => {
+      this.redo();
+    });
+
     document.getElementById("splitBtn")?.addEventListener("click", () => {
       this.timeline.splitClip();
     });
@@ -377,6 +492,27 @@ class ViciApp {
       this.timeline.deleteSelectedClip();
     });
 
+    document.getElementById("addTrackBtn")?.addEventListener("click", (e) => {
+      this.timeline.showAddTrackMenu(e.currentTarget);
+    });
+
+    document.getElementById("snapBtn")?.addEventListener("click", () => {
+      this.timeline.setSnapping(!this.timeline.snapping);
+    });
+
+    document.getElementById("magneticBtn")?.addEventListener("click", () => {
+      this.timeline.setMagnetic(!this.timeline.magnetic);
+    });
+
+    const frameRateSelect = document.getElementById("frameRateSelect");
+    Object.entries(FRAME_RATES).forEach(([key, rate]) => {
+      frameRateSelect.add(new Option(`${rate.label} fps`, key));
+    });
+    frameRateSelect.value = this.state.frameRate;
+    frameRateSelect.addEventListener("change", (e) => {
+      this.setFrameRate(e.target.value);
+    });
+
     // Zoom controls
     document.getElementById("zoomInBtn")?.addEventListener("click", () => {
       this.timeline.zoomIn();
@@ -400,13 +536,15 @@ class ViciApp {
     const cancelExportBtn = document.getElementById("cancelExportBtn");
     const confirmExportBtn = document.getElementById("confirmExportBtn");
 
-    exportBtn?.addEventListener("click", () => this.showModal("exportModal"));
-    closeExportModal?.addEventListener("click", () =>
-      this.hideModal("exportModal")
-    );
-    cancelExportBtn?.addEventListener("click", () =>
-      this.hideModal("exportModal")
-    );
+    exportBtn?.addEventListener("click", () => this.showExportModal());
+    closeExportModal?.addEventListener("click", () => {
+      this.exporter.cancel();
+      this.hideModal("exportModal");
+    });
+    cancelExportBtn?.addEventListener("click", () => {
+      this.exporter.cancel();
+      this.hideModal("exportModal");
+    });
     confirmExportBtn?.addEventListener("click", () => this.video.export());
 
     // Export quality selection
@@ -416,6 +554,7 @@ class ViciApp {
           .querySelectorAll(".export-option")
           .forEach((o) => o.classList.remove("active"));
         option.classList.add("active");
+        this.exporter.updateFitOptions();
       });
     });
 
@@ -440,6 +579,14 @@ class ViciApp {
     });
   }
 
+  showExportModal() {
+    // Exports always cover the main sequence
+    this.sequences.closeAll();
+    this.exporter.updateFitOptions();
+    this.exporter.updateRangeOptions();
+    this.showModal("exportModal");
+  }
+
   showModal(modalId) {
     document.getElementById(modalId)?.classList.remove("hidden");
   }
@@ -451,7 +598,7 @@ class ViciApp {
   // Text Overlays
   addTextOverlay(content, style) {
     const overlay = {
-      id: Date.now(),
+      id: createId(),
       content,
       style,
       x: 50,
@@ -462,66 +609,20 @@ class ViciApp {
       duration: 5,
     };
 
-    this.state.textOverlays.push(overlay);
-    this.video.renderTextOverlay(overlay);
-    this.timeline.addTextClip(overlay);
-    this.showToast("Text added!", "success");
-  }
-
-  // Keyboard Shortcuts
-  setupKeyboardShortcuts() {
-    document.addEventListener("keydown", (e) => {
-      // Ignore if typing in input
-      if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA")
-        return;
-
-      switch (e.code) {
-        case "Space":
-          e.preventDefault();
-          this.togglePlayback();
-          break;
-        case "ArrowLeft":
-          e.preventDefault();
-          this.video.skip(e.shiftKey ? -10 : -1);
-          break;
-        case "ArrowRight":
-          e.preventDefault();
-          this.video.skip(e.shiftKey ? 10 : 1);
-          break;
-        case "KeyS":
-          if (e.ctrlKey || e.metaKey) {
-            e.preventDefault();
-            this.showModal("exportModal");
-          }
-          break;
-        case "KeyZ":
-          if (e.ctrlKey || e.metaKey) {
-            e.preventDefault();
-            this.undo();
-          }
-          break;
-        case "KeyY":
-          if (e.ctrlKey || e.metaKey) {
-            e.preventDefault();
-            this.redo();
-          }
-          break;
-        case "Delete":
-        case "Backspace":
-          if (this.state.selectedClip) {
-            this.timeline.deleteSelectedClip();
-          }
-          break;
-      }
+    this.history.transact("Add text", ["clips", "text"], () => {
+      this.state.textOverlays.push(overlay);
+      this.video.renderTextOverlay(overlay);
+      this.timeline.addTextClip(overlay);
     });
+    this.showToast("Text added!", "success");
   }
 
   undo() {
-    this.showToast("Undo", "success");
+    this.history.undo();
   }
 
   redo() {
-    this.showToast("Redo", "success");
+    this.history.redo();
   }
 
   // Toast Notifications
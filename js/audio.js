@@ -3,6 +3,20 @@
  * Handles audio processing, effects, and background music
  */
 
+import { MAX_DEPTH } from './sequences.js';
+import { createId } from './utils.js';
+import { getSourceTime, getSpeedAt, hasRamp } from './speed.js';
+import { getValue, hasKeyframes } from './keyframes.js';
+
+// Resolution of the cached waveform peaks
+const PEAKS_PER_SECOND = 100;
+
+// Points per second a clip's volume keyframes are followed with in the mix
+const VOLUME_STEPS_PER_SECOND = 100;
+
+// Waveforms of long clips are drawn narrower and stretched to fit
+const MAX_WAVEFORM_WIDTH = 16384;
+
 export class AudioManager {
     constructor(app) {
         this.app = app;
@@ -10,6 +24,10 @@ export class AudioManager {
         this.audioContext = null;
         this.masterGain = null;
         this.audioTracks = [];
+        this.masterVolume = 1;
+        this.decodedBuffers = new Map();
+        this.reversedBuffers = new Map();
+        this.peaks = new Map();
         
         this.initAudioContext();
     }
@@ -22,10 +40,8 @@ export class AudioManager {
                 this.masterGain = this.audioContext.createGain();
                 this.masterGain.connect(this.audioContext.destination);
                 
-                // Connect video to audio context
-                if (this.video.src) {
-                    this.connectVideo();
-                }
+                // Route both preview decks through the master gain
+                this.app.playback.decks.forEach(deck => this.connectVideo(deck.element));
             }
             document.removeEventListener('click', initContext);
         };
@@ -33,11 +49,11 @@ export class AudioManager {
         document.addEventListener('click', initContext);
     }
 
-    connectVideo() {
+    connectVideo(element = this.video) {
         if (!this.audioContext) return;
         
         try {
-            const source = this.audioContext.createMediaElementSource(this.video);
+            const source = this.audioContext.createMediaElementSource(element);
             source.connect(this.masterGain);
         } catch (e) {
             // Video already connected or error
@@ -46,10 +62,11 @@ export class AudioManager {
     }
 
     setMasterVolume(volume) {
+        this.masterVolume = volume;
         if (this.masterGain) {
             this.masterGain.gain.value = volume;
         }
-        this.video.volume = volume;
+        this.app.playback.setVolume(volume);
     }
 
     applyAudioEffect(effect) {
@@ -111,8 +128,9 @@ export class AudioManager {
     }
 
     toggleMute() {
-        this.video.muted = !this.video.muted;
-        this.app.showToast(this.video.muted ? 'Muted' : 'Unmuted', 'success');
+        const { playback } = this.app;
+        playback.setMuted(!playback.muted);
+        this.app.showToast(playback.muted ? 'Muted' : 'Unmuted', 'success');
     }
 
     async addBackgroundMusic() {
@@ -125,40 +143,68 @@ export class AudioManager {
             const file = e.target.files[0];
             if (!file) return;
             
-            const url = URL.createObjectURL(file);
-            const audio = new Audio(url);
+            let track;
+            try {
+                track = await this.createTrack(file);
+            } catch (err) {
+                this.app.showToast(`Could not add ${file.name}: ${err.message}`, 'error');
+                return;
+            }
             
-            audio.addEventListener('loadedmetadata', () => {
-                const track = {
-                    id: Date.now(),
-                    name: file.name,
-                    url: url,
-                    audio: audio,
-                    duration: audio.duration,
-                    volume: 0.5,
-                    startTime: 0
-                };
-                
+            this.app.history.transact('Add audio', ['clips', 'audio'], () => {
                 this.audioTracks.push(track);
                 
                 // Add to timeline
                 this.app.state.clips.push({
                     id: track.id,
                     type: 'audio',
+                    audioId: track.id,
                     name: file.name,
-                    track: 'audio',
+                    track: this.app.timeline.getDefaultTrack('audio').id,
                     startTime: 0,
-                    duration: audio.duration
+                    duration: track.duration,
+                    trimStart: 0,
+                    trimEnd: 0
                 });
                 
                 this.app.timeline.renderClips();
-                this.app.showToast(`Added: ${file.name}`, 'success');
             });
+            this.app.showToast(`Added: ${file.name}`, 'success');
         };
         
         input.click();
     }
 
+    // Load an audio file into a track object; `settings` restores the id,
+    // volume and start of a track from a saved project. Rejects when the
+    // file can't be decoded
+    createTrack(file, settings = {}) {
+        const url = URL.createObjectURL(file);
+        const audio = new Audio(url);
+        
+        return new Promise((resolve, reject) => {
+            audio.addEventListener('error', () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('unsupported or damaged file'));
+            }, { once: true });
+            audio.addEventListener('loadedmetadata', () => {
+                resolve({
+                    id: createId(),
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    file,
+                    url: url,
+                    audio: audio,
+                    duration: audio.duration,
+                    volume: 0.5,
+                    startTime: 0,
+                    ...settings
+                });
+            }, { once: true });
+        });
+    }
+
     playAudioTrack(trackId) {
         const track = this.audioTracks.find(t => t.id === trackId);
         if (!track) return;
@@ -219,34 +265,257 @@ export class AudioManager {
         });
     }
 
-    // Generate waveform visualization
-    generateWaveform(audioBuffer, width, height) {
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
+    // Decode a media URL once and reuse the buffer; resolves null for
+    // files without an audio stream
+    async decodeAudio(url) {
+        if (!this.decodedBuffers.has(url)) {
+            const decode = fetch(url)
+                .then(response => response.arrayBuffer())
+                .then(data => {
+                    const context = new OfflineAudioContext(2, 1, 48000);
+                    return context.decodeAudioData(data);
+                })
+                .catch(() => null);
+            this.decodedBuffers.set(url, decode);
+        }
+        return this.decodedBuffers.get(url);
+    }
+
+    // Source URL and gain for a timeline clip's audio, if it has any
+    getClipAudio(clip) {
+        if (clip.audioId != null) {
+            const track = this.audioTracks.find(t => t.id === clip.audioId);
+            return track ? { url: track.url, volume: track.volume } : null;
+        }
+        if (clip.mediaId != null) {
+            const media = this.app.video.getMedia(clip.mediaId);
+            return media && !this.app.playback.muted ? { url: media.url, volume: 1 } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Mix every audible clip on the timeline into a single buffer
+     * @param {number} duration - length of the mix in seconds
+     * @param {number} [sampleRate]
+     * @param {number} [start] - timeline time the mix begins at
+     * @param {Object} [sequence] - the sequence to mix; compound clips mix
+     *   theirs and play it as their sound
+     * @param {Array<string>} [path] - ids of the sequences mixing this one
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderMix(duration, sampleRate = 48000, start = 0, sequence = this.app.sequences.getCurrent(), path = []) {
+        const length = Math.max(1, Math.ceil(duration * sampleRate));
+        const context = new OfflineAudioContext(2, length, sampleRate);
+        const master = context.createGain();
+        master.gain.value = path.length ? 1 : this.masterVolume;
+        master.connect(context.destination);
+
+        for (const clip of sequence.clips) {
+            const track = sequence.tracks.find(t => t.id === clip.track);
+            if (!this.app.timeline.isTrackAudible(track, sequence.tracks)) continue;
+
+            // Only the part of the clip inside the rendered span
+            const skip = Math.max(0, start - clip.startTime);
+            const span = Math.min(clip.duration - skip, start + duration - clip.startTime - skip);
+            if (span <= 0) continue;
+
+            // Freeze frames are silent
+            if (clip.freeze) continue;
+            const audio = await this.getMixAudio(clip, sampleRate, [...path, sequence.id]);
+            if (!audio) continue;
+            let { buffer } = audio;
+
+            // Reversed clips play a reversed copy of the source forwards
+            if (clip.reverse) buffer = this.getReversedBuffer(audio.url, buffer);
+            const sourceTime = getSourceTime(clip, clip.startTime + skip);
+            const offset = clip.reverse ? buffer.duration - sourceTime : sourceTime;
+            const when = clip.startTime + skip - start;
+
+            const source = context.createBufferSource();
+            const gain = context.createGain();
+            source.buffer = buffer;
+            source.connect(gain);
+            gain.connect(master);
+            this.automateVolume(gain.gain, clip, audio.volume, skip, span, when);
+            this.automateSpeed(source.playbackRate, clip, skip, span, when);
+            source.start(when, Math.max(0, offset));
+            source.stop(when + span);
+        }
+
+        return context.startRendering();
+    }
+
+    // Decoded sound of a clip for the mix. A compound clip's is its
+    // sequence mixed down, unless that sequence is already being mixed.
+    async getMixAudio(clip, sampleRate, path) {
+        if (clip.type === 'compound') {
+            const sequence = this.app.sequences.get(clip.sequenceId);
+            const duration = this.app.sequences.getDuration(clip.sequenceId);
+            if (!sequence || !duration || path.includes(clip.sequenceId) || path.length > MAX_DEPTH) return null;
+            const buffer = await this.renderMix(duration, sampleRate, 0, sequence, path);
+            return { url: null, buffer, volume: 1 };
+        }
+
+        const audio = this.getClipAudio(clip);
+        const buffer = audio && await this.decodeAudio(audio.url);
+        return buffer ? { ...audio, buffer } : null;
+    }
+
+    /**
+     * Follow the clip's speed, including any ramp, on a buffer source's
+     * playbackRate for the `span` timeline seconds mixed from `skip` into
+     * the clip. Unlike the preview, which keeps pitch, this shifts it.
+     */
+    automateSpeed(param, clip, skip, span, when) {
+        param.setValueAtTime(getSpeedAt(clip, skip), when);
+        if (!hasRamp(clip)) return;
+
+        clip.speedRamp
+            .map(key => key.position * clip.duration)
+            .filter(offset => offset > skip && offset < skip + span)
+            .sort((a, b) => a - b)
+            .forEach(offset => param.linearRampToValueAtTime(getSpeedAt(clip, offset), when + offset - skip));
+        param.linearRampToValueAtTime(getSpeedAt(clip, skip + span), when + span);
+    }
+
+    // Follow the clip's volume keys, times `level`, on a gain param for
+    // the `span` timeline seconds mixed from `skip` into the clip
+    automateVolume(param, clip, level, skip, span, when) {
+        const volumeAt = (offset) => level * getValue(clip, 'volume', clip.startTime + offset) / 100;
+        if (!hasKeyframes(clip, 'volume')) {
+            param.value = volumeAt(skip);
+            return;
+        }
+
+        const count = Math.max(2, Math.ceil(span * VOLUME_STEPS_PER_SECOND));
+        const curve = new Float32Array(count);
+        for (let i = 0; i < count; i++) curve[i] = volumeAt(skip + span * i / (count - 1));
+        param.setValueCurveAtTime(curve, when, span);
+    }
+
+    // Reversed copy of a source's buffer, kept per URL; mixed-down
+    // sequences (no URL) are reversed each time
+    getReversedBuffer(url, buffer) {
+        if (url == null) return this.reverseBuffer(buffer);
+        if (!this.reversedBuffers.has(url)) {
+            this.reversedBuffers.set(url, this.reverseBuffer(buffer));
+        }
+        return this.reversedBuffers.get(url);
+    }
+
+    reverseBuffer(buffer) {
+        const reversed = new AudioBuffer({
+            length: buffer.length,
+            numberOfChannels: buffer.numberOfChannels,
+            sampleRate: buffer.sampleRate
+        });
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            reversed.copyToChannel(buffer.getChannelData(channel).slice().reverse(), channel);
+        }
+        return reversed;
+    }
+
+    // Source URL of a timeline clip's audio, muted or not
+    getClipSourceUrl(clip) {
+        if (clip.audioId != null) return this.audioTracks.find(t => t.id === clip.audioId)?.url ?? null;
+        if (clip.mediaId != null) return this.app.video.getMedia(clip.mediaId)?.url ?? null;
+        return null;
+    }
+
+    /**
+     * Peak amplitude of a media file's audio, one value per
+     * 1 / PEAKS_PER_SECOND seconds across all channels. Computed once per
+     * file in the background; resolves null when it has no audio.
+     * @returns {Promise<?Float32Array>}
+     */
+    getPeaks(url) {
+        if (!this.peaks.has(url)) {
+            this.peaks.set(url, this.decodeAudio(url).then(buffer => buffer && this.computePeaks(buffer)));
+        }
+        return this.peaks.get(url);
+    }
+
+    async computePeaks(buffer) {
+        const bucket = Math.max(1, Math.round(buffer.sampleRate / PEAKS_PER_SECOND));
+        const peaks = new Float32Array(Math.ceil(buffer.length / bucket));
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+
+        for (let i = 0; i < peaks.length; i++) {
+            const end = Math.min(buffer.length, (i + 1) * bucket);
+            let peak = 0;
+            channels.forEach(data => {
+                for (let j = i * bucket; j < end; j++) {
+                    const value = Math.abs(data[j]);
+                    if (value > peak) peak = value;
+                }
+            });
+            peaks[i] = peak;
+
+            // Yield now and then so long files don't stall the editor
+            if (i % 5000 === 4999) await new Promise(resolve => setTimeout(resolve));
+        }
+        return peaks;
+    }
+
+    /**
+     * Draw the waveform of the clip's trimmed source range into its element:
+     * filling audio clips, and as a strip along the bottom of video clips
+     */
+    async renderWaveform(clipEl, clip) {
+        const url = this.getClipSourceUrl(clip);
+        if (!url) return;
+
+        // Freeze frames are silent
+        if (clip.freeze) {
+            clipEl.querySelector('.clip-waveform')?.remove();
+            return;
+        }
+
+        // Redraws (on trim or zoom) reuse the clip's canvas
+        const strip = this.app.timeline.getTrack(clip.track)?.kind !== 'audio';
+        let canvas = clipEl.querySelector('.clip-waveform');
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            clipEl.prepend(canvas);
+        }
+        canvas.className = strip ? 'clip-waveform clip-waveform-strip' : 'clip-waveform';
+        canvas.width = Math.max(1, Math.min(MAX_WAVEFORM_WIDTH, Math.ceil(clip.duration * this.app.timeline.pixelsPerSecond)));
+        canvas.height = strip ? 12 : 40;
+
+        const peaks = await this.getPeaks(url);
+        if (!peaks || !canvas.isConnected) {
+            canvas.remove();
+            return;
+        }
+
+        this.drawWaveform(canvas, peaks, clip);
+    }
+
+    // Each column shows the source under it, so speed changes, ramps and
+    // reverse stretch and flip the waveform as they do the sound
+    drawWaveform(canvas, peaks, clip) {
         const ctx = canvas.getContext('2d');
-        
-        const data = audioBuffer.getChannelData(0);
-        const step = Math.ceil(data.length / width);
-        const amp = height / 2;
-        
-        ctx.fillStyle = 'rgba(139, 92, 246, 0.5)';
-        
-        for (let i = 0; i < width; i++) {
-            let min = 1.0;
-            let max = -1.0;
-            
-            for (let j = 0; j < step; j++) {
-                const datum = data[(i * step) + j];
-                if (datum < min) min = datum;
-                if (datum > max) max = datum;
+        const { width, height } = canvas;
+        const perPixel = clip.duration / width;
+        const peakAt = (x) => getSourceTime(clip, clip.startTime + x * perPixel) * PEAKS_PER_SECOND;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+
+        for (let x = 0; x < width; x++) {
+            const a = peakAt(x);
+            const b = peakAt(x + 1);
+            const from = Math.max(0, Math.floor(Math.min(a, b)));
+            const to = Math.min(peaks.length, Math.max(from + 1, Math.floor(Math.max(a, b))));
+            let peak = 0;
+            for (let i = from; i < to; i++) {
+                if (peaks[i] > peak) peak = peaks[i];
             }
-            
-            const barHeight = Math.max(1, (max - min) * amp);
-            ctx.fillRect(i, amp - barHeight / 2, 1, barHeight);
+
+            const barHeight = Math.max(1, peak * height);
+            ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
         }
-        
-        return canvas.toDataURL();
     }
 
     // Audio analysis for visualizations
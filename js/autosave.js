@@ -0,0 +1,229 @@
+/**
+ * Vici Video Editor - Autosave Manager
+ * Keeps the project and its media in IndexedDB so a crashed tab can be restored
+ */
+
+const DB_NAME = 'vici';
+const DB_VERSION = 2;
+const SESSION_KEY = 'latest';
+
+const SAVE_DELAY = 2000;      // debounce after an edit
+const SAVE_INTERVAL = 30000;  // periodic safety net
+
+// Promise wrapper for an IDBRequest
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// The app's database, shared with the LUT library
+export function openDatabase() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        // One autosaved session, plus media files keyed by content hash so
+        // the same file is only stored once
+        if (!db.objectStoreNames.contains('session')) db.createObjectStore('session', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('media')) db.createObjectStore('media', { keyPath: 'hash' });
+        // Imported LUTs, kept across projects (version 2)
+        if (!db.objectStoreNames.contains('luts')) db.createObjectStore('luts', { keyPath: 'id' });
+    };
+    return promisify(request);
+}
+
+export class AutosaveManager {
+    constructor(app) {
+        this.app = app;
+        this.db = null;
+        this.enabled = false;
+        this.dirty = false;
+        this.saving = false;
+        this.saveTimer = null;
+        this.storedHashes = new Set();
+
+        setInterval(() => {
+            if (this.dirty) this.save();
+        }, SAVE_INTERVAL);
+
+        // Mobile browsers may kill a backgrounded PWA without warning
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.dirty) {
+                this.save();
+            }
+        });
+    }
+
+    async getDatabase() {
+        if (!this.db) {
+            this.db = await openDatabase();
+        }
+        return this.db;
+    }
+
+    store(name, mode = 'readonly') {
+        return this.db.transaction(name, mode).objectStore(name);
+    }
+
+    // Called after every edit and media import
+    markDirty() {
+        this.dirty = true;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    async save() {
+        if (!this.enabled) return;
+        if (this.saving) {
+            this.markDirty();
+            return;
+        }
+
+        this.saving = true;
+        this.dirty = false;
+
+        try {
+            const project = await this.app.project.serialize();
+            await this.getDatabase();
+
+            const items = [...this.app.video.mediaItems, ...this.app.audio.audioTracks];
+            for (const item of items) {
+                if (!this.storedHashes.has(item.hash)) {
+                    await promisify(this.store('media', 'readwrite').put({
+                        hash: item.hash,
+                        name: item.name,
+                        type: item.type,
+                        file: item.file
+                    }));
+                    this.storedHashes.add(item.hash);
+                }
+            }
+
+            await promisify(this.store('session', 'readwrite').put({
+                id: SESSION_KEY,
+                savedAt: Date.now(),
+                thumbnail: this.captureThumbnail(),
+                project
+            }));
+
+            // Forget media that is no longer part of the project
+            const used = new Set(items.map(item => item.hash));
+            const stored = await promisify(this.store('media').getAllKeys());
+            for (const hash of stored.filter(hash => !used.has(hash))) {
+                await promisify(this.store('media', 'readwrite').delete(hash));
+                this.storedHashes.delete(hash);
+            }
+        } catch (err) {
+            console.warn('Autosave failed:', err);
+            this.dirty = true;
+        } finally {
+            this.saving = false;
+        }
+    }
+
+    // Small still of the preview for the restore prompt
+    captureThumbnail() {
+        const preview = this.app.playback.canvas;
+        if (this.app.playback.active) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 160;
+            canvas.height = 90;
+            canvas.getContext('2d').drawImage(preview, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        }
+        return this.app.video.mediaItems[0]?.thumbnail || null;
+    }
+
+    /**
+     * On startup: if a previous session was autosaved, ask whether to restore
+     * it. Autosave stays off until the user answers so the saved session is
+     * not overwritten by the empty new one.
+     */
+    async offerRestore() {
+        let session = null;
+        try {
+            await this.getDatabase();
+            session = await promisify(this.store('session').get(SESSION_KEY));
+        } catch (err) {
+            console.warn('Autosave unavailable:', err);
+            return;
+        }
+
+        const project = session?.project;
+        if (!project || (!project.clips.length && !project.media.length)) {
+            this.enabled = true;
+            return;
+        }
+
+        const restore = await this.promptRestore(session);
+        if (restore) {
+            try {
+                await this.restore(project);
+                this.app.showToast('Previous session restored', 'success');
+            } catch (err) {
+                console.error('Restore error:', err);
+                this.app.showToast(`Could not restore session: ${err.message}`, 'error');
+            }
+        } else {
+            await this.clear();
+        }
+
+        this.enabled = true;
+    }
+
+    promptRestore(session) {
+        const thumbnail = document.getElementById('restoreThumbnail');
+        thumbnail.classList.toggle('hidden', !session.thumbnail);
+        if (session.thumbnail) thumbnail.src = session.thumbnail;
+
+        const clipCount = session.project.clips.length;
+        document.getElementById('restoreTime').textContent =
+            `Last saved ${new Date(session.savedAt).toLocaleString()} · ${clipCount} clip${clipCount === 1 ? '' : 's'}`;
+
+        this.app.showModal('restoreModal');
+
+        return new Promise(resolve => {
+            const answer = (restore) => {
+                this.app.hideModal('restoreModal');
+                resolve(restore);
+            };
+            document.getElementById('restoreSessionBtn').onclick = () => answer(true);
+            document.getElementById('discardSessionBtn').onclick = () => answer(false);
+        });
+    }
+
+    async restore(project) {
+        const data = this.app.project.validate(project);
+        const files = new Map();
+        const missing = [];
+
+        for (const ref of [...data.media, ...data.audioTracks]) {
+            const record = await promisify(this.store('media').get(ref.hash));
+            if (record) {
+                files.set(ref.id, record.file);
+                this.storedHashes.add(ref.hash);
+            } else {
+                missing.push(ref);
+            }
+        }
+
+        if (missing.length) {
+            await this.app.project.promptRelink(missing, files);
+        }
+
+        this.app.project.name = data.name || this.app.project.name;
+        await this.app.project.apply(data, files);
+    }
+
+    async clear() {
+        try {
+            await this.getDatabase();
+            await promisify(this.store('session', 'readwrite').clear());
+            await promisify(this.store('media', 'readwrite').clear());
+            this.storedHashes.clear();
+        } catch (err) {
+            console.warn('Could not clear autosave:', err);
+        }
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Vici Video Editor - Clipboard Manager
+ * Copy, paste and duplicate timeline clips, and paste clip attributes
+ */
+
+import { createId } from './utils.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// A copy of an effect stack whose effects have ids of their own
+const cloneEffects = (effects) => effects.map(effect => ({ ...clone(effect), id: createId() }));
+
+// Per-clip settings that Paste Attributes carries from one clip to others
+const CLIP_ATTRIBUTES = ['effects', 'transform', 'volume', 'keyframes'];
+
+export class ClipboardManager {
+    constructor(app) {
+        this.app = app;
+        this.clips = [];
+        this.overlays = [];
+        this.attributes = null;
+    }
+
+    copy() {
+        const clips = this.app.timeline.getSelectedClips();
+        if (!clips.length) {
+            this.app.showToast('Select clips to copy', 'warning');
+            return;
+        }
+
+        this.clips = clone(clips);
+        this.overlays = clone(this.getOverlays(clips));
+
+        // The primary clip's attributes, for Paste Attributes
+        const source = clips.find(clip => clip.id === this.app.state.selectedClip) || clips[0];
+        this.attributes = {};
+        CLIP_ATTRIBUTES.forEach(key => {
+            this.attributes[key] = source[key] === undefined ? null : clone(source[key]);
+        });
+
+        this.app.showToast(`Copied ${clips.length} clip${clips.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Paste so the earliest copied clip starts at the playhead
+    paste(time = this.app.state.currentTime) {
+        if (!this.clips.length) {
+            this.app.showToast('Nothing to paste', 'warning');
+            return;
+        }
+        this.insert(this.clips, this.overlays, time, 'Paste');
+    }
+
+    // Copies of the selection placed right after it
+    duplicate() {
+        const clips = this.app.timeline.getSelectedClips();
+        if (!clips.length) {
+            this.app.showToast('Select clips to duplicate', 'warning');
+            return;
+        }
+
+        const end = Math.max(...clips.map(clip => clip.startTime + clip.duration));
+        this.insert(clips, this.getOverlays(clips), end, 'Duplicate');
+    }
+
+    getOverlays(clips) {
+        return this.app.state.textOverlays.filter(overlay =>
+            clips.some(clip => clip.type === 'text' && clip.id === overlay.id));
+    }
+
+    // Track for a pasted clip: its original track when it still exists and
+    // is unlocked, else the main track of the same kind
+    resolveTrack(clip) {
+        const { timeline } = this.app;
+        const track = timeline.getTrack(clip.track);
+        if (track && !track.locked) return track.id;
+
+        const kind = track?.kind || (clip.type === 'text' ? 'text' : clip.audioId != null ? 'audio' : 'video');
+        return timeline.getDefaultTrack(kind).id;
+    }
+
+    /**
+     * Add copies of `clips` with fresh ids, shifted so the earliest starts
+     * at `time`. Groups among the copies become new groups, and text clips
+     * get their own copy of the overlay.
+     */
+    insert(clips, overlays, time, label) {
+        const { state, timeline } = this.app;
+        const offset = time - Math.min(...clips.map(clip => clip.startTime));
+        const groupIds = new Map();
+
+        const copies = clips.map(clip => {
+            const copy = { ...clone(clip), id: createId(), startTime: clip.startTime + offset };
+            copy.track = this.resolveTrack(clip);
+            copy.thumbnail = clip.thumbnail;
+            if (clip.effects) copy.effects = cloneEffects(clip.effects);
+
+            if (clip.groupId != null) {
+                if (!groupIds.has(clip.groupId)) groupIds.set(clip.groupId, createId());
+                copy.groupId = groupIds.get(clip.groupId);
+            }
+            return { original: clip, copy };
+        });
+
+        const count = copies.length;
+        this.app.history.transact(count > 1 ? `${label} ${count} clips` : `${label} clip`, ['clips', 'text'], () => {
+            copies.forEach(({ original, copy }) => {
+                const overlay = overlays.find(o => o.id === original.id);
+                if (overlay) {
+                    state.textOverlays.push({ ...clone(overlay), id: copy.id, startTime: copy.startTime });
+                }
+                state.clips.push(copy);
+            });
+
+            timeline.applyMagnetic(...copies.map(({ copy }) => copy.track));
+            timeline.renderClips();
+            timeline.setSelection(copies.map(({ copy }) => copy.id));
+        });
+    }
+
+    // Apply the copied clip's effects, transform, volume and keyframes to
+    // the selected clips
+    pasteAttributes() {
+        if (!this.attributes) {
+            this.app.showToast('Copy a clip first', 'warning');
+            return;
+        }
+
+        const clips = this.app.timeline.getSelectedClips().filter(clip => !this.app.timeline.isLocked(clip));
+        if (!clips.length) {
+            this.app.showToast('Select clips to paste attributes onto', 'warning');
+            return;
+        }
+
+        this.app.history.transact('Paste attributes', ['clips'], () => {
+            clips.forEach(clip => {
+                CLIP_ATTRIBUTES.forEach(key => {
+                    if (this.attributes[key] === null) delete clip[key];
+                    else if (key === 'effects') clip.effects = cloneEffects(this.attributes.effects);
+                    else clip[key] = clone(this.attributes[key]);
+                });
+            });
+            this.app.timeline.renderClips();
+            this.app.effects.syncControls();
+            this.app.keyframes.render();
+        });
+        this.app.showToast(`Attributes pasted to ${clips.length} clip${clips.length === 1 ? '' : 's'}`, 'success');
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * Vici Video Editor - Compositor
+ * Renders the timeline composition at a given time onto a canvas
+ */
+
+import { MAX_DEPTH } from './sequences.js';
+import { getSourceTime, getSpeedAt } from './speed.js';
+import { getTransform, getValue } from './keyframes.js';
+
+// Context of the clips in the sequence being edited: no enclosing
+// compound clips, so no extra speed or volume and nothing muting them
+const ROOT = { parents: [], speed: 1, audible: true, volume: 1 };
+
+export class Compositor {
+    constructor(app) {
+        this.app = app;
+        // Hidden <video> elements used for frame-accurate seeking, keyed by
+        // media id plus an index so overlapping clips of one file each get their own
+        this.sources = new Map();
+        // Offscreen canvases for effects and compound clips, one of each per
+        // nesting depth: a layer's buffer is done with before the next is drawn
+        this.buffers = new Map();
+    }
+
+    // Clips at `time` on the shown tracks of a kind, bottom track first
+    getTrackClips(kind, time, sequence = this.app.sequences.getCurrent()) {
+        const { timeline } = this.app;
+        return sequence.tracks
+            .filter(track => track.kind === kind && timeline.isTrackVisible(track, sequence.tracks))
+            .reverse()
+            .flatMap(track => sequence.clips.filter(clip =>
+                clip.track === track.id &&
+                time >= clip.startTime &&
+                time < clip.startTime + clip.duration
+            ));
+    }
+
+    // Video, compound and adjustment clips visible at `time`, bottom to top
+    getVisibleClips(time, sequence) {
+        return this.getTrackClips('video', time, sequence)
+            .filter(clip => clip.mediaId != null || clip.type === 'compound' || clip.type === 'adjustment');
+    }
+
+    // Text clips visible at `time` as {clip, overlay, time}, the overlay
+    // being the title's settings
+    getVisibleText(time, sequence) {
+        const overlays = this.app.state.textOverlays;
+        return this.getTrackClips('text', time, sequence)
+            .filter(clip => clip.type === 'text')
+            .map(clip => ({ clip, overlay: overlays.find(o => o.id === clip.id), time }))
+            .filter(title => title.overlay);
+    }
+
+    // Clip speed, ramps, reverse and freeze frames all map through here
+    getSourceTime(clip, time) {
+        return getSourceTime(clip, time);
+    }
+
+    // Unique along the nesting path, as a clip can be used by several compounds
+    getKey(clip, context) {
+        return [...context.parents, clip].map(c => c.id).join('/');
+    }
+
+    /**
+     * Step into compound clip `clip` of `sequence` at `time`. Null when its
+     * sequence is missing, already on the path (a compound inside itself)
+     * or nested too deep.
+     * @returns {{sequence: Object, time: number, context: Object}|null}
+     */
+    enterCompound(clip, time, sequence, context) {
+        const nested = this.app.sequences.get(clip.sequenceId);
+        const path = [sequence.id, ...context.parents.map(parent => parent.sequenceId)];
+        if (!nested || path.includes(clip.sequenceId) || context.parents.length >= MAX_DEPTH) return null;
+
+        const track = sequence.tracks.find(t => t.id === clip.track);
+        return {
+            sequence: nested,
+            time: getSourceTime(clip, time),
+            context: {
+                parents: [...context.parents, clip],
+                speed: context.speed * getSpeedAt(clip, time - clip.startTime),
+                audible: context.audible && this.app.timeline.isTrackAudible(track, sequence.tracks),
+                volume: context.volume * getValue(clip, 'volume', time) / 100
+            }
+        };
+    }
+
+    /**
+     * The picture at `time`, bottom to top. Media clips are leaves
+     * {key, clip, time, parents, speed, audible, volume}: `time` is in the
+     * clip's own sequence, `parents` the compound clips around it and
+     * `speed` and `volume` theirs multiplied together. Compound clips are
+     * {key, clip, time, children, text}, their sequence's layers and
+     * titles. Adjustment layers are leaves with nothing to draw.
+     */
+    getLayerTree(time, sequence = this.app.sequences.getCurrent(), context = ROOT) {
+        const { timeline } = this.app;
+        return this.getVisibleClips(time, sequence).flatMap(clip => {
+            const key = this.getKey(clip, context);
+            if (clip.type !== 'compound') {
+                const track = sequence.tracks.find(t => t.id === clip.track);
+                const audible = context.audible && timeline.isTrackAudible(track, sequence.tracks);
+                return [{ key, clip, time, ...context, audible }];
+            }
+
+            const inner = this.enterCompound(clip, time, sequence, context);
+            if (!inner) return [];
+            return [{
+                key,
+                clip,
+                time,
+                children: this.getLayerTree(inner.time, inner.sequence, inner.context),
+                text: this.getVisibleText(inner.time, inner.sequence)
+            }];
+        });
+    }
+
+    getLeaves(nodes) {
+        return nodes.flatMap(node => node.children ? this.getLeaves(node.children) : [node]);
+    }
+
+    // Sounding audio-track clips at `time`, including those inside compound
+    // clips, as leaves like getLayerTree's
+    getAudioLeaves(time, sequence = this.app.sequences.getCurrent(), context = ROOT) {
+        if (!context.audible) return [];
+
+        const { timeline } = this.app;
+        const own = sequence.clips
+            .filter(clip =>
+                clip.audioId != null &&
+                time >= clip.startTime &&
+                time < clip.startTime + clip.duration &&
+                timeline.isTrackAudible(sequence.tracks.find(t => t.id === clip.track), sequence.tracks))
+            .map(clip => ({ key: this.getKey(clip, context), clip, time, ...context }));
+
+        const nested = this.getVisibleClips(time, sequence)
+            .filter(clip => clip.type === 'compound')
+            .flatMap(clip => {
+                const inner = this.enterCompound(clip, time, sequence, context);
+                return inner ? this.getAudioLeaves(inner.time, inner.sequence, inner.context) : [];
+            });
+        return [...own, ...nested];
+    }
+
+    getSource(media, index) {
+        const key = `${media.id}:${index}`;
+        let source = this.sources.get(key);
+
+        if (!source) {
+            source = document.createElement('video');
+            source.muted = true;
+            source.playsInline = true;
+            source.preload = 'auto';
+            source.src = media.url;
+            this.sources.set(key, source);
+        }
+
+        return source;
+    }
+
+    async seekSource(source, time) {
+        if (source.readyState < 1) {
+            await new Promise((resolve, reject) => {
+                source.addEventListener('loadedmetadata', resolve, { once: true });
+                source.addEventListener('error', () => reject(new Error('Could not load media')), { once: true });
+            });
+        }
+
+        const target = Math.min(Math.max(0, time), source.duration);
+        if (Math.abs(source.currentTime - target) < 0.001 && source.readyState >= 2) {
+            return;
+        }
+
+        await new Promise(resolve => {
+            source.addEventListener('seeked', resolve, { once: true });
+            source.currentTime = target;
+        });
+    }
+
+    // Seek a source for every visible clip so `draw` can paint them
+    async prepareLayers(time) {
+        const layers = this.getLayerTree(time);
+        const uses = new Map();
+
+        for (const leaf of this.getLeaves(layers)) {
+            const media = this.app.video.getMedia(leaf.clip.mediaId);
+            if (!media) continue;
+
+            const index = uses.get(media.id) || 0;
+            uses.set(media.id, index + 1);
+
+            const source = this.getSource(media, index);
+            await this.seekSource(source, this.getSourceTime(leaf.clip, leaf.time));
+            leaf.source = source;
+        }
+
+        return layers;
+    }
+
+    /**
+     * Paint one frame of the composition
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} time - timeline seconds
+     * @param {Array<Object>} layers - getLayerTree's nodes, with a `source`
+     *   (CanvasImageSource) on each leaf ready to be drawn
+     * @param {Object} [options]
+     * @param {string} [options.fit] - letterbox, crop or blur, for sources
+     *   whose aspect ratio differs from the canvas
+     * @param {number} [options.effectScale] - resolution spatial effects
+     *   run at, as a fraction of the canvas's; the preview lowers it
+     */
+    draw(ctx, time, layers, { fit = 'letterbox', effectScale = 1 } = {}) {
+        const { width, height } = ctx.canvas;
+
+        ctx.save();
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.translate(width / 2, height / 2);
+        this.drawLayers(ctx, layers, { fit, effectScale, depth: 0 });
+        ctx.restore();
+
+        this.getVisibleText(time).forEach(title => this.drawTitle(ctx, title));
+    }
+
+    // Paint `layers` bottom to top around the context's origin, each
+    // through its clip's effect stack and then its transform
+    drawLayers(ctx, layers, options) {
+        const { effects } = this.app;
+        const { width, height } = ctx.canvas;
+
+        layers.forEach(layer => {
+            const stack = effects.getActiveEffects(layer.clip, layer.time);
+            if (layer.clip.type === 'adjustment') {
+                this.adjust(ctx, stack, layer, options);
+                return;
+            }
+
+            ctx.save();
+            this.applyTransform(ctx, getTransform(layer.clip, layer.time));
+            if (!stack.length) {
+                this.drawLayer(ctx, layer, options);
+                ctx.restore();
+                return;
+            }
+
+            // Effects see the layer alone, on a transparent frame
+            const buffer = this.getBuffer(`effects:${options.depth}`, width, height);
+            const bufferCtx = buffer.getContext('2d');
+            bufferCtx.clearRect(0, 0, width, height);
+            bufferCtx.save();
+            bufferCtx.translate(width / 2, height / 2);
+            this.drawLayer(bufferCtx, layer, options);
+            bufferCtx.restore();
+
+            effects.applyStack(buffer, stack, { time: layer.time, key: layer.key, scale: options.effectScale });
+            this.drawCentered(ctx, buffer, width, height);
+            ctx.restore();
+        });
+    }
+
+    // Position (a percentage of the frame), rotation and scale about the
+    // layer's centre, and opacity
+    applyTransform(ctx, { posX, posY, scale, rotation, opacity }) {
+        const { width, height } = ctx.canvas;
+        ctx.translate(posX / 100 * width, posY / 100 * height);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.scale(scale / 100, scale / 100);
+        ctx.globalAlpha *= Math.min(1, Math.max(0, opacity / 100));
+    }
+
+    // A title transformed about its anchor point
+    drawTitle(ctx, { clip, overlay, time }) {
+        const { width, height } = ctx.canvas;
+        ctx.save();
+        ctx.translate(overlay.x / 100 * width, overlay.y / 100 * height);
+        this.applyTransform(ctx, getTransform(clip, time));
+        this.app.video.drawText({ ...overlay, x: 0, y: 0 }, ctx);
+        ctx.restore();
+    }
+
+    drawLayer(ctx, layer, options) {
+        const { width, height } = ctx.canvas;
+        const { fit } = options;
+
+        if (layer.children) {
+            // A compound clip is already frame-sized
+            this.drawCentered(ctx, this.flatten(layer, width, height, options), width, height);
+            return;
+        }
+
+        const { source } = layer;
+        const sourceWidth = source?.videoWidth || source?.width;
+        const sourceHeight = source?.videoHeight || source?.height;
+        if (!sourceWidth || !sourceHeight) return;
+
+        const contain = Math.min(width / sourceWidth, height / sourceHeight);
+        const cover = Math.max(width / sourceWidth, height / sourceHeight);
+
+        if (fit === 'blur') {
+            // Soft, darkened copy filling the frame behind the fitted picture
+            ctx.filter = `blur(${Math.round(height / 30)}px) brightness(0.7)`;
+            this.drawCentered(ctx, source, sourceWidth * cover, sourceHeight * cover);
+            ctx.filter = 'none';
+        }
+
+        const fitScale = fit === 'crop' ? cover : contain;
+        this.drawCentered(ctx, source, sourceWidth * fitScale, sourceHeight * fitScale);
+    }
+
+    // An adjustment layer: run its stack over everything painted so far
+    adjust(ctx, stack, layer, options) {
+        if (!stack.length) return;
+        const { width, height } = ctx.canvas;
+
+        const buffer = this.getBuffer('adjustment', width, height);
+        const bufferCtx = buffer.getContext('2d');
+        bufferCtx.clearRect(0, 0, width, height);
+        bufferCtx.drawImage(ctx.canvas, 0, 0);
+        this.app.effects.applyStack(buffer, stack, { time: layer.time, key: layer.key, scale: options.effectScale });
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(buffer, 0, 0);
+        ctx.restore();
+    }
+
+    getBuffer(key, width, height) {
+        let buffer = this.buffers.get(key);
+        if (!buffer) {
+            buffer = document.createElement('canvas');
+            this.buffers.set(key, buffer);
+        }
+        if (buffer.width !== width || buffer.height !== height) {
+            buffer.width = width;
+            buffer.height = height;
+        }
+        return buffer;
+    }
+
+    // Draw a compound clip's layers and titles onto its own transparent
+    // canvas, so it is transformed and given effects as one picture
+    flatten(node, width, height, options) {
+        const buffer = this.getBuffer(`flatten:${options.depth}`, width, height);
+        const ctx = buffer.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        ctx.save();
+        ctx.translate(width / 2, height / 2);
+        this.drawLayers(ctx, node.children, { ...options, depth: options.depth + 1 });
+        ctx.restore();
+        node.text.forEach(title => this.drawTitle(ctx, title));
+        return buffer;
+    }
+
+    drawCentered(ctx, source, drawWidth, drawHeight) {
+        ctx.drawImage(source, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    }
+
+    async renderAt(ctx, time, options) {
+        const layers = await this.prepareLayers(time);
+        this.draw(ctx, time, layers, options);
+    }
+
+    releaseSources() {
+        this.sources.forEach(source => {
+            source.removeAttribute('src');
+            source.load();
+        });
+        this.sources.clear();
+        this.buffers.clear();
+    }
+}
@@ -1,253 +1,506 @@
 /**
  * Vici Video Editor - Effects Manager
- * Handles filters, color correction, and visual effects
+ * Per-clip effect stacks: filters, color correction, and visual effects
  */
 
+import { createId } from './utils.js';
+import { getValue, hasKeyframes } from './keyframes.js';
+import { createGrade, describeGrade, gradePasses } from './grading.js';
+import { getLut } from './luts.js';
+import {
+    FramePipeline, blurPass, colorPass, denoisePass, frameSeed, glitchPass, grainPass, lutPass, temporalPass,
+    unsharpPass, vignettePass
+} from './pipeline.js';
+
+// Filter presets as colour operations, applied in order
+const FILTER_PRESETS = {
+    vintage: [['sepia', 0.4], ['saturate', 0.8], ['contrast', 1.1], ['brightness', 0.95]],
+    cinematic: [['contrast', 1.2], ['saturate', 0.9], ['brightness', 0.95]],
+    bw: [['grayscale', 1], ['contrast', 1.1]],
+    warm: [['sepia', 0.2], ['saturate', 1.3], ['brightness', 1.02]],
+    cool: [['saturate', 0.9], ['hue-rotate', 15], ['brightness', 1.02]],
+    vivid: [['saturate', 1.5], ['contrast', 1.1]],
+    matte: [['contrast', 0.9], ['brightness', 1.1], ['saturate', 0.8]],
+    neon: [['saturate', 1.8], ['brightness', 1.1], ['contrast', 1.1]],
+    retro: [['sepia', 0.3], ['contrast', 1.1], ['brightness', 0.95], ['saturate', 0.9]],
+    dramatic: [['contrast', 1.4], ['saturate', 0.8], ['brightness', 0.9]],
+    sepia: [['sepia', 0.8]]
+};
+
+const FILTER_NAMES = {
+    vintage: 'Vintage', cinematic: 'Cinematic', bw: 'B&W', warm: 'Warm', cool: 'Cool', vivid: 'Vivid',
+    matte: 'Matte', neon: 'Neon', retro: 'Retro', dramatic: 'Dramatic', sepia: 'Sepia'
+};
+
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+/**
+ * Everything an effect stack can hold. `passes` turns an effect's params
+ * into the pixel passes the frame pipeline runs, given the frame being
+ * processed ({width, height, time, key}); sizes are authored for a 1080p
+ * frame. `spatial` effects read neighbouring pixels, so the preview may
+ * run them at reduced resolution.
+ */
+export const EFFECT_TYPES = {
+    brightness: {
+        name: 'Brightness',
+        params: { amount: 0 },
+        passes: ({ amount }) => [colorPass(['brightness', 1 + amount / 100])],
+        describe: ({ amount }) => signed(amount)
+    },
+    contrast: {
+        name: 'Contrast',
+        params: { amount: 0 },
+        passes: ({ amount }) => [colorPass(['contrast', 1 + amount / 100])],
+        describe: ({ amount }) => signed(amount)
+    },
+    saturation: {
+        name: 'Saturation',
+        params: { amount: 0 },
+        passes: ({ amount }) => [colorPass(['saturate', 1 + amount / 100])],
+        describe: ({ amount }) => signed(amount)
+    },
+    // Unsharp mask: amount 0-100 adds up to twice the detail a blur of
+    // `radius` pixels takes away, where it differs by at least `threshold`
+    // levels
+    sharpness: {
+        name: 'Sharpness',
+        params: { amount: 0, radius: 1.5, threshold: 0 },
+        spatial: true,
+        passes: ({ amount, radius = 1.5, threshold = 0 }, { height }) => [
+            unsharpPass(amount / 50, radius * height / 1080, threshold)
+        ],
+        describe: ({ amount, radius = 1.5 }) => `${amount} · ${radius}px`
+    },
+    // Spatial strength smooths within the frame, keeping edges; temporal
+    // strength averages still areas with the previous frame while playing
+    denoise: {
+        name: 'Denoise',
+        params: { strength: 50, temporal: 0 },
+        spatial: true,
+        passes: ({ strength, temporal }, { height, time, key }) => [
+            denoisePass(2 * height / 1080, strength > 0 ? 0.02 + 0.13 * strength / 100 : 0),
+            temporalPass(0.85 * temporal / 100, key, time)
+        ],
+        describe: ({ strength, temporal }) => `${strength}%${temporal ? ` · temporal ${temporal}%` : ''}`
+    },
+    filter: {
+        name: 'Filter',
+        params: { preset: 'vintage' },
+        passes: ({ preset }) => (FILTER_PRESETS[preset] ? [colorPass(...FILTER_PRESETS[preset])] : []),
+        describe: ({ preset }) => FILTER_NAMES[preset] || preset
+    },
+    // Primary color correction, edited in the Enhance tab
+    grade: {
+        name: 'Color Correction',
+        params: createGrade(),
+        passes: (params) => gradePasses(params),
+        describe: (params) => describeGrade(params)
+    },
+    // An imported .cube LUT from the library; draws nothing while the
+    // library doesn't have it
+    lut: {
+        name: 'LUT',
+        params: { lutId: null, intensity: 100, interpolation: 'tetrahedral' },
+        passes: ({ lutId, intensity, interpolation }) => [lutPass(getLut(lutId), intensity / 100, interpolation)],
+        describe: ({ lutId, intensity }) => `${getLut(lutId)?.name ?? 'Missing LUT'} · ${intensity}%`
+    },
+    blur: {
+        name: 'Blur',
+        params: { radius: 3 },
+        spatial: true,
+        passes: ({ radius }, { height }) => [blurPass(radius * height / 1080)],
+        describe: ({ radius }) => `${radius}px`
+    },
+    vignette: {
+        name: 'Vignette',
+        params: {},
+        passes: () => [vignettePass(0.6)]
+    },
+    grain: {
+        name: 'Film Grain',
+        params: {},
+        passes: (params, { height, time }) => [grainPass(0.1, frameSeed(time), height / 1080)]
+    },
+    glitch: {
+        name: 'Glitch',
+        params: {},
+        passes: (params, { height, time }) => [glitchPass(frameSeed(time), height / 1080)]
+    }
+};
+
+export function createEffect(type, params = {}) {
+    return { id: createId(), type, enabled: true, params: structuredClone({ ...EFFECT_TYPES[type].params, ...params }) };
+}
+
+/**
+ * The stack matching the project-wide `effects` and `currentFilter`
+ * older project files have, in the order they used to be applied
+ */
+export function legacyEffectStack(effects = {}, currentFilter = 'none') {
+    const stack = ['brightness', 'contrast', 'saturation']
+        .filter(type => effects[type])
+        .map(type => createEffect(type, { amount: effects[type] }));
+    if (effects.sharpness > 0) stack.push(createEffect('sharpness', { amount: effects.sharpness }));
+    if (effects.blur) stack.push(createEffect('blur'));
+    if (FILTER_PRESETS[currentFilter]) stack.push(createEffect('filter', { preset: currentFilter }));
+    ['vignette', 'grain', 'glitch']
+        .filter(type => effects[type])
+        .forEach(type => stack.push(createEffect(type)));
+    return stack;
+}
+
+// Enhance presets: the adjustments they set on the selected clips
+const ENHANCE_PRESETS = {
+    auto: { label: 'Auto-enhance applied!', amounts: { brightness: 5, contrast: 10, saturation: 15, sharpness: 20 } },
+    hd: { label: 'HD enhancement applied!', amounts: { sharpness: 40, contrast: 5 }, params: { sharpness: { radius: 1 } } }
+};
+
+// Color grades: adjustments plus a filter preset
+const COLOR_GRADES = {
+    'teal-orange': { amounts: { brightness: 0, contrast: 15, saturation: 20 }, filter: 'none' },
+    'moody-blue': { amounts: { brightness: -10, contrast: 20, saturation: -20 }, filter: 'cool' },
+    'golden-hour': { amounts: { brightness: 10, contrast: 5, saturation: 30 }, filter: 'warm' },
+    'noir': { amounts: { brightness: 0, contrast: 30, saturation: -100 }, filter: 'bw' }
+};
+
+const ADJUSTMENTS = ['brightness', 'contrast', 'saturation', 'sharpness'];
+
 export class EffectsManager {
     constructor(app) {
         this.app = app;
-        this.video = document.getElementById('previewVideo');
-        this.canvas = document.getElementById('previewCanvas');
-        this.previewWrapper = document.getElementById('previewWrapper');
+        this.stackList = document.getElementById('effectStackList');
+        this.targetLabels = document.querySelectorAll('.effects-target');
+        this.pipeline = new FramePipeline();
+        // Smaller copy of a frame for reduced-resolution previews
+        this.reducedCanvas = null;
+        this.lutInterpolation = document.getElementById('lutInterpolationSelect');
+
+        document.getElementById('addAdjustmentBtn')?.addEventListener('click', () => {
+            this.app.timeline.addAdjustmentLayer();
+        });
+
+        this.lutInterpolation?.addEventListener('change', () => {
+            this.app.history.transact('Change LUT interpolation', ['clips'], () => {
+                this.setLutParams({ interpolation: this.lutInterpolation.value });
+            });
+        });
 
-        // Effect overlays
-        this.vignetteOverlay = null;
-        this.grainOverlay = null;
+        this.syncControls();
     }
 
-    applyFilter(filterName) {
-        // Remove all filter classes
-        this.video.className = 'preview-video';
-        this.canvas.className = 'preview-canvas';
+    // Clips with a picture of their own or, for adjustment layers, one
+    // they change
+    canHaveEffects(clip) {
+        return this.app.timeline.isVideoClip(clip) || clip.type === 'compound' || clip.type === 'adjustment';
+    }
 
-        // Apply new filter
-        if (filterName !== 'none') {
-            this.video.classList.add(`filter-${filterName}`);
-            this.canvas.classList.add(`filter-${filterName}`);
-        }
+    // Selected clips the Enhance and Effects tabs edit
+    getTargetClips() {
+        const { timeline } = this.app;
+        return timeline.getSelectedClips().filter(clip => this.canHaveEffects(clip) && !timeline.isLocked(clip));
     }
 
-    applyEffects() {
-        const effects = this.app.state.effects;
-        
-        // Build CSS filter string
-        let filters = [];
-        
-        if (effects.brightness !== 0) {
-            filters.push(`brightness(${1 + effects.brightness / 100})`);
-        }
-        if (effects.contrast !== 0) {
-            filters.push(`contrast(${1 + effects.contrast / 100})`);
-        }
-        if (effects.saturation !== 0) {
-            filters.push(`saturate(${1 + effects.saturation / 100})`);
-        }
-        if (effects.sharpness > 0) {
-            // Sharpness simulated via contrast
-            filters.push(`contrast(${1 + effects.sharpness / 200})`);
+    // The clip whose stack the panels show: the primary selection, else
+    // the first selected clip that takes effects
+    getClip() {
+        const clips = this.getTargetClips();
+        return clips.find(clip => clip.id === this.app.state.selectedClip) || clips[0] || null;
+    }
+
+    // Enabled effects of a clip's stack; at `time` the first effect of an
+    // animated type takes its keyframed amount
+    getActiveEffects(clip, time) {
+        const animated = new Set();
+        return (clip.effects || [])
+            .map(effect => {
+                if (time === undefined || animated.has(effect.type) || !hasKeyframes(clip, effect.type)) return effect;
+                animated.add(effect.type);
+                return { ...effect, params: { ...effect.params, amount: getValue(clip, effect.type, time) } };
+            })
+            .filter(effect => effect.enabled && EFFECT_TYPES[effect.type]);
+    }
+
+    // The first `type` effect of a clip's stack, added to the end if missing
+    ensureEffect(clip, type) {
+        clip.effects = clip.effects || [];
+        let effect = clip.effects.find(e => e.type === type);
+        if (!effect) {
+            effect = createEffect(type);
+            clip.effects.push(effect);
         }
-        if (effects.blur) {
-            filters.push('blur(3px)');
+        return effect;
+    }
+
+    /**
+     * Set params of the first `type` effect on every target clip, adding
+     * one to the end of stacks without it. Returns false when no clip is
+     * selected.
+     */
+    updateEffect(type, params = {}) {
+        const clips = this.getTargetClips();
+        if (!clips.length) {
+            this.app.showToast('Select a clip to add effects to', 'warning');
+            this.syncControls();
+            return false;
         }
 
-        // Apply current filter preset on top
-        const currentFilter = this.app.state.currentFilter;
-        const filterPresets = {
-            vintage: 'sepia(0.4) saturate(0.8) contrast(1.1) brightness(0.95)',
-            cinematic: 'contrast(1.2) saturate(0.9) brightness(0.95)',
-            bw: 'grayscale(1) contrast(1.1)',
-            warm: 'sepia(0.2) saturate(1.3) brightness(1.02)',
-            cool: 'saturate(0.9) hue-rotate(15deg) brightness(1.02)',
-            vivid: 'saturate(1.5) contrast(1.1)',
-            matte: 'contrast(0.9) brightness(1.1) saturate(0.8)',
-            neon: 'saturate(1.8) brightness(1.1) contrast(1.1)',
-            retro: 'sepia(0.3) contrast(1.1) brightness(0.95) saturate(0.9)',
-            dramatic: 'contrast(1.4) saturate(0.8) brightness(0.9)',
-            sepia: 'sepia(0.8)'
-        };
-
-        let finalFilter = filters.join(' ');
-        if (currentFilter !== 'none' && filterPresets[currentFilter]) {
-            finalFilter += ' ' + filterPresets[currentFilter];
+        clips.forEach(clip => {
+            const effect = this.ensureEffect(clip, type);
+            Object.assign(effect.params, params);
+            effect.enabled = true;
+        });
+        this.changed();
+        return true;
+    }
+
+    removeEffectType(type) {
+        this.getTargetClips().forEach(clip => {
+            clip.effects = (clip.effects || []).filter(effect => effect.type !== type);
+        });
+        this.changed();
+    }
+
+    setAdjustment(type, amount) {
+        this.updateEffect(type, { amount });
+    }
+
+    setFilter(preset) {
+        if (preset === 'none' || !FILTER_PRESETS[preset]) this.removeEffectType('filter');
+        else this.updateEffect('filter', { preset });
+    }
+
+    // LUT cards add the LUT, or take it off when the shown clip has it
+    toggleLut(lutId) {
+        if (this.getClip()?.effects?.some(effect => effect.type === 'lut' && effect.params.lutId === lutId)) {
+            this.removeEffectType('lut');
+        } else {
+            this.updateEffect('lut', { lutId });
         }
+    }
+
+    // Intensity or interpolation of the LUTs on the target clips
+    setLutParams(params) {
+        this.getTargetClips().forEach(clip => {
+            const effect = clip.effects?.find(e => e.type === 'lut');
+            if (effect) Object.assign(effect.params, params);
+        });
+        this.changed();
+    }
+
+    // Effect buttons add the effect, or take it off when the shown clip has it
+    toggleEffect(type) {
+        if (this.getClip()?.effects?.some(effect => effect.type === type)) this.removeEffectType(type);
+        else this.updateEffect(type);
+    }
+
+    // Edit the shown clip's stack as one history step
+    editStack(label, mutate) {
+        const clip = this.getClip();
+        if (!clip) return;
+
+        this.app.history.transact(label, ['clips'], () => {
+            clip.effects = clip.effects || [];
+            mutate(clip.effects);
+            this.changed();
+        });
+    }
+
+    moveEffect(effectId, step) {
+        this.editStack('Reorder effects', (effects) => {
+            const index = effects.findIndex(effect => effect.id === effectId);
+            const target = index + step;
+            if (index < 0 || target < 0 || target >= effects.length) return;
+            effects.splice(target, 0, ...effects.splice(index, 1));
+        });
+    }
+
+    setEnabled(effectId, enabled) {
+        this.editStack(enabled ? 'Enable effect' : 'Disable effect', (effects) => {
+            const effect = effects.find(e => e.id === effectId);
+            if (effect) effect.enabled = enabled;
+        });
+    }
 
-        this.video.style.filter = finalFilter.trim() || 'none';
-        this.canvas.style.filter = finalFilter.trim() || 'none';
+    removeEffect(effectId) {
+        this.editStack('Remove effect', (effects) => {
+            const index = effects.findIndex(effect => effect.id === effectId);
+            if (index >= 0) effects.splice(index, 1);
+        });
+    }
 
-        // Handle overlay effects
-        this.toggleVignette(effects.vignette);
-        this.toggleGrain(effects.grain);
+    changed() {
+        this.app.timeline.renderClips();
+        this.syncControls();
     }
 
-    toggleVignette(enabled) {
-        if (enabled && !this.vignetteOverlay) {
-            this.vignetteOverlay = document.createElement('div');
-            this.vignetteOverlay.className = 'vignette-overlay';
-            this.previewWrapper.appendChild(this.vignetteOverlay);
-        } else if (!enabled && this.vignetteOverlay) {
-            this.vignetteOverlay.remove();
-            this.vignetteOverlay = null;
+    /**
+     * Run a stack over a layer drawn on `canvas`, in order, baking it into
+     * the pixels. The canvas is frame-sized and transparent outside the
+     * layer's picture.
+     * @param {Object} [options]
+     * @param {number} [options.time] - the layer's, for effects that change
+     *   from frame to frame
+     * @param {string} [options.key] - the layer's, for effects that carry
+     *   state from one frame to the next
+     * @param {number} [options.scale] - below 1, stacks with spatial effects
+     *   run on a copy this much smaller, for a faster preview
+     */
+    applyStack(canvas, effects, { time = 0, key = null, scale = 1 } = {}) {
+        const reduced = scale < 1 && effects.some(({ type }) => EFFECT_TYPES[type].spatial);
+        const target = reduced
+            ? this.getReducedCanvas(Math.max(1, Math.round(canvas.width * scale)), Math.max(1, Math.round(canvas.height * scale)))
+            : canvas;
+        if (reduced) {
+            const ctx = target.getContext('2d');
+            ctx.clearRect(0, 0, target.width, target.height);
+            ctx.drawImage(canvas, 0, 0, target.width, target.height);
+        }
+
+        const frame = { width: target.width, height: target.height, time, key };
+        this.pipeline.run(target, effects.flatMap(({ type, params }) => EFFECT_TYPES[type].passes(params, frame)));
+
+        if (reduced) {
+            const ctx = canvas.getContext('2d');
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(target, 0, 0, canvas.width, canvas.height);
+            ctx.restore();
         }
     }
 
-    toggleGrain(enabled) {
-        if (enabled && !this.grainOverlay) {
-            this.grainOverlay = document.createElement('div');
-            this.grainOverlay.className = 'grain-overlay';
-            this.previewWrapper.appendChild(this.grainOverlay);
-        } else if (!enabled && this.grainOverlay) {
-            this.grainOverlay.remove();
-            this.grainOverlay = null;
+    getReducedCanvas(width, height) {
+        if (!this.reducedCanvas) this.reducedCanvas = document.createElement('canvas');
+        if (this.reducedCanvas.width !== width || this.reducedCanvas.height !== height) {
+            this.reducedCanvas.width = width;
+            this.reducedCanvas.height = height;
         }
+        return this.reducedCanvas;
     }
 
     autoEnhance(type) {
-        switch (type) {
-            case 'auto':
-                // Auto-enhance: subtle improvements
-                this.app.state.effects.brightness = 5;
-                this.app.state.effects.contrast = 10;
-                this.app.state.effects.saturation = 15;
-                this.app.state.effects.sharpness = 20;
-                
-                // Update slider values
-                this.updateSlider('brightnessSlider', 'brightnessValue', 5);
-                this.updateSlider('contrastSlider', 'contrastValue', 10);
-                this.updateSlider('saturationSlider', 'saturationValue', 15);
-                this.updateSlider('sharpnessSlider', 'sharpnessValue', 20);
-                
-                this.applyEffects();
-                this.app.showToast('Auto-enhance applied!', 'success');
-                break;
-                
-            case 'hd':
-                // HD upscale simulation
-                this.app.state.effects.sharpness = 40;
-                this.app.state.effects.contrast = 5;
-                
-                this.updateSlider('sharpnessSlider', 'sharpnessValue', 40);
-                this.updateSlider('contrastSlider', 'contrastValue', 5);
-                
-                this.applyEffects();
-                this.app.showToast('HD enhancement applied!', 'success');
-                break;
+        const preset = ENHANCE_PRESETS[type];
+        if (!preset) return;
+        if (!this.getTargetClips().length) {
+            this.app.showToast('Select a clip to enhance', 'warning');
+            return;
         }
+
+        Object.entries(preset.amounts).forEach(([effect, amount]) => {
+            this.updateEffect(effect, { amount, ...preset.params?.[effect] });
+        });
+        this.app.showToast(preset.label, 'success');
     }
 
-    updateSlider(sliderId, valueId, value) {
+    // Color grading presets
+    applyColorGrade(grade) {
+        const settings = COLOR_GRADES[grade];
+        if (!settings || !this.getTargetClips().length) return;
+
+        Object.entries(settings.amounts).forEach(([effect, amount]) => this.updateEffect(effect, { amount }));
+        this.setFilter(settings.filter);
+    }
+
+    updateSlider(sliderId, valueId, value, format = (v) => v) {
         const slider = document.getElementById(sliderId);
         const valueEl = document.getElementById(valueId);
         if (slider) slider.value = value;
-        if (valueEl) valueEl.textContent = value;
-    }
-
-    resetEffects() {
-        this.app.state.effects = {
-            brightness: 0,
-            contrast: 0,
-            saturation: 0,
-            sharpness: 0,
-            vignette: false,
-            grain: false,
-            blur: false,
-            glitch: false
-        };
-        
-        this.app.state.currentFilter = 'none';
-        
-        // Reset all sliders
-        this.updateSlider('brightnessSlider', 'brightnessValue', 0);
-        this.updateSlider('contrastSlider', 'contrastValue', 0);
-        this.updateSlider('saturationSlider', 'saturationValue', 0);
-        this.updateSlider('sharpnessSlider', 'sharpnessValue', 0);
-        
-        // Reset filter selection
+        if (valueEl) valueEl.textContent = format(value);
+    }
+
+    // Bring sliders, filter cards, effect buttons and the stack list in
+    // line with the shown clip
+    syncControls() {
+        const clip = this.getClip();
+        const effects = clip?.effects || [];
+        const find = (type) => effects.find(effect => effect.type === type);
+
+        // Animated adjustments show their value at the playhead
+        ADJUSTMENTS.forEach(type => {
+            const amount = clip && hasKeyframes(clip, type)
+                ? getValue(clip, type, this.app.state.currentTime)
+                : find(type)?.params.amount ?? 0;
+            this.updateSlider(`${type}Slider`, `${type}Value`, Math.round(amount));
+        });
+
+        const { radius = 1.5, threshold = 0 } = find('sharpness')?.params || {};
+        this.updateSlider('sharpenRadiusSlider', 'sharpenRadiusValue', Math.round(radius * 10), (v) => `${(v / 10).toFixed(1)}px`);
+        this.updateSlider('sharpenThresholdSlider', 'sharpenThresholdValue', threshold);
+        const { strength = 0, temporal = 0 } = find('denoise')?.params || {};
+        this.updateSlider('denoiseSlider', 'denoiseValue', strength, (v) => `${v}%`);
+        this.updateSlider('temporalDenoiseSlider', 'temporalDenoiseValue', temporal, (v) => `${v}%`);
+
+        const preset = find('filter')?.params.preset || 'none';
+        const lut = find('lut');
         document.querySelectorAll('.filter-card').forEach(card => {
-            card.classList.toggle('active', card.dataset.filter === 'none');
+            const active = card.dataset.lut ? card.dataset.lut === String(lut?.params.lutId) : card.dataset.filter === preset;
+            card.classList.toggle('active', active);
         });
-        
-        // Reset effect buttons
+
+        // LUT controls edit the shown clip's LUT, so need one
+        this.updateSlider('lutIntensitySlider', 'lutIntensityValue', lut?.params.intensity ?? 100, (v) => `${v}%`);
+        const intensity = document.getElementById('lutIntensitySlider');
+        if (intensity) intensity.disabled = !lut;
+        if (this.lutInterpolation) {
+            this.lutInterpolation.value = lut?.params.interpolation || 'tetrahedral';
+            this.lutInterpolation.disabled = !lut;
+        }
+
         document.querySelectorAll('.effect-btn').forEach(btn => {
-            btn.classList.remove('active');
+            btn.classList.toggle('active', !!find(btn.dataset.effect));
         });
-        
-        this.applyEffects();
-        this.app.showToast('Effects reset', 'success');
-    }
-
-    // Glitch effect
-    applyGlitch() {
-        if (!this.app.state.effects.glitch) return;
-        
-        const canvas = this.canvas;
-        const ctx = canvas.getContext('2d');
-        
-        // Random glitch slices
-        const sliceCount = Math.floor(Math.random() * 5) + 2;
-        
-        for (let i = 0; i < sliceCount; i++) {
-            const y = Math.random() * canvas.height;
-            const height = Math.random() * 30 + 5;
-            const offset = (Math.random() - 0.5) * 40;
-            
-            const imageData = ctx.getImageData(0, y, canvas.width, height);
-            ctx.putImageData(imageData, offset, y);
-        }
-        
-        // Color channel shift
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        const shift = Math.floor(Math.random() * 10) + 2;
-        
-        for (let i = 0; i < data.length; i += 4) {
-            // Shift red channel
-            if (i + shift * 4 < data.length) {
-                data[i] = data[i + shift * 4];
-            }
-        }
-        
-        ctx.putImageData(imageData, 0, 0);
+
+        this.targetLabels.forEach(label => {
+            label.textContent = clip ? `Editing ${clip.name}` : 'Select a clip to edit its effects';
+            label.classList.toggle('empty', !clip);
+        });
+
+        this.renderStack(clip);
+        this.app.grading?.render();
     }
 
-    // Color grading presets
-    applyColorGrade(grade) {
-        const grades = {
-            'teal-orange': {
-                brightness: 0,
-                contrast: 15,
-                saturation: 20,
-                filter: 'none'
-            },
-            'moody-blue': {
-                brightness: -10,
-                contrast: 20,
-                saturation: -20,
-                filter: 'cool'
-            },
-            'golden-hour': {
-                brightness: 10,
-                contrast: 5,
-                saturation: 30,
-                filter: 'warm'
-            },
-            'noir': {
-                brightness: 0,
-                contrast: 30,
-                saturation: -100,
-                filter: 'bw'
-            }
-        };
-
-        const settings = grades[grade];
-        if (!settings) return;
-
-        Object.assign(this.app.state.effects, {
-            brightness: settings.brightness,
-            contrast: settings.contrast,
-            saturation: settings.saturation
+    // The shown clip's stack, applied top to bottom
+    renderStack(clip) {
+        if (!this.stackList) return;
+        this.stackList.innerHTML = '';
+
+        if (!clip?.effects?.length) {
+            this.stackList.innerHTML = '<div class="effect-stack-empty">No effects. Pick a filter or effect to add one</div>';
+            return;
+        }
+
+        clip.effects.forEach((effect, index) => {
+            const type = EFFECT_TYPES[effect.type];
+            const item = document.createElement('div');
+            item.className = 'effect-stack-item';
+            item.classList.toggle('disabled', !effect.enabled);
+            item.innerHTML = `
+                <input type="checkbox" class="effect-enabled" title="Enable effect">
+                <span class="effect-stack-name"></span>
+                <span class="effect-stack-detail"></span>
+                <button class="layer-btn effect-up" title="Move up">↑</button>
+                <button class="layer-btn effect-down" title="Move down">↓</button>
+                <button class="layer-btn effect-delete" title="Remove effect">✕</button>
+            `;
+
+            const enabled = item.querySelector('.effect-enabled');
+            enabled.checked = effect.enabled;
+            enabled.addEventListener('change', () => this.setEnabled(effect.id, enabled.checked));
+
+            item.querySelector('.effect-stack-name').textContent = type?.name || effect.type;
+            item.querySelector('.effect-stack-detail').textContent = type?.describe?.(effect.params) ?? '';
+
+            const up = item.querySelector('.effect-up');
+            up.disabled = index === 0;
+            up.addEventListener('click', () => this.moveEffect(effect.id, -1));
+
+            const down = item.querySelector('.effect-down');
+            down.disabled = index === clip.effects.length - 1;
+            down.addEventListener('click', () => this.moveEffect(effect.id, 1));
+
+            item.querySelector('.effect-delete').addEventListener('click', () => this.removeEffect(effect.id));
+            this.stackList.appendChild(item);
         });
-        
-        this.app.state.currentFilter = settings.filter;
-        this.applyEffects();
     }
 }
@@ -0,0 +1,324 @@
+/**
+ * Vici Video Editor - Export Manager
+ * Renders the timeline frame by frame and encodes it to a video file
+ */
+
+import { WebMMuxer } from './webm.js';
+import { getFrameRate } from './timecode.js';
+
+// WebCodecs codec strings paired with their Matroska codec IDs
+const VIDEO_CODECS = {
+    vp9: { codec: 'vp09.00.51.08', codecId: 'V_VP9' },
+    vp8: { codec: 'vp8', codecId: 'V_VP8' }
+};
+
+// Output settings for each `.export-option` card, keyed by data-preset.
+// Exports run at the project frame rate unless a preset sets `fps`.
+export const EXPORT_PRESETS = {
+    '720': { width: 1280, height: 720, bitrate: 5e6, container: 'webm', codec: 'vp9' },
+    '1080': { width: 1920, height: 1080, bitrate: 8e6, container: 'webm', codec: 'vp9' },
+    '4k': { width: 3840, height: 2160, bitrate: 35e6, container: 'webm', codec: 'vp9' },
+    // High frame rate upload, whatever the project's rate
+    youtube: { width: 1920, height: 1080, fps: 60, bitrate: 12e6, container: 'webm', codec: 'vp9' },
+    vertical: { width: 1080, height: 1920, bitrate: 8e6, container: 'webm', codec: 'vp9' },
+    square: { width: 1080, height: 1080, bitrate: 6e6, container: 'webm', codec: 'vp9' }
+};
+
+const AUDIO_SAMPLE_RATE = 48000;
+const AUDIO_CHANNELS = 2;
+const AUDIO_CHUNK_FRAMES = 960; // 20ms of audio per encoded packet
+
+export class ExportManager {
+    constructor(app) {
+        this.app = app;
+        this.isExporting = false;
+        this.cancelled = false;
+    }
+
+    async export() {
+        if (this.isExporting) return;
+
+        if (this.app.timeline.getDuration() <= 0) {
+            this.app.showToast('Add clips to the timeline before exporting', 'warning');
+            return;
+        }
+
+        const { start, end } = this.getExportRange();
+        const duration = end - start;
+        if (duration <= 0) {
+            this.app.showToast('The In to Out range is empty', 'warning');
+            return;
+        }
+
+        const presetId = this.getSelectedPresetId();
+        const preset = EXPORT_PRESETS[presetId];
+        const fit = document.getElementById('exportFit')?.value || 'letterbox';
+        const progressEl = document.getElementById('exportProgress');
+        const progressFill = document.getElementById('progressFill');
+        const progressText = document.getElementById('progressText');
+        const confirmBtn = document.getElementById('confirmExportBtn');
+
+        const setProgress = (fraction, message) => {
+            progressFill.style.width = `${Math.round(fraction * 100)}%`;
+            progressText.textContent = message;
+        };
+
+        this.isExporting = true;
+        this.cancelled = false;
+        progressEl.classList.remove('hidden');
+        confirmBtn.disabled = true;
+        this.app.video.pause();
+
+        try {
+            const blob = await this.render({
+                fps: getFrameRate(this.app.state.frameRate).fps,
+                ...preset,
+                start,
+                duration,
+                fit,
+                onProgress: setProgress
+            });
+
+            setProgress(1, 'Export complete!');
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `vici-export-${presetId}.${preset.container}`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+            this.app.showToast('Video exported successfully!', 'success');
+        } catch (err) {
+            if (this.cancelled) {
+                this.app.showToast('Export cancelled', 'warning');
+            } else {
+                console.error('Export error:', err);
+                this.app.showToast(`Export failed: ${err.message}`, 'error');
+            }
+        } finally {
+            this.isExporting = false;
+            this.app.compositor.releaseSources();
+
+            setTimeout(() => {
+                this.app.hideModal('exportModal');
+                progressEl.classList.add('hidden');
+                progressFill.style.width = '0%';
+                confirmBtn.disabled = false;
+            }, 1000);
+        }
+    }
+
+    cancel() {
+        if (this.isExporting) {
+            this.cancelled = true;
+        }
+    }
+
+    getSelectedPresetId() {
+        const id = document.querySelector('.export-option.active')?.dataset.preset;
+        return EXPORT_PRESETS[id] ? id : '1080';
+    }
+
+    // Timeline span to export: the In/Out range when one is marked and
+    // chosen in the dialog, else everything
+    getExportRange() {
+        const range = this.app.timeline.getInOutRange();
+        if (range && document.getElementById('exportRange')?.value === 'inout') {
+            return range;
+        }
+        return { start: 0, end: this.app.timeline.getDuration() };
+    }
+
+    // Offer the In/Out range only when one is marked
+    updateRangeOptions() {
+        const range = this.app.timeline.getInOutRange();
+        document.getElementById('exportRangeGroup')?.classList.toggle('hidden', !range);
+        if (!range) return;
+
+        const option = document.getElementById('exportRangeInOut');
+        option.textContent = `In to Out (${this.app.formatTime(range.start)} – ${this.app.formatTime(range.end)})`;
+        document.getElementById('exportRange').value = 'inout';
+    }
+
+    // Aspect ratio of the first video clip's source, or null if there is none
+    getSourceAspect() {
+        const first = this.app.state.clips.find(c => this.app.timeline.isVideoClip(c));
+        const media = first && this.app.video.getMedia(first.mediaId);
+        return media?.width && media?.height ? media.width / media.height : null;
+    }
+
+    // Only ask how to fit the picture when the preset's shape differs from the source
+    updateFitOptions() {
+        const preset = EXPORT_PRESETS[this.getSelectedPresetId()];
+        const sourceAspect = this.getSourceAspect();
+        const mismatch = sourceAspect !== null &&
+            Math.abs(sourceAspect - preset.width / preset.height) > 0.01;
+        document.getElementById('exportFitGroup')?.classList.toggle('hidden', !mismatch);
+    }
+
+    /**
+     * Render and encode the whole timeline
+     * @param {Object} options
+     * @param {number} [options.start] - timeline time of the first frame
+     * @param {number} options.duration - seconds
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {number} options.fps
+     * @param {number} options.bitrate
+     * @param {string} options.codec - key of VIDEO_CODECS
+     * @param {string} options.fit - letterbox, crop or blur
+     * @param {(fraction: number, message: string) => void} options.onProgress
+     * @returns {Promise<Blob>} WebM file
+     */
+    async render({ start = 0, duration, width, height, fps, bitrate, codec, fit, onProgress }) {
+        if (!('VideoEncoder' in window)) {
+            throw new Error('this browser does not support video encoding (WebCodecs)');
+        }
+
+        const videoConfig = await this.findVideoConfig(codec, { width, height, bitrate, framerate: fps });
+        if (!videoConfig) {
+            throw new Error(`no supported video codec for ${width}x${height}`);
+        }
+
+        onProgress(0, 'Mixing audio...');
+        const mix = await this.app.audio.renderMix(duration, AUDIO_SAMPLE_RATE, start);
+        const audioConfig = await this.findAudioConfig();
+        if (!audioConfig) {
+            this.app.showToast('Audio encoding unsupported, exporting without sound', 'warning');
+        }
+
+        const muxer = new WebMMuxer({
+            video: { codecId: videoConfig.codecId, width, height, fps },
+            audio: audioConfig ? { sampleRate: AUDIO_SAMPLE_RATE, channels: AUDIO_CHANNELS } : null
+        });
+
+        if (audioConfig) {
+            await this.encodeAudio(mix, audioConfig, muxer);
+        }
+
+        await this.encodeVideo({ start, duration, width, height, fps, fit, videoConfig, muxer, onProgress });
+
+        onProgress(1, 'Finalizing...');
+        return muxer.finalize(duration * 1000);
+    }
+
+    // Try the preset's codec first, then fall back to the others
+    async findVideoConfig(preferred, base) {
+        const names = [preferred, ...Object.keys(VIDEO_CODECS).filter(name => name !== preferred)];
+
+        for (const name of names) {
+            const { codec, codecId } = VIDEO_CODECS[name];
+            const config = { ...base, codec };
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) return { ...config, codecId };
+        }
+        return null;
+    }
+
+    async findAudioConfig() {
+        if (!('AudioEncoder' in window)) return null;
+
+        const config = {
+            codec: 'opus',
+            sampleRate: AUDIO_SAMPLE_RATE,
+            numberOfChannels: AUDIO_CHANNELS,
+            bitrate: 128000
+        };
+        const { supported } = await AudioEncoder.isConfigSupported(config);
+        return supported ? config : null;
+    }
+
+    async encodeAudio(buffer, config, muxer) {
+        let error = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => muxer.addAudioChunk(chunk, metadata),
+            error: (e) => { error = e; }
+        });
+        encoder.configure(config);
+
+        const channels = [];
+        for (let c = 0; c < AUDIO_CHANNELS; c++) {
+            channels.push(buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1)));
+        }
+
+        // Closing drops anything still queued when cancelled or failed
+        try {
+            for (let offset = 0; offset < buffer.length; offset += AUDIO_CHUNK_FRAMES) {
+                if (this.cancelled) throw new Error('cancelled');
+                if (error) throw error;
+
+                const frames = Math.min(AUDIO_CHUNK_FRAMES, buffer.length - offset);
+                const planar = new Float32Array(frames * AUDIO_CHANNELS);
+                channels.forEach((data, c) => planar.set(data.subarray(offset, offset + frames), c * frames));
+
+                const audioData = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate: AUDIO_SAMPLE_RATE,
+                    numberOfFrames: frames,
+                    numberOfChannels: AUDIO_CHANNELS,
+                    timestamp: Math.round(offset / AUDIO_SAMPLE_RATE * 1e6),
+                    data: planar
+                });
+                encoder.encode(audioData);
+                audioData.close();
+            }
+
+            await encoder.flush();
+            if (error) throw error;
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    }
+
+    async encodeVideo({ start, duration, width, height, fps, fit, videoConfig, muxer, onProgress }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const totalFrames = Math.max(1, Math.ceil(duration * fps));
+        const frameDuration = 1e6 / fps;
+        const keyframeInterval = Math.round(fps * 2);
+        let encodedFrames = 0;
+        let error = null;
+
+        const encoder = new VideoEncoder({
+            output: (chunk) => {
+                muxer.addVideoChunk(chunk);
+                encodedFrames++;
+                onProgress(encodedFrames / totalFrames,
+                    `Encoding frame ${encodedFrames} of ${totalFrames}...`);
+            },
+            error: (e) => { error = e; }
+        });
+        const { codecId, ...config } = videoConfig;
+        encoder.configure(config);
+
+        try {
+            for (let i = 0; i < totalFrames; i++) {
+                if (this.cancelled) throw new Error('cancelled');
+                if (error) throw error;
+
+                await this.app.compositor.renderAt(ctx, start + i / fps, { fit });
+
+                const frame = new VideoFrame(canvas, {
+                    timestamp: Math.round(i * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(frame, { keyFrame: i % keyframeInterval === 0 });
+                frame.close();
+
+                // Let the encoder drain so queued frames don't pile up in memory
+                while (encoder.encodeQueueSize > 4) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                }
+            }
+
+            await encoder.flush();
+            if (error) throw error;
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    }
+}
@@ -0,0 +1,491 @@
+/**
+ * Vici Video Editor - Color Correction
+ * Per-clip primary grading: white balance, lift/gamma/gain wheels, RGB and
+ * luma curves and per-hue HSL, kept as a 'grade' effect in the clip's stack
+ */
+
+import { gradePass } from './pipeline.js';
+
+// Hue bands of the HSL controls, by the hue (degrees) each is centred on
+export const HSL_BANDS = [
+    { id: 'red', name: 'Red', hue: 0, color: '#ff3b30' },
+    { id: 'orange', name: 'Orange', hue: 30, color: '#ff9500' },
+    { id: 'yellow', name: 'Yellow', hue: 60, color: '#ffcc00' },
+    { id: 'green', name: 'Green', hue: 120, color: '#34c759' },
+    { id: 'aqua', name: 'Aqua', hue: 180, color: '#5ac8fa' },
+    { id: 'blue', name: 'Blue', hue: 240, color: '#007aff' },
+    { id: 'purple', name: 'Purple', hue: 270, color: '#af52de' },
+    { id: 'magenta', name: 'Magenta', hue: 300, color: '#ff2d92' }
+];
+
+const WHEELS = { lift: 'Lift', gamma: 'Gamma', gain: 'Gain' };
+
+const CURVES = { luma: 'Luma', red: 'Red', green: 'Green', blue: 'Blue' };
+
+const CURVE_COLORS = { luma: '#e5e5e5', red: '#ff453a', green: '#32d74b', blue: '#0a84ff' };
+
+// Samples of each curve the pipeline interpolates between
+const CURVE_SAMPLES = 256;
+
+// Closest two curve points may come along the input axis
+const MIN_POINT_GAP = 0.02;
+
+// Size of the curve editor's drawing, in SVG units
+const CURVE_SIZE = 256;
+
+// Full slider travel: white balance gains, hue shift (degrees) and
+// lightness the HSL sliders reach
+const BALANCE_RANGE = 0.3;
+const HUE_RANGE = 30;
+const LIGHTNESS_RANGE = 0.5;
+
+// Square of preview pixels the eyedropper averages
+const PICK_SIZE = 5;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const wheel = () => ({ x: 0, y: 0, master: 0 });
+const diagonal = () => [[0, 0], [1, 1]];
+
+// A neutral grade. Temperature, tint, wheel masters and HSL settings run
+// -100 to 100; wheel x/y is a point in the unit circle.
+export function createGrade() {
+    return {
+        temperature: 0,
+        tint: 0,
+        lift: wheel(),
+        gamma: wheel(),
+        gain: wheel(),
+        curves: { luma: diagonal(), red: diagonal(), green: diagonal(), blue: diagonal() },
+        hsl: Object.fromEntries(HSL_BANDS.map(band => [band.id, { hue: 0, saturation: 0, lightness: 0 }]))
+    };
+}
+
+/**
+ * Per-channel gains for a white balance: warmer raises red and lowers
+ * blue, a positive tint lowers green towards magenta. Scaled so the
+ * picture's luminance stays about the same.
+ */
+export function balanceGains(temperature = 0, tint = 0) {
+    const t = temperature / 100 * BALANCE_RANGE;
+    const gains = [1 + t, 1 - tint / 100 * BALANCE_RANGE, 1 - t];
+    const luma = 0.2126 * gains[0] + 0.7152 * gains[1] + 0.0722 * gains[2];
+    return gains.map(gain => gain / luma);
+}
+
+// Offsets a wheel's point gives each channel: red at 0°, green at 120°
+// and blue at 240°, summing to zero so the point only changes colour
+function wheelOffsets({ x = 0, y = 0 }) {
+    return [0, 120, 240].map(angle => {
+        const radians = angle * Math.PI / 180;
+        return x * Math.cos(radians) + y * Math.sin(radians);
+    });
+}
+
+function isDiagonal(points) {
+    return !points || points.every(([x, y]) => Math.abs(x - y) < 1e-4);
+}
+
+/**
+ * Sample a curve through `points` ([x, y] pairs sorted by x) at `x`:
+ * a monotone cubic (Fritsch-Carlson), so the curve never overshoots its
+ * points, flat beyond the first and last.
+ */
+export function sampleCurve(points, x) {
+    const n = points.length;
+    if (x <= points[0][0]) return points[0][1];
+    if (x >= points[n - 1][0]) return points[n - 1][1];
+
+    const slopes = points.slice(0, -1).map(([x0, y0], i) => (points[i + 1][1] - y0) / (points[i + 1][0] - x0));
+    const tangents = points.map((point, i) => {
+        if (i === 0) return slopes[0];
+        if (i === n - 1) return slopes[n - 2];
+        const [a, b] = [slopes[i - 1], slopes[i]];
+        return a * b <= 0 ? 0 : 2 / (1 / a + 1 / b);
+    });
+
+    let i = 0;
+    while (x > points[i + 1][0]) i++;
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[i + 1];
+    const h = x1 - x0;
+    const t = (x - x0) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * tangents[i]
+        + (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * tangents[i + 1];
+}
+
+// The curves as the pipeline's table, or null when they are all straight
+function compileCurves(curves = {}) {
+    const channels = ['red', 'green', 'blue', 'luma'];
+    if (channels.every(channel => isDiagonal(curves[channel]))) return null;
+
+    const table = new Float32Array(CURVE_SAMPLES * 4);
+    channels.forEach((channel, c) => {
+        const points = curves[channel]?.length >= 2 ? curves[channel] : diagonal();
+        for (let i = 0; i < CURVE_SAMPLES; i++) {
+            table[i * 4 + c] = clamp(sampleCurve(points, i / (CURVE_SAMPLES - 1)), 0, 1);
+        }
+    });
+    return table;
+}
+
+// The HSL bands as the pipeline's list, or null when none is set
+function compileHsl(hsl = {}) {
+    const settings = HSL_BANDS.map(band => ({ hue: 0, saturation: 0, lightness: 0, ...hsl[band.id] }));
+    if (settings.every(({ hue, saturation, lightness }) => !hue && !saturation && !lightness)) return null;
+    return settings.flatMap(({ hue, saturation, lightness }, i) => [
+        HSL_BANDS[i].hue, hue / 100 * HUE_RANGE, saturation / 100, lightness / 100 * LIGHTNESS_RANGE
+    ]);
+}
+
+// Pipeline passes for a grade's params; none for a neutral grade
+export function gradePasses(params) {
+    const grade = { ...createGrade(), ...params };
+    const curves = compileCurves(grade.curves);
+    const hsl = compileHsl(grade.hsl);
+    const neutral = !grade.temperature && !grade.tint && !curves && !hsl &&
+        Object.keys(WHEELS).every(name => !grade[name].x && !grade[name].y && !grade[name].master);
+    if (neutral) return [];
+
+    const channel = (name, scale) => wheelOffsets(grade[name]).map(offset => grade[name].master / 100 + offset * scale);
+    return [gradePass({
+        balance: balanceGains(grade.temperature, grade.tint),
+        lift: channel('lift', 0.5).map(value => value / 2),
+        gamma: channel('gamma', 0.5).map(value => 2 ** -value),
+        gain: channel('gain', 0.5).map(value => 2 ** value),
+        curves,
+        hsl
+    })];
+}
+
+// What a grade changes, for the effect stack
+export function describeGrade(params) {
+    const grade = { ...createGrade(), ...params };
+    const parts = [];
+    if (grade.temperature || grade.tint) parts.push('Balance');
+    if (Object.keys(WHEELS).some(name => grade[name].x || grade[name].y || grade[name].master)) parts.push('Wheels');
+    if (compileCurves(grade.curves)) parts.push('Curves');
+    if (compileHsl(grade.hsl)) parts.push('HSL');
+    return parts.join(' · ') || 'Neutral';
+}
+
+export class GradingManager {
+    constructor(app) {
+        this.app = app;
+        this.channel = 'luma';
+        this.band = HSL_BANDS[0].id;
+        this.picking = false;
+        this.curveSignature = null;
+
+        this.curveEl = document.getElementById('colorCurve');
+        this.pickBtn = document.getElementById('pickNeutralBtn');
+        this.bandsEl = document.getElementById('hslBands');
+
+        document.querySelectorAll('.color-wheel').forEach(el => {
+            el.addEventListener('pointerdown', (e) => this.startWheelDrag(e, el.dataset.wheel));
+            el.addEventListener('dblclick', () => this.resetWheel(el.dataset.wheel));
+        });
+
+        document.querySelectorAll('.curve-channel').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.channel = btn.dataset.channel;
+                this.render();
+            });
+        });
+        this.curveEl?.addEventListener('pointerdown', (e) => this.startCurveDrag(e));
+        this.curveEl?.addEventListener('dblclick', (e) => this.removeCurvePoint(e));
+
+        HSL_BANDS.forEach(band => {
+            const btn = document.createElement('button');
+            btn.className = 'hsl-band';
+            btn.dataset.band = band.id;
+            btn.title = band.name;
+            btn.style.background = band.color;
+            btn.addEventListener('click', () => {
+                this.band = band.id;
+                this.render();
+            });
+            this.bandsEl?.appendChild(btn);
+        });
+
+        // The eyedropper takes the next press on the preview, before the
+        // preview's own handlers see it
+        this.pickBtn?.addEventListener('click', () => this.setPicking(!this.picking));
+        document.addEventListener('pointerdown', (e) => {
+            if (!this.picking || e.target !== this.app.playback.canvas) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.pickNeutral(e);
+            this.setPicking(false);
+        }, true);
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || !this.picking) return;
+            e.stopPropagation();
+            this.setPicking(false);
+        }, true);
+
+        document.getElementById('resetGradeBtn')?.addEventListener('click', () => {
+            this.app.history.transact('Reset color correction', ['clips'], () => {
+                this.update(params => Object.assign(params, createGrade()));
+            });
+        });
+
+        this.render();
+    }
+
+    getClip() {
+        return this.app.effects.getClip();
+    }
+
+    // The shown clip's grade, or a neutral one
+    getGrade(clip = this.getClip()) {
+        const params = clip?.effects?.find(effect => effect.type === 'grade')?.params;
+        return { ...createGrade(), ...params };
+    }
+
+    /**
+     * Apply `mutate` to the grade of every target clip, adding one to
+     * stacks without it. Returns false when no clip is selected.
+     */
+    update(mutate) {
+        const { effects } = this.app;
+        const clips = effects.getTargetClips();
+        if (!clips.length) {
+            this.app.showToast('Select a clip to color correct', 'warning');
+            this.render();
+            return false;
+        }
+
+        clips.forEach(clip => {
+            const effect = effects.ensureEffect(clip, 'grade');
+            effect.enabled = true;
+            effect.params = { ...createGrade(), ...effect.params };
+            mutate(effect.params);
+        });
+        effects.changed();
+        return true;
+    }
+
+    setBalance(property, value) {
+        this.update(params => {
+            params[property] = value;
+        });
+    }
+
+    setWheelMaster(name, value) {
+        this.update(params => {
+            params[name] = { ...params[name], master: value };
+        });
+    }
+
+    // Hue, saturation or lightness of the selected band
+    setHsl(property, value) {
+        this.update(params => {
+            params.hsl = { ...params.hsl, [this.band]: { ...params.hsl[this.band], [property]: value } };
+        });
+    }
+
+    // Drag a wheel's point; it stays inside the circle
+    startWheelDrag(e, name) {
+        if (!this.getClip()) return;
+        e.preventDefault();
+        const el = e.currentTarget;
+        const edit = this.app.history.begin(`Adjust ${WHEELS[name].toLowerCase()}`, ['clips']);
+
+        const move = (moveE) => {
+            const rect = el.getBoundingClientRect();
+            let x = (moveE.clientX - rect.left) / rect.width * 2 - 1;
+            let y = 1 - (moveE.clientY - rect.top) / rect.height * 2;
+            const length = Math.hypot(x, y);
+            if (length > 1) {
+                x /= length;
+                y /= length;
+            }
+            this.update(params => {
+                params[name] = { ...params[name], x, y };
+            });
+        };
+        move(e);
+        this.app.timeline.trackPointer(e, move, () => edit.commit());
+    }
+
+    resetWheel(name) {
+        this.app.history.transact(`Reset ${WHEELS[name].toLowerCase()}`, ['clips'], () => {
+            this.update(params => {
+                params[name] = wheel();
+            });
+        });
+    }
+
+    // Curve editor coordinates (0-1, y up) of a pointer event
+    toCurvePoint(e) {
+        const rect = this.curveEl.getBoundingClientRect();
+        return [
+            clamp((e.clientX - rect.left) / rect.width, 0, 1),
+            clamp(1 - (e.clientY - rect.top) / rect.height, 0, 1)
+        ];
+    }
+
+    // Drag a point of the shown curve; pressing off the points adds one
+    // on the curve there
+    startCurveDrag(e) {
+        if (!this.getClip()) return;
+        e.preventDefault();
+
+        const points = this.getGrade().curves[this.channel].map(point => [...point]);
+        let index = e.target.dataset.index != null ? Number(e.target.dataset.index) : -1;
+        const edit = this.app.history.begin('Adjust curve', ['clips']);
+        const apply = () => this.update(params => {
+            params.curves = { ...params.curves, [this.channel]: points.map(point => [...point]) };
+        });
+
+        if (index < 0) {
+            const [x] = this.toCurvePoint(e);
+            if (points.some(point => Math.abs(point[0] - x) < MIN_POINT_GAP)) {
+                edit.commit();
+                return;
+            }
+            points.push([x, clamp(sampleCurve(points, x), 0, 1)]);
+            points.sort((a, b) => a[0] - b[0]);
+            index = points.findIndex(point => point[0] === x);
+            apply();
+        }
+
+        this.app.timeline.trackPointer(e, (moveE) => {
+            const [x, y] = this.toCurvePoint(moveE);
+            const min = index > 0 ? points[index - 1][0] + MIN_POINT_GAP : 0;
+            const max = index < points.length - 1 ? points[index + 1][0] - MIN_POINT_GAP : 1;
+            points[index] = [clamp(x, min, max), y];
+            apply();
+        }, () => edit.commit());
+    }
+
+    // Double-clicking a point removes it; a curve keeps at least two
+    removeCurvePoint(e) {
+        const index = e.target.dataset?.index;
+        const points = this.getGrade().curves[this.channel];
+        if (index == null || points.length <= 2) return;
+
+        this.app.history.transact('Remove curve point', ['clips'], () => {
+            this.update(params => {
+                params.curves = { ...params.curves, [this.channel]: points.filter((point, i) => i !== Number(index)) };
+            });
+        });
+    }
+
+    setPicking(picking) {
+        if (picking && !this.getClip()) {
+            this.app.showToast('Select a clip to color correct', 'warning');
+            return;
+        }
+        this.picking = picking;
+        this.pickBtn?.classList.toggle('active', picking);
+        this.app.playback.canvas.classList.toggle('picking', picking);
+    }
+
+    /**
+     * Set the white balance that makes the preview colour under the
+     * pointer neutral. The preview already has the clip's current balance
+     * applied, so that is divided out first.
+     */
+    pickNeutral(e) {
+        const { canvas, ctx } = this.app.playback;
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.round((e.clientX - rect.left) / rect.width * canvas.width);
+        const y = Math.round((e.clientY - rect.top) / rect.height * canvas.height);
+        const half = Math.floor(PICK_SIZE / 2);
+        const { data } = ctx.getImageData(x - half, y - half, PICK_SIZE, PICK_SIZE);
+
+        const sum = [0, 0, 0];
+        for (let i = 0; i < data.length; i += 4) {
+            sum[0] += data[i];
+            sum[1] += data[i + 1];
+            sum[2] += data[i + 2];
+        }
+        const grade = this.getGrade();
+        const gains = balanceGains(grade.temperature, grade.tint);
+        const [r, g, b] = sum.map((total, c) => total / (data.length / 4) / gains[c]);
+        if (Math.min(r, g, b) < 8) {
+            this.app.showToast('Pick a grey or white area, not black', 'warning');
+            return;
+        }
+
+        // Gains for which red, green and blue come out equal
+        const t = clamp((b - r) / (BALANCE_RANGE * (r + b)), -1, 1);
+        const n = clamp((1 - (1 + BALANCE_RANGE * t) * r / g) / BALANCE_RANGE, -1, 1);
+        this.app.history.transact('Pick neutral', ['clips'], () => {
+            this.update(params => {
+                params.temperature = Math.round(t * 100);
+                params.tint = Math.round(n * 100);
+            });
+        });
+    }
+
+    // Bring the Color Correction controls in line with the shown clip
+    render() {
+        const clip = this.getClip();
+        const grade = this.getGrade(clip);
+        const { app } = this;
+
+        app.setSliderValue('temperatureSlider', 'temperatureValue', grade.temperature, (v) => v);
+        app.setSliderValue('tintSlider', 'tintValue', grade.tint, (v) => v);
+        Object.keys(WHEELS).forEach(name => {
+            app.setSliderValue(`${name}MasterSlider`, `${name}MasterValue`, grade[name].master, (v) => v);
+        });
+        document.querySelectorAll('.color-wheel').forEach(el => {
+            const { x, y } = grade[el.dataset.wheel];
+            const puck = el.querySelector('.color-wheel-puck');
+            puck.style.left = `${(1 + x) / 2 * 100}%`;
+            puck.style.top = `${(1 - y) / 2 * 100}%`;
+        });
+
+        const band = { hue: 0, saturation: 0, lightness: 0, ...grade.hsl[this.band] };
+        app.setSliderValue('hslHueSlider', 'hslHueValue', band.hue, (v) => v);
+        app.setSliderValue('hslSaturationSlider', 'hslSaturationValue', band.saturation, (v) => v);
+        app.setSliderValue('hslLightnessSlider', 'hslLightnessValue', band.lightness, (v) => v);
+        this.bandsEl?.querySelectorAll('.hsl-band').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.band === this.band);
+        });
+
+        document.querySelectorAll('.curve-channel').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.channel === this.channel);
+        });
+        if (this.pickBtn) this.pickBtn.disabled = !clip;
+        this.renderCurve(clip ? grade.curves[this.channel] : null);
+    }
+
+    renderCurve(points) {
+        if (!this.curveEl) return;
+        // Rebuilt only when it changes, as this follows the selection
+        const signature = JSON.stringify([this.channel, points]);
+        if (signature === this.curveSignature) return;
+        this.curveSignature = signature;
+
+        const size = CURVE_SIZE;
+        this.curveEl.setAttribute('viewBox', `0 0 ${size} ${size}`);
+        this.curveEl.classList.toggle('disabled', !points);
+        const grid = [0.25, 0.5, 0.75]
+            .map(f => `<line class="curve-grid" x1="${f * size}" y1="0" x2="${f * size}" y2="${size}"></line>
+                <line class="curve-grid" x1="0" y1="${f * size}" x2="${size}" y2="${f * size}"></line>`)
+            .join('');
+        const base = `${grid}<line class="curve-grid" x1="0" y1="${size}" x2="${size}" y2="0"></line>`;
+        if (!points) {
+            this.curveEl.innerHTML = base;
+            return;
+        }
+
+        const path = Array.from({ length: 65 }, (_, i) => {
+            const x = i / 64;
+            return `${i ? 'L' : 'M'}${x * size},${(1 - clamp(sampleCurve(points, x), 0, 1)) * size}`;
+        }).join(' ');
+        this.curveEl.innerHTML = `
+            ${base}
+            <path class="curve-path" d="${path}" style="stroke: ${CURVE_COLORS[this.channel]}"></path>
+            ${points.map(([x, y], i) => `<circle class="curve-handle" data-index="${i}"
+                cx="${x * size}" cy="${(1 - y) * size}" r="6"></circle>`).join('')}
+        `;
+        this.curveEl.setAttribute('aria-label', `${CURVES[this.channel]} curve`);
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * Vici Video Editor - History Manager
+ * Undo/redo stack of edit commands with a jumpable history list
+ */
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Parts of the project an edit can touch: how to snapshot each one and
+// how to put a snapshot back (including refreshing the UI that shows it)
+const SCOPES = {
+    clips: {
+        // The open sequence and the nested ones, so undo also steps back
+        // into the compound clip an edit was made in
+        capture: (app) => ({
+            tracks: clone(app.state.tracks),
+            clips: clone(app.state.clips),
+            sequences: clone(app.state.sequences),
+            openSequences: [...app.state.openSequences],
+            selectedClip: app.state.selectedClip,
+            selectedClips: [...app.state.selectedClips]
+        }),
+        restore: (app, snapshot) => {
+            app.state.tracks = clone(snapshot.tracks);
+            app.state.clips = clone(snapshot.clips);
+            app.state.sequences = clone(snapshot.sequences);
+            app.state.openSequences = [...snapshot.openSequences];
+            app.state.selectedClip = snapshot.selectedClip;
+            app.state.selectedClips = [...snapshot.selectedClips];
+            app.timeline.renderClips();
+            app.sequences.render();
+            app.speed.render();
+            app.effects.syncControls();
+            app.keyframes.render();
+        }
+    },
+    text: {
+        capture: (app) => clone(app.state.textOverlays),
+        restore: (app, snapshot) => {
+            app.state.textOverlays = clone(snapshot);
+            app.playback.refresh();
+        }
+    },
+    markers: {
+        capture: (app) => clone(app.state.markers),
+        restore: (app, snapshot) => {
+            app.state.markers = clone(snapshot);
+            app.markers.render();
+        }
+    },
+    audio: {
+        // Track objects hold live Audio elements, so keep references
+        capture: (app) => [...app.audio.audioTracks],
+        restore: (app, snapshot) => {
+            app.audio.audioTracks
+                .filter(track => !snapshot.includes(track))
+                .forEach(track => track.audio.pause());
+            app.audio.audioTracks = [...snapshot];
+        }
+    }
+};
+
+export class HistoryManager {
+    constructor(app, { limit = 100 } = {}) {
+        this.app = app;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.list = document.getElementById('historyList');
+
+        this.render();
+    }
+
+    /**
+     * Add an already-applied command to the history
+     * @param {{label: string, undo: Function, redo: Function}} command
+     */
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.changed();
+    }
+
+    /**
+     * Start an edit that mutates the given scopes of project state. Call
+     * `commit()` on the returned handle once the edit is finished (e.g. on
+     * mouseup) to record it as one step; unchanged edits are dropped.
+     * @param {string} label - shown in the History list
+     * @param {string[]} scopes - keys of SCOPES touched by the edit
+     */
+    begin(label, scopes) {
+        const before = this.capture(scopes);
+
+        return {
+            commit: () => {
+                const after = this.capture(scopes);
+                if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+                this.record({
+                    label,
+                    undo: () => this.restore(scopes, before),
+                    redo: () => this.restore(scopes, after)
+                });
+            }
+        };
+    }
+
+    // Run `mutate` and record everything it changed as a single step
+    transact(label, scopes, mutate) {
+        const edit = this.begin(label, scopes);
+        const result = mutate();
+        edit.commit();
+        return result;
+    }
+
+    capture(scopes) {
+        const snapshot = {};
+        scopes.forEach(scope => {
+            snapshot[scope] = SCOPES[scope].capture(this.app);
+        });
+        return snapshot;
+    }
+
+    restore(scopes, snapshot) {
+        scopes.forEach(scope => SCOPES[scope].restore(this.app, snapshot[scope]));
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            this.app.showToast('Nothing to undo', 'warning');
+            return;
+        }
+
+        command.undo();
+        this.redoStack.push(command);
+        this.changed();
+        this.app.showToast(`Undo: ${command.label}`, 'success');
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            this.app.showToast('Nothing to redo', 'warning');
+            return;
+        }
+
+        command.redo();
+        this.undoStack.push(command);
+        this.changed();
+        this.app.showToast(`Redo: ${command.label}`, 'success');
+    }
+
+    // Step back or forward until `index` commands are applied
+    jumpTo(index) {
+        while (this.undoStack.length > index) {
+            const command = this.undoStack.pop();
+            command.undo();
+            this.redoStack.push(command);
+        }
+        while (this.undoStack.length < index && this.redoStack.length) {
+            const command = this.redoStack.pop();
+            command.redo();
+            this.undoStack.push(command);
+        }
+        this.changed();
+    }
+
+    // Every change to the project passes through here
+    changed() {
+        this.render();
+        this.app.autosave?.markDirty();
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.changed();
+    }
+
+    render() {
+        document.getElementById('undoBtn')?.toggleAttribute('disabled', !this.undoStack.length);
+        document.getElementById('redoBtn')?.toggleAttribute('disabled', !this.redoStack.length);
+
+        if (!this.list) return;
+
+        // Oldest first, then the undone steps that can still be redone
+        const entries = [
+            { label: 'Start' },
+            ...this.undoStack,
+            ...[...this.redoStack].reverse()
+        ];
+        const current = this.undoStack.length;
+
+        this.list.innerHTML = '';
+        entries.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.classList.toggle('active', index === current);
+            item.classList.toggle('undone', index > current);
+            item.textContent = entry.label;
+            item.addEventListener('click', () => this.jumpTo(index));
+            this.list.appendChild(item);
+        });
+
+        this.list.scrollTop = this.list.scrollHeight;
+    }
+}
@@ -0,0 +1,602 @@
+/**
+ * Vici Video Editor - Keyframes
+ * Animated clip properties: keys on a clip's transform, adjustments and
+ * volume, the easing between them, and the panel and timeline markers
+ * that edit them
+ */
+
+import { getFrameRate } from './timecode.js';
+
+/**
+ * Properties that can be animated. Transform values are kept in
+ * `clip.transform` (positions are a percentage of the frame's width or
+ * height), volume in `clip.volume`, and adjustments are the amount of the
+ * first effect of that type in the clip's stack.
+ */
+export const PROPERTIES = {
+    posX: { name: 'Position X', min: -100, max: 100, default: 0, unit: '' },
+    posY: { name: 'Position Y', min: -100, max: 100, default: 0, unit: '' },
+    scale: { name: 'Scale', min: 10, max: 400, default: 100, unit: '%' },
+    rotation: { name: 'Rotation', min: -180, max: 180, default: 0, unit: '°' },
+    opacity: { name: 'Opacity', min: 0, max: 100, default: 100, unit: '%' },
+    brightness: { name: 'Brightness', min: -100, max: 100, default: 0, unit: '', effect: true },
+    contrast: { name: 'Contrast', min: -100, max: 100, default: 0, unit: '', effect: true },
+    saturation: { name: 'Saturation', min: -100, max: 100, default: 0, unit: '', effect: true },
+    // Preview elements can't play louder than their source, so neither does export
+    volume: { name: 'Volume', min: 0, max: 100, default: 100, unit: '%', control: 'clipVolume' }
+};
+
+const TRANSFORM = ['posX', 'posY', 'scale', 'rotation', 'opacity'];
+const ADJUSTMENTS = ['brightness', 'contrast', 'saturation'];
+
+/**
+ * How a key eases into the next one. Curves are CSS-style cubic-bezier
+ * control points [x1, y1, x2, y2]; a `bezier` key carries its own in
+ * `key.bezier`, and a `hold` key keeps its value until the next key.
+ */
+export const EASINGS = {
+    linear: { name: 'Linear', curve: [0.25, 0.25, 0.75, 0.75] },
+    'ease-in': { name: 'Ease In', curve: [0.42, 0, 1, 1] },
+    'ease-out': { name: 'Ease Out', curve: [0, 0, 0.58, 1] },
+    'ease-in-out': { name: 'Ease In-Out', curve: [0.42, 0, 0.58, 1] },
+    bezier: { name: 'Custom Curve', curve: null },
+    hold: { name: 'Hold', curve: null }
+};
+
+// Range the curve editor lets control points overshoot to
+const CURVE_MIN = -0.25;
+const CURVE_MAX = 1.25;
+
+// Curve editor layout: the unit square is drawn CURVE_WIDTH by CURVE_HEIGHT
+const CURVE_WIDTH = 160;
+const CURVE_HEIGHT = 100;
+const CURVE_MARGIN = 8;
+
+// Pixels a timeline diamond must move before it is dragged, not clicked
+const DRAG_DISTANCE = 3;
+
+const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+
+function bezierAt(a, b, t) {
+    return 3 * a * (1 - t) * (1 - t) * t + 3 * b * (1 - t) * t * t + t * t * t;
+}
+
+// Curve parameter where an easing curve reaches `x`, by bisection (x
+// rises steadily while x1 and x2 are in 0-1)
+function solveCurve(x1, x2, x) {
+    let low = 0;
+    let high = 1;
+    let t = x;
+    for (let i = 0; i < 24; i++) {
+        const current = bezierAt(x1, x2, t);
+        if (Math.abs(current - x) < 1e-6) break;
+        if (current < x) low = t;
+        else high = t;
+        t = (low + high) / 2;
+    }
+    return t;
+}
+
+// y of a cubic-bezier easing curve at `x`
+export function cubicBezier([x1, y1, x2, y2], x) {
+    return bezierAt(y1, y2, solveCurve(x1, x2, x));
+}
+
+/**
+ * Cut an easing curve at `x` into the curves of its two parts, each
+ * scaled back to the unit square; null for a part that doesn't move
+ * @returns {[?number[], ?number[]]}
+ */
+function splitCurve([x1, y1, x2, y2], x) {
+    const t = solveCurve(x1, x2, x);
+    const lerp = (a, b) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    const a = lerp([0, 0], [x1, y1]);
+    const b = lerp([x1, y1], [x2, y2]);
+    const c = lerp([x2, y2], [1, 1]);
+    const d = lerp(a, b);
+    const e = lerp(b, c);
+    const [fx, fy] = lerp(d, e);
+
+    const fit = (points, [ox, oy], [w, h]) => Math.abs(h) < 1e-9 ? null
+        : points.flatMap(([px, py]) => [(px - ox) / w, (py - oy) / h]);
+    return [fit([a, d], [0, 0], [fx, fy]), fit([e, c], [fx, fy], [1 - fx, 1 - fy])];
+}
+
+// Control points of a key's curve, null for hold
+export function getCurve(key) {
+    if (key.easing === 'hold') return null;
+    if (key.easing === 'bezier' && key.bezier) return key.bezier;
+    return (EASINGS[key.easing] || EASINGS.linear).curve;
+}
+
+// Progress (0-1 in, usually 0-1 out) through the segment after `key`
+export function ease(key, progress) {
+    if (key.easing === 'hold') return 0;
+    if (!key.easing || key.easing === 'linear') return progress;
+    return cubicBezier(getCurve(key), progress);
+}
+
+// Value of sorted `keys` at `time`; held before the first and after the last
+export function interpolate(keys, time) {
+    if (time <= keys[0].time) return keys[0].value;
+    const last = keys[keys.length - 1];
+    if (time >= last.time) return last.value;
+
+    const next = keys.findIndex(key => key.time > time);
+    const from = keys[next - 1];
+    const to = keys[next];
+    const progress = (time - from.time) / (to.time - from.time);
+    return from.value + (to.value - from.value) * ease(from, progress);
+}
+
+export function hasKeyframes(clip, property) {
+    return !!clip.keyframes?.[property]?.length;
+}
+
+// Value of a property while it has no keys
+export function getStaticValue(clip, property) {
+    const { default: fallback, effect } = PROPERTIES[property];
+    if (effect) return clip.effects?.find(e => e.type === property)?.params.amount ?? fallback;
+    if (property === 'volume') return clip.volume ?? fallback;
+    return clip.transform?.[property] ?? fallback;
+}
+
+// Value of a property at `time` in the clip's sequence
+export function getValue(clip, property, time) {
+    const keys = clip.keyframes?.[property];
+    if (!keys?.length) return getStaticValue(clip, property);
+    return interpolate(keys, time - clip.startTime);
+}
+
+export function getTransform(clip, time) {
+    return Object.fromEntries(TRANSFORM.map(property => [property, getValue(clip, property, time)]));
+}
+
+// Keys of every property with their times moved by `delta` seconds
+export function shiftKeyframes(keyframes, delta) {
+    if (!keyframes) return keyframes;
+    return Object.fromEntries(Object.entries(keyframes).map(([property, keys]) =>
+        [property, keys.map(key => ({ ...key, time: key.time + delta }))]));
+}
+
+// Keys of every property with their times stretched by `factor`, for
+// clips whose duration changes with their speed
+export function scaleKeyframes(keyframes, factor) {
+    if (!keyframes) return keyframes;
+    return Object.fromEntries(Object.entries(keyframes).map(([property, keys]) =>
+        [property, keys.map(key => ({ ...key, time: key.time * factor }))]));
+}
+
+function copyKey(key) {
+    return key.bezier ? { ...key, bezier: [...key.bezier] } : { ...key };
+}
+
+// Key easing along `curve`, or linearly when it doesn't move
+function withCurve(key, curve) {
+    const { bezier, ...rest } = key;
+    return curve ? { ...rest, easing: 'bezier', bezier: curve } : { ...rest, easing: 'linear' };
+}
+
+/**
+ * Keys for the two halves of a clip cut `offset` seconds in. Both get a
+ * key on the cut holding the value there, and a curved segment that is
+ * cut is split into the two curves it was made of, so neither half
+ * changes.
+ * @returns {{first: Object, second: Object}}
+ */
+export function splitKeyframes(keyframes, offset) {
+    const first = {};
+    const second = {};
+    Object.entries(keyframes || {}).forEach(([property, keys]) => {
+        if (!keys.length) return;
+        const value = interpolate(keys, offset);
+        const before = keys.filter(key => key.time < offset).map(copyKey);
+        const after = keys.filter(key => key.time > offset).map(key => ({ ...copyKey(key), time: key.time - offset }));
+        // The cut key eases on as the segment it was cut from
+        let cut = { ...(before.length ? copyKey(before[before.length - 1]) : { easing: 'linear' }), time: 0, value };
+
+        const from = before[before.length - 1];
+        const to = keys.find(key => key.time > offset);
+        if (from && to && getCurve(from) && from.easing !== 'linear') {
+            const [left, right] = splitCurve(getCurve(from), (offset - from.time) / (to.time - from.time));
+            before[before.length - 1] = withCurve(from, left);
+            cut = withCurve(cut, right);
+        }
+
+        first[property] = [...before, { time: offset, value, easing: 'linear' }];
+        second[property] = [cut, ...after];
+    });
+    return { first, second };
+}
+
+/**
+ * Keyframe editing. Each ◆ button toggles a key at the playhead for its
+ * property; sliders of a property with keys set a key at the playhead
+ * instead of the static value. The Keyframes group steps between keys of
+ * one property and shapes the easing after them.
+ */
+export class KeyframeManager {
+    constructor(app) {
+        this.app = app;
+        // Property the Keyframes group shows
+        this.property = 'scale';
+        this.propertySelect = document.getElementById('keyframeProperty');
+        this.easingSelect = document.getElementById('keyframeEasing');
+        this.infoEl = document.getElementById('keyframeInfo');
+        this.curveEl = document.getElementById('keyframeCurve');
+
+        document.querySelectorAll('.keyframe-btn[data-property]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.property = btn.dataset.property;
+                this.toggleKey(btn.dataset.property);
+            });
+        });
+
+        this.propertySelect?.addEventListener('change', () => {
+            this.property = this.propertySelect.value;
+            this.render();
+        });
+        this.easingSelect?.addEventListener('change', () => this.setEasing(this.easingSelect.value));
+        document.getElementById('keyframePrevBtn')?.addEventListener('click', () => this.seekKey(-1));
+        document.getElementById('keyframeNextBtn')?.addEventListener('click', () => this.seekKey(1));
+        this.curveEl?.addEventListener('pointerdown', (e) => this.startCurveDrag(e));
+
+        this.render();
+    }
+
+    // Properties a clip has: sound has only volume, adjustment layers only
+    // adjustments and titles only their transform
+    getProperties(clip) {
+        const { timeline } = this.app;
+        if (clip.type === 'text') return TRANSFORM;
+        if (clip.type === 'adjustment') return ADJUSTMENTS;
+        if (clip.type === 'compound' || timeline.isVideoClip(clip)) return [...TRANSFORM, ...ADJUSTMENTS, 'volume'];
+        return ['volume'];
+    }
+
+    getTargetClips(property) {
+        const { timeline } = this.app;
+        return timeline.getSelectedClips()
+            .filter(clip => !timeline.isLocked(clip) && this.getProperties(clip).includes(property));
+    }
+
+    // The clip the panel shows: the primary selection, else the first
+    // selected clip that isn't locked
+    getClip() {
+        const { timeline } = this.app;
+        const clips = timeline.getSelectedClips().filter(clip => !timeline.isLocked(clip));
+        return clips.find(clip => clip.id === this.app.state.selectedClip) || clips[0] || null;
+    }
+
+    // Playhead position inside `clip`, kept to its ends
+    getLocalTime(clip) {
+        return clamp(this.app.state.currentTime - clip.startTime, 0, clip.duration);
+    }
+
+    // Keys within half a frame of each other are the same key
+    getTolerance() {
+        return 0.5 / getFrameRate(this.app.state.frameRate).fps;
+    }
+
+    findKey(keys, time) {
+        return (keys || []).findIndex(key => Math.abs(key.time - time) < this.getTolerance());
+    }
+
+    // Set a property on the selected clips at the playhead
+    setValue(property, value) {
+        const clips = this.getTargetClips(property);
+        if (!clips.length) {
+            this.app.showToast('Select a clip to change its properties', 'warning');
+            this.render();
+            return;
+        }
+
+        const { min, max } = PROPERTIES[property];
+        value = clamp(value, min, max);
+        clips.forEach(clip => {
+            if (hasKeyframes(clip, property)) this.setKey(clip, property, this.getLocalTime(clip), value);
+            else this.setStaticValue(clip, property, value);
+        });
+        this.changed(property);
+    }
+
+    setStaticValue(clip, property, value) {
+        if (PROPERTIES[property].effect) {
+            const effect = this.app.effects.ensureEffect(clip, property);
+            effect.params.amount = value;
+            effect.enabled = true;
+        } else if (property === 'volume') {
+            clip.volume = value;
+        } else {
+            clip.transform = { ...clip.transform, [property]: value };
+        }
+    }
+
+    // Add or update the key at `time`, keeping keys in time order
+    setKey(clip, property, time, value) {
+        clip.keyframes = clip.keyframes || {};
+        const keys = clip.keyframes[property] || [];
+        const index = this.findKey(keys, time);
+        if (index >= 0) {
+            keys[index].value = value;
+        } else {
+            keys.push({ time, value, easing: 'linear' });
+            keys.sort((a, b) => a.time - b.time);
+        }
+        clip.keyframes[property] = keys;
+
+        // Animated adjustments need an effect in the stack to drive
+        if (PROPERTIES[property].effect) this.app.effects.ensureEffect(clip, property).enabled = true;
+    }
+
+    /**
+     * ◆: add a key holding the current value at the playhead, or remove the
+     * key there. The last key removed leaves the value it had.
+     */
+    toggleKey(property) {
+        const clips = this.getTargetClips(property);
+        if (!clips.length) {
+            this.app.showToast('Select a clip to add keyframes to', 'warning');
+            return;
+        }
+
+        const shown = this.getClip();
+        const clip = clips.includes(shown) ? shown : clips[0];
+        const removing = this.findKey(clip.keyframes?.[property], this.getLocalTime(clip)) >= 0;
+
+        this.app.history.transact(removing ? 'Remove keyframe' : 'Add keyframe', ['clips'], () => {
+            clips.forEach(c => {
+                const time = this.getLocalTime(c);
+                const keys = c.keyframes?.[property] || [];
+                const index = this.findKey(keys, time);
+                if (removing) {
+                    if (index < 0) return;
+                    const value = interpolate(keys, time);
+                    keys.splice(index, 1);
+                    if (!keys.length) {
+                        delete c.keyframes[property];
+                        this.setStaticValue(c, property, value);
+                    }
+                } else if (index < 0) {
+                    this.setKey(c, property, time, getValue(c, property, c.startTime + time));
+                }
+            });
+            this.changed(property);
+        });
+    }
+
+    // Key of the shown property that the segment at the playhead starts from
+    getSegment(clip) {
+        const keys = clip?.keyframes?.[this.property];
+        if (!keys?.length) return null;
+        const time = this.getLocalTime(clip) + this.getTolerance();
+        const index = Math.max(0, keys.findIndex(key => key.time > time) - 1);
+        const last = keys[keys.length - 1].time <= time;
+        return { keys, index: last ? keys.length - 1 : index, last: last || keys.length === 1 };
+    }
+
+    setEasing(easing) {
+        const segment = this.getSegment(this.getClip());
+        if (!segment || !EASINGS[easing]) {
+            this.render();
+            return;
+        }
+
+        this.app.history.transact('Change easing', ['clips'], () => {
+            const key = segment.keys[segment.index];
+            if (easing === 'bezier') key.bezier = [...(getCurve(key) || EASINGS.linear.curve)];
+            else delete key.bezier;
+            key.easing = easing;
+            this.changed(this.property);
+        });
+    }
+
+    // Move the playhead to the shown property's previous or next key
+    seekKey(direction) {
+        const clip = this.getClip();
+        const keys = clip?.keyframes?.[this.property];
+        if (!keys?.length) return;
+
+        const time = this.app.state.currentTime - clip.startTime;
+        const tolerance = this.getTolerance();
+        const key = direction < 0
+            ? [...keys].reverse().find(k => k.time < time - tolerance)
+            : keys.find(k => k.time > time + tolerance);
+        if (key) this.app.video.seekTo(clip.startTime + clamp(key.time, 0, clip.duration));
+    }
+
+    changed(property) {
+        this.app.timeline.renderClips();
+        if (PROPERTIES[property]?.effect) this.app.effects.syncControls();
+        this.render();
+    }
+
+    /**
+     * Diamonds on a timeline clip element at each keyframe time. Click one
+     * to move the playhead to it, or drag it to retime every key there.
+     */
+    renderDiamonds(element, clip) {
+        element.querySelector('.clip-keyframes')?.remove();
+        const times = this.getKeyTimes(clip).filter(time => time >= 0 && time <= clip.duration);
+        if (!times.length) return;
+
+        const strip = document.createElement('div');
+        strip.className = 'clip-keyframes';
+        times.forEach(time => {
+            const diamond = document.createElement('span');
+            diamond.className = 'clip-keyframe';
+            diamond.style.left = `${time / clip.duration * 100}%`;
+            diamond.title = `Keyframe at ${this.app.formatTime(time)}`;
+            diamond.addEventListener('pointerdown', (e) => this.startDiamondDrag(e, clip.id, time, diamond));
+            strip.appendChild(diamond);
+        });
+        element.appendChild(strip);
+    }
+
+    // Distinct key times across a clip's properties
+    getKeyTimes(clip) {
+        const tolerance = this.getTolerance();
+        return Object.values(clip.keyframes || {})
+            .flat()
+            .map(key => key.time)
+            .sort((a, b) => a - b)
+            .filter((time, i, times) => i === 0 || time - times[i - 1] >= tolerance);
+    }
+
+    startDiamondDrag(e, clipId, time, diamond) {
+        e.stopPropagation();
+        e.preventDefault();
+        const { timeline } = this.app;
+        const clip = this.app.state.clips.find(c => c.id === clipId);
+        if (!clip) return;
+
+        const locked = timeline.isLocked(clip);
+        let target = time;
+        let moved = false;
+        timeline.trackPointer(e, (moveE) => {
+            if (locked || (!moved && Math.abs(moveE.clientX - e.clientX) < DRAG_DISTANCE)) return;
+            moved = true;
+            target = clamp(time + (moveE.clientX - e.clientX) / timeline.pixelsPerSecond, 0, clip.duration);
+            diamond.style.left = `${target / clip.duration * 100}%`;
+        }, () => {
+            if (moved) this.moveKeys(clip, time, target);
+            else this.app.video.seekTo(clip.startTime + time);
+        });
+    }
+
+    // Retime every key of `clip` at `from` to `to`, replacing keys there
+    moveKeys(clip, from, to) {
+        this.app.history.transact('Move keyframe', ['clips'], () => {
+            Object.values(clip.keyframes || {}).forEach(keys => {
+                const index = this.findKey(keys, from);
+                if (index < 0) return;
+                const [key] = keys.splice(index, 1);
+                const existing = this.findKey(keys, to);
+                if (existing >= 0) keys.splice(existing, 1);
+                keys.push({ ...key, time: to });
+                keys.sort((a, b) => a.time - b.time);
+            });
+            this.changed();
+        });
+    }
+
+    // Drag a control point of the shown segment's curve; the segment
+    // becomes a custom curve
+    startCurveDrag(e) {
+        const handle = e.target.dataset?.handle;
+        const segment = this.getSegment(this.getClip());
+        if (handle == null || !segment || segment.last) return;
+        e.preventDefault();
+
+        const key = segment.keys[segment.index];
+        const edit = this.app.history.begin('Shape curve', ['clips']);
+        key.bezier = [...(getCurve(key) || EASINGS.linear.curve)];
+        key.easing = 'bezier';
+
+        this.app.timeline.trackPointer(e, (moveE) => {
+            const rect = this.curveEl.getBoundingClientRect();
+            const box = this.curveEl.viewBox.baseVal;
+            const x = (box.x + (moveE.clientX - rect.left) / rect.width * box.width) / CURVE_WIDTH;
+            const y = 1 - (box.y + (moveE.clientY - rect.top) / rect.height * box.height) / CURVE_HEIGHT;
+            const index = handle === '1' ? 0 : 2;
+            key.bezier[index] = clamp(x, 0, 1);
+            key.bezier[index + 1] = clamp(y, CURVE_MIN, CURVE_MAX);
+            this.changed(this.property);
+        }, () => {
+            edit.commit();
+        });
+    }
+
+    // Bring sliders, ◆ buttons and the Keyframes group in line with the
+    // shown clip at the playhead
+    render() {
+        const clip = this.getClip();
+        const properties = clip ? this.getProperties(clip) : [];
+
+        Object.entries(PROPERTIES).forEach(([property, { default: fallback, unit, control }]) => {
+            const id = control || property;
+            const value = clip && properties.includes(property)
+                ? getValue(clip, property, this.app.state.currentTime)
+                : fallback;
+            this.app.setSliderValue(`${id}Slider`, `${id}Value`, Math.round(value), (v) => `${v}${unit}`);
+        });
+
+        document.querySelectorAll('.keyframe-btn[data-property]').forEach(btn => {
+            const { property } = btn.dataset;
+            const keys = clip?.keyframes?.[property];
+            btn.disabled = !properties.includes(property);
+            btn.classList.toggle('animated', !!keys?.length);
+            btn.classList.toggle('active', !!clip && this.findKey(keys, this.getLocalTime(clip)) >= 0);
+            btn.title = btn.classList.contains('active') ? 'Remove Keyframe' : 'Add Keyframe';
+        });
+
+        this.renderPanel(clip, properties);
+    }
+
+    renderPanel(clip, properties) {
+        if (!this.propertySelect) return;
+        if (properties.length && !properties.includes(this.property)) this.property = properties[0];
+
+        const options = properties.map(property => {
+            const count = clip.keyframes?.[property]?.length || 0;
+            return [property, `${PROPERTIES[property].name}${count ? ` (${count})` : ''}`];
+        });
+        const signature = JSON.stringify(options);
+        if (signature !== this.optionsSignature) {
+            this.optionsSignature = signature;
+            this.propertySelect.innerHTML = '';
+            options.forEach(([value, label]) => this.propertySelect.add(new Option(label, value)));
+        }
+        this.propertySelect.value = this.property;
+        this.propertySelect.disabled = !clip;
+
+        const segment = this.getSegment(clip);
+        const key = segment && segment.keys[segment.index];
+        this.easingSelect.disabled = !segment || segment.last;
+        this.easingSelect.value = key?.easing || 'linear';
+
+        if (!clip) this.infoEl.textContent = 'Select a clip to animate it';
+        else if (!segment) this.infoEl.textContent = 'No keyframes. Press ◆ to add one at the playhead';
+        else if (segment.last) this.infoEl.textContent = `Key ${segment.index + 1} of ${segment.keys.length}. Move the playhead between two keys to shape the curve`;
+        else this.infoEl.textContent = `Easing from key ${segment.index + 1} to ${segment.index + 2} of ${segment.keys.length}`;
+
+        this.renderCurve(segment && !segment.last ? key : null);
+    }
+
+    renderCurve(key) {
+        if (!this.curveEl) return;
+        // Rebuilt only when it changes, as this follows the playhead
+        const signature = JSON.stringify(key && [key.easing, getCurve(key)]);
+        if (signature === this.curveSignature) return;
+        this.curveSignature = signature;
+
+        const x = (value) => value * CURVE_WIDTH;
+        const y = (value) => (1 - value) * CURVE_HEIGHT;
+        const minY = y(CURVE_MAX) - CURVE_MARGIN;
+        this.curveEl.setAttribute('viewBox',
+            `${-CURVE_MARGIN} ${minY} ${CURVE_WIDTH + CURVE_MARGIN * 2} ${y(CURVE_MIN) + CURVE_MARGIN - minY}`);
+        this.curveEl.classList.toggle('disabled', !key);
+
+        const frame = `<rect class="curve-frame" x="0" y="0" width="${CURVE_WIDTH}" height="${CURVE_HEIGHT}"></rect>`;
+        if (!key) {
+            this.curveEl.innerHTML = frame;
+            return;
+        }
+
+        const curve = getCurve(key);
+        if (!curve) {
+            this.curveEl.innerHTML = `${frame}<path class="curve-path" d="M0,${y(0)} H${x(1)} V${y(1)}"></path>`;
+            return;
+        }
+
+        const [x1, y1, x2, y2] = curve;
+        this.curveEl.innerHTML = `
+            ${frame}
+            <line class="curve-arm" x1="${x(0)}" y1="${y(0)}" x2="${x(x1)}" y2="${y(y1)}"></line>
+            <line class="curve-arm" x1="${x(1)}" y1="${y(1)}" x2="${x(x2)}" y2="${y(y2)}"></line>
+            <path class="curve-path" d="M${x(0)},${y(0)} C${x(x1)},${y(y1)} ${x(x2)},${y(y2)} ${x(1)},${y(1)}"></path>
+            <circle class="curve-handle" data-handle="1" cx="${x(x1)}" cy="${y(y1)}" r="5"></circle>
+            <circle class="curve-handle" data-handle="2" cx="${x(x2)}" cy="${y(y2)}" r="5"></circle>
+        `;
+    }
+}
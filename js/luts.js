@@ -0,0 +1,220 @@
+/**
+ * Vici Video Editor - LUT Library
+ * Imports .cube LUTs into a library kept in IndexedDB, shown as cards
+ * beside the filter presets
+ */
+
+import { hashFile } from './utils.js';
+import { openDatabase, promisify } from './autosave.js';
+import { lutPass } from './pipeline.js';
+
+// Largest tables accepted; grading LUTs are usually 17, 33 or 65 point
+const MAX_3D_SIZE = 65;
+const MAX_1D_SIZE = 65536;
+
+// Size of the preview swatch on a LUT's card
+const PREVIEW_SIZE = 48;
+
+// Loaded LUTs by id (a hash of the file), for effect stacks to look up
+const library = new Map();
+
+export function getLut(id) {
+    return library.get(id) || null;
+}
+
+// Three numbers from a .cube line, or an error naming the line
+function parseTriple(values, index) {
+    const triple = values.map(Number);
+    if (triple.length !== 3 || !triple.every(Number.isFinite)) {
+        throw new Error(`line ${index + 1}: expected three numbers`);
+    }
+    return triple;
+}
+
+/**
+ * Parse the text of a .cube file (the Adobe/Resolve format): a 1D table
+ * of `size` entries or a 3D one of size³ with red changing fastest, each
+ * entry an RGB triple. Unknown keywords are skipped.
+ * @returns {{title: string, dimension: number, size: number, domainMin: number[],
+ *   domainMax: number[], data: Float32Array}}
+ */
+export function parseCube(text) {
+    let title = '';
+    let dimension = 0;
+    let size = 0;
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    const values = [];
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.replace(/#.*/, '').trim();
+        if (!line) return;
+
+        const [keyword, ...args] = line.split(/\s+/);
+        switch (keyword) {
+            case 'TITLE':
+                title = line.slice(keyword.length).trim().replace(/^"(.*)"$/, '$1');
+                break;
+            case 'LUT_1D_SIZE':
+            case 'LUT_3D_SIZE':
+                dimension = keyword === 'LUT_1D_SIZE' ? 1 : 3;
+                size = parseInt(args[0]);
+                break;
+            case 'DOMAIN_MIN':
+                domainMin = parseTriple(args, index);
+                break;
+            case 'DOMAIN_MAX':
+                domainMax = parseTriple(args, index);
+                break;
+            // Resolve's older way of giving the domain
+            case 'LUT_1D_INPUT_RANGE':
+            case 'LUT_3D_INPUT_RANGE': {
+                const [min, max] = args.map(Number);
+                domainMin = [min, min, min];
+                domainMax = [max, max, max];
+                break;
+            }
+            default:
+                if (/^[-+.\d]/.test(keyword)) values.push(...parseTriple([keyword, ...args], index));
+        }
+    });
+
+    if (!dimension) throw new Error('no LUT_1D_SIZE or LUT_3D_SIZE');
+    const maxSize = dimension === 1 ? MAX_1D_SIZE : MAX_3D_SIZE;
+    if (!(size >= 2 && size <= maxSize)) throw new Error(`unsupported ${dimension}D size ${size}`);
+    const entries = dimension === 1 ? size : size ** 3;
+    if (values.length !== entries * 3) {
+        throw new Error(`expected ${entries} entries, found ${values.length / 3}`);
+    }
+    if (domainMin.some((min, i) => !(domainMax[i] > min))) throw new Error('DOMAIN_MAX must be above DOMAIN_MIN');
+
+    return { title, dimension, size, domainMin, domainMax, data: new Float32Array(values) };
+}
+
+export class LutManager {
+    constructor(app) {
+        this.app = app;
+        this.db = null;
+        this.grid = document.querySelector('.filter-grid');
+        this.importCard = document.getElementById('importLutBtn');
+        this.input = document.getElementById('lutInput');
+
+        this.importCard?.addEventListener('click', () => this.input?.click());
+        this.input?.addEventListener('change', () => {
+            this.importFiles([...this.input.files]);
+            this.input.value = '';
+        });
+
+        this.load();
+    }
+
+    store(mode = 'readonly') {
+        return this.db.transaction('luts', mode).objectStore('luts');
+    }
+
+    // Read the library; clips using its LUTs draw once it has loaded
+    async load() {
+        try {
+            this.db = await openDatabase();
+            const records = await promisify(this.store().getAll());
+            records
+                .sort((a, b) => a.importedAt - b.importedAt)
+                .forEach(lut => library.set(lut.id, lut));
+        } catch (err) {
+            console.warn('LUT library unavailable:', err);
+        }
+
+        this.render();
+        this.app.effects.syncControls();
+        this.app.playback?.refresh();
+    }
+
+    async importFiles(files) {
+        for (const file of files) {
+            try {
+                const parsed = parseCube(await file.text());
+                const lut = {
+                    id: await hashFile(file),
+                    name: parsed.title || file.name.replace(/\.cube$/i, ''),
+                    importedAt: Date.now(),
+                    ...parsed
+                };
+                library.set(lut.id, lut);
+                await this.save(lut);
+                this.app.showToast(`Imported LUT "${lut.name}"`, 'success');
+            } catch (err) {
+                this.app.showToast(`Could not import ${file.name}: ${err.message}`, 'error');
+            }
+        }
+
+        this.render();
+        this.app.effects.syncControls();
+        this.app.playback.refresh();
+    }
+
+    // A LUT that can't be stored still works until the page is closed
+    async save(lut) {
+        try {
+            if (!this.db) this.db = await openDatabase();
+            await promisify(this.store('readwrite').put(lut));
+        } catch (err) {
+            console.warn('Could not store LUT:', err);
+        }
+    }
+
+    // Clips still using the LUT keep it in their stack but stop drawing it
+    async remove(id) {
+        const lut = getLut(id);
+        if (!lut || !confirm(`Remove "${lut.name}" from the LUT library?`)) return;
+
+        library.delete(id);
+        this.render();
+        this.app.effects.syncControls();
+        this.app.playback.refresh();
+        try {
+            await promisify(this.store('readwrite').delete(id));
+        } catch (err) {
+            console.warn('Could not remove LUT:', err);
+        }
+    }
+
+    // A card per LUT, before the import card
+    render() {
+        if (!this.grid) return;
+        this.grid.querySelectorAll('.lut-card').forEach(card => card.remove());
+
+        library.forEach(lut => {
+            const card = document.createElement('div');
+            card.className = 'filter-card lut-card';
+            card.dataset.lut = lut.id;
+            card.title = `${lut.dimension}D LUT · ${lut.size} point`;
+            card.innerHTML = `
+                <canvas class="filter-preview" width="${PREVIEW_SIZE}" height="${PREVIEW_SIZE}"></canvas>
+                <span></span>
+                <button class="lut-remove" title="Remove LUT">✕</button>
+            `;
+            card.querySelector('span').textContent = lut.name;
+            this.drawPreview(card.querySelector('canvas'), lut);
+
+            card.addEventListener('click', () => {
+                this.app.history.transact('Apply LUT', ['clips'], () => this.app.effects.toggleLut(lut.id));
+            });
+            card.querySelector('.lut-remove').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.remove(lut.id);
+            });
+            this.grid.insertBefore(card, this.importCard);
+        });
+    }
+
+    // The filter cards' swatch, graded by the LUT
+    drawPreview(canvas, lut) {
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, PREVIEW_SIZE, PREVIEW_SIZE);
+        gradient.addColorStop(0, '#667eea');
+        gradient.addColorStop(1, '#764ba2');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, PREVIEW_SIZE, PREVIEW_SIZE);
+        this.app.effects.pipeline.run(canvas, [lutPass(lut, 1)]);
+    }
+}
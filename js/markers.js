@@ -0,0 +1,221 @@
+/**
+ * Vici Video Editor - Markers Manager
+ * Named, colored timeline markers and chapter export
+ */
+
+import { createId } from './utils.js';
+
+export const MARKER_COLORS = ['#ef4444', '#f59e0b', '#22c55e', '#3b82f6', '#a855f7', '#ec4899'];
+
+// H:MM:SS / MM:SS as YouTube expects in a description
+function formatChapterTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    const mmss = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours ? `${hours}:${mmss}` : mmss;
+}
+
+// HH:MM:SS.mmm, the WebVTT timestamp format
+function formatVttTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const hours = Math.floor(ms / 3600000);
+    const mins = Math.floor((ms % 3600000) / 60000);
+    const secs = Math.floor((ms % 60000) / 1000);
+    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:` +
+        `${secs.toString().padStart(2, '0')}.${(ms % 1000).toString().padStart(3, '0')}`;
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class MarkersManager {
+    constructor(app) {
+        this.app = app;
+        this.list = document.getElementById('markersList');
+
+        document.getElementById('addMarkerBtn')?.addEventListener('click', () => this.addAtPlayhead());
+        document.getElementById('exportMarkersBtn')?.addEventListener('click', () => {
+            this.export(document.getElementById('markerExportFormat').value);
+        });
+
+        this.renderList();
+    }
+
+    // Sorted by time
+    getMarkers() {
+        return [...this.app.state.markers].sort((a, b) => a.time - b.time);
+    }
+
+    addAtPlayhead() {
+        const { markers } = this.app.state;
+        const time = this.app.timeline.quantize(this.app.state.currentTime);
+        if (markers.some(marker => Math.abs(marker.time - time) < 0.001)) {
+            this.app.showToast('There is already a marker here', 'warning');
+            return;
+        }
+
+        const marker = {
+            id: createId(),
+            time,
+            name: `Marker ${markers.length + 1}`,
+            color: MARKER_COLORS[markers.length % MARKER_COLORS.length],
+            comment: ''
+        };
+
+        this.app.history.transact('Add marker', ['markers'], () => {
+            markers.push(marker);
+            this.render();
+        });
+    }
+
+    update(markerId, changes, label) {
+        const marker = this.app.state.markers.find(m => m.id === markerId);
+        if (!marker) return;
+
+        this.app.history.transact(label, ['markers'], () => {
+            Object.assign(marker, changes);
+            this.render();
+        });
+    }
+
+    remove(markerId) {
+        this.app.history.transact('Delete marker', ['markers'], () => {
+            this.app.state.markers = this.app.state.markers.filter(m => m.id !== markerId);
+            this.render();
+        });
+    }
+
+    render() {
+        this.renderRuler();
+        this.renderList();
+    }
+
+    // Flags on the timeline ruler; clicking one jumps to it
+    renderRuler() {
+        const { ruler, pixelsPerSecond } = this.app.timeline;
+        ruler.querySelectorAll('.ruler-marker').forEach(el => el.remove());
+
+        this.getMarkers().forEach(marker => {
+            const flag = document.createElement('div');
+            flag.className = 'ruler-marker';
+            flag.style.left = `${80 + marker.time * pixelsPerSecond}px`;
+            flag.style.setProperty('--marker-color', marker.color);
+            flag.title = marker.name;
+            flag.addEventListener('pointerdown', (e) => {
+                e.stopPropagation();
+                this.app.video.seekTo(marker.time);
+            });
+            ruler.appendChild(flag);
+        });
+    }
+
+    renderList() {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        const markers = this.getMarkers();
+        if (!markers.length) {
+            this.list.innerHTML = '<div class="marker-empty">Press M to add a marker at the playhead</div>';
+            return;
+        }
+
+        markers.forEach(marker => {
+            const item = document.createElement('div');
+            item.className = 'marker-item';
+            item.innerHTML = `
+                <button class="marker-swatch" title="Change color"></button>
+                <button class="marker-time" title="Go to marker">${this.app.formatTime(marker.time)}</button>
+                <div class="marker-fields">
+                    <input type="text" class="marker-name" placeholder="Name">
+                    <input type="text" class="marker-comment" placeholder="Comment">
+                </div>
+                <button class="layer-btn marker-delete" title="Delete marker">✕</button>
+            `;
+
+            const swatch = item.querySelector('.marker-swatch');
+            swatch.style.background = marker.color;
+            swatch.addEventListener('click', () => {
+                const next = MARKER_COLORS[(MARKER_COLORS.indexOf(marker.color) + 1) % MARKER_COLORS.length];
+                this.update(marker.id, { color: next }, 'Marker color');
+            });
+
+            item.querySelector('.marker-time').addEventListener('click', () => this.app.video.seekTo(marker.time));
+
+            const name = item.querySelector('.marker-name');
+            name.value = marker.name;
+            name.addEventListener('change', () => this.update(marker.id, { name: name.value.trim() || marker.name }, 'Rename marker'));
+
+            const comment = item.querySelector('.marker-comment');
+            comment.value = marker.comment || '';
+            comment.addEventListener('change', () => this.update(marker.id, { comment: comment.value }, 'Marker comment'));
+
+            item.querySelector('.marker-delete').addEventListener('click', () => this.remove(marker.id));
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * "00:00 Intro" lines for a YouTube description. YouTube needs the first
+     * chapter at 0:00, so an "Intro" chapter is added when no marker is there.
+     */
+    toYouTubeChapters() {
+        const markers = this.getMarkers();
+        const lines = markers.map(marker => `${formatChapterTime(marker.time)} ${marker.name}`);
+        if (!markers.length || markers[0].time >= 1) {
+            lines.unshift(`${formatChapterTime(0)} Intro`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // WebVTT chapter cues; each runs until the next marker or the end
+    toWebVTT() {
+        const markers = this.getMarkers();
+        const end = Math.max(this.app.timeline.getDuration(), ...markers.map(m => m.time));
+        const cues = markers.map((marker, i) => {
+            const cueEnd = markers[i + 1]?.time ?? end;
+            return `${i + 1}\n${formatVttTime(marker.time)} --> ${formatVttTime(cueEnd)}\n${marker.name}`;
+        });
+        return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+
+    toCSV() {
+        const rows = this.getMarkers().map(marker =>
+            [formatVttTime(marker.time), marker.name, marker.comment].map(csvField).join(','));
+        return ['Timecode,Name,Comment', ...rows].join('\n') + '\n';
+    }
+
+    export(format) {
+        const markers = this.getMarkers();
+        if (!markers.length) {
+            this.app.showToast('Add markers before exporting chapters', 'warning');
+            return;
+        }
+
+        const formats = {
+            youtube: { text: () => this.toYouTubeChapters(), suffix: 'chapters.txt', type: 'text/plain' },
+            vtt: { text: () => this.toWebVTT(), suffix: 'chapters.vtt', type: 'text/vtt' },
+            csv: { text: () => this.toCSV(), suffix: 'markers.csv', type: 'text/csv' }
+        };
+        const { text, suffix, type } = formats[format] || formats.youtube;
+
+        if (format === 'youtube') {
+            const times = [0, ...markers.map(m => m.time).filter(t => t >= 1)];
+            const tooShort = times.some((t, i) => i > 0 && t - times[i - 1] < 10);
+            if (times.length < 3 || tooShort) {
+                this.app.showToast('YouTube needs 3+ chapters, each at least 10s long', 'warning');
+            }
+        }
+
+        const blob = new Blob([text()], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.app.project.name}-${suffix}`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+}
@@ -0,0 +1,1296 @@
+/**
+ * Vici Video Editor - Frame Pipeline
+ * Runs an effect stack over a frame's pixels: on the GPU with WebGL 2
+ * where it is available, otherwise on the CPU with the same maths
+ */
+
+// Colour matrices one colour pass applies before the next pass starts
+const MAX_MATRICES = 16;
+
+// Taps each side of a blur pass; wider blurs space their taps out
+const MAX_TAPS = 32;
+
+// Glitch slices per frame
+const MAX_SLICES = 8;
+
+// Samples per grading curve, and hue bands the grade pass can adjust
+const CURVE_SAMPLES = 256;
+const MAX_HUE_BANDS = 8;
+
+// Chroma (0-1) from which per-hue adjustments apply in full; they fade
+// out below it so near-greys keep their colour
+const HUE_FULL_CHROMA = 0.25;
+
+// Distance from the centre (as a fraction of half the diagonal) where the
+// vignette starts to darken
+const VIGNETTE_INNER = 0.4;
+
+// Widest neighbourhood, each side, the denoise pass compares pixels over
+const MAX_DENOISE_RADIUS = 4;
+
+// Change between frames (0-1) above which temporal denoise treats a pixel
+// as moving and leaves it alone
+const MOTION_THRESHOLD = 0.08;
+
+// Seconds a frame may follow the previous one and still be blended with it
+const MAX_FRAME_GAP = 0.1;
+
+// Layers whose last frame temporal denoise remembers
+const MAX_HISTORY = 8;
+
+// Entries per row when a 1D LUT is uploaded: 1D tables are wrapped into
+// rows, as WebGL2 only guarantees 3D textures 256 texels wide
+const LUT_ROW = 256;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Colour operations as 3x4 matrices over 0-1 RGB (row-major, the fourth
+ * column an offset), following the CSS filter functions of the same names
+ */
+const COLOR_OPS = {
+    brightness: (a) => [a, 0, 0, 0, 0, a, 0, 0, 0, 0, a, 0],
+    contrast: (a) => [a, 0, 0, 0.5 - 0.5 * a, 0, a, 0, 0.5 - 0.5 * a, 0, 0, a, 0.5 - 0.5 * a],
+    saturate: (s) => [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s, 0,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s, 0,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s, 0
+    ],
+    grayscale: (a) => {
+        const s = 1 - clamp01(a);
+        return [
+            0.2126 + 0.7874 * s, 0.7152 - 0.7152 * s, 0.0722 - 0.0722 * s, 0,
+            0.2126 - 0.2126 * s, 0.7152 + 0.2848 * s, 0.0722 - 0.0722 * s, 0,
+            0.2126 - 0.2126 * s, 0.7152 - 0.7152 * s, 0.0722 + 0.9278 * s, 0
+        ];
+    },
+    sepia: (a) => {
+        const s = 1 - clamp01(a);
+        return [
+            0.393 + 0.607 * s, 0.769 - 0.769 * s, 0.189 - 0.189 * s, 0,
+            0.349 - 0.349 * s, 0.686 + 0.314 * s, 0.168 - 0.168 * s, 0,
+            0.272 - 0.272 * s, 0.534 - 0.534 * s, 0.131 + 0.869 * s, 0
+        ];
+    },
+    'hue-rotate': (degrees) => {
+        const cos = Math.cos(degrees * Math.PI / 180);
+        const sin = Math.sin(degrees * Math.PI / 180);
+        return [
+            0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928, 0,
+            0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283, 0,
+            0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072, 0
+        ];
+    }
+};
+
+/**
+ * Pass descriptors, the steps effects are made of. Both backends run the
+ * same descriptors, so a stack looks the same whichever one draws it.
+ */
+
+// Colour operations applied in order, each clamped: ['saturate', 1.2], ...
+export function colorPass(...ops) {
+    return { type: 'color', matrices: ops.map(([op, amount]) => COLOR_OPS[op](amount)) };
+}
+
+// Gaussian blur with a standard deviation of `sigma` pixels
+export function blurPass(sigma) {
+    return { type: 'blur', sigma };
+}
+
+// Unsharp mask: add `amount` times the difference from a Gaussian blur of
+// `sigma` pixels, where it exceeds `threshold` (0-255)
+export function unsharpPass(amount, sigma, threshold) {
+    return { type: 'unsharp', amount, sigma, threshold };
+}
+
+// Edge-preserving (bilateral) smoothing over `radius` pixels; neighbours
+// further than `sigmaColor` (0-1) from a pixel's colour count for little
+export function denoisePass(radius, sigmaColor) {
+    const reach = Math.min(MAX_DENOISE_RADIUS, Math.max(1, Math.round(radius)));
+    return { type: 'denoise', radius: reach, sigmaSpace: reach / 1.5, sigmaColor };
+}
+
+// Blend up to `strength` (0-1) of layer `key`'s previous frame into still
+// parts of the picture, when that frame came just before `time`
+export function temporalPass(strength, key, time) {
+    return { type: 'temporal', strength, key, time };
+}
+
+/**
+ * Look a colour up in `lut` (as parsed from a .cube file), mixing
+ * `intensity` (0-1) of the result into the picture. 3D tables interpolate
+ * between the surrounding entries trilinearly or tetrahedrally.
+ */
+export function lutPass(lut, intensity, interpolation = 'tetrahedral') {
+    return { type: 'lut', lut, intensity, tetrahedral: interpolation === 'tetrahedral' };
+}
+
+/**
+ * Primary colour correction in one pass, in this order: white balance
+ * gains, lift/gamma/gain, the RGB curves, the luma curve (which moves a
+ * pixel's luminance and keeps its colour), then per-hue adjustments.
+ * `balance`, `lift`, `gamma` (an exponent) and `gain` are per channel.
+ * `curves` holds 256 samples of each curve interleaved red, green, blue,
+ * luma; `hsl` a [hue centre, hue shift, saturation, lightness] per band,
+ * centres ascending from 0. Either may be null.
+ */
+export function gradePass({ balance, lift, gamma, gain, curves = null, hsl = null }) {
+    return { type: 'grade', balance, lift, gamma, gain, curves, hsl };
+}
+
+// Darken towards the corners, by up to `strength` (0-1)
+export function vignettePass(strength) {
+    return { type: 'vignette', strength };
+}
+
+// Mix `amount` (0-1) of grey noise into the picture; `cell` is the noise
+// grain's size in pixels
+export function grainPass(amount, seed, cell) {
+    return { type: 'grain', amount, seed: seed >>> 0, cell: Math.max(1, cell) };
+}
+
+// Shift a few horizontal slices sideways and the red channel left;
+// `scale` sizes them for the frame (1 at 1080p)
+export function glitchPass(seed, scale) {
+    const random = createRandom(seed);
+    const slices = Array.from({ length: Math.floor(random() * 5) + 2 }, () => ({
+        y: Math.round(random() * 1080 * scale),
+        height: Math.round((random() * 30 + 5) * scale),
+        offset: Math.round((random() - 0.5) * 40 * scale)
+    }));
+    return { type: 'glitch', slices, shift: Math.round((Math.floor(random() * 10) + 2) * scale) };
+}
+
+// Seed for random-looking effects at `time`: the same frame gets the same
+// grain and glitch in preview and export
+export function frameSeed(time) {
+    return Math.floor(time * 1000) >>> 0;
+}
+
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Integer hash shared with the grain shader
+function hash(value) {
+    let x = value >>> 0;
+    x = Math.imul(x ^ (x >>> 16), 0x7feb352d) >>> 0;
+    x = Math.imul(x ^ (x >>> 15), 0x846ca68b) >>> 0;
+    return (x ^ (x >>> 16)) >>> 0;
+}
+
+// Normalised weights of one side of a blur kernel, and the spacing of its taps
+function blurKernel(sigma) {
+    const reach = Math.ceil(sigma * 3);
+    const step = Math.max(1, Math.ceil(reach / MAX_TAPS));
+    const radius = Math.ceil(reach / step);
+    const weights = Array.from({ length: radius + 1 }, (_, i) => Math.exp(-((i * step) ** 2) / (2 * sigma * sigma)));
+    const total = weights.reduce((sum, w, i) => sum + (i ? 2 * w : w), 0);
+    return { radius, step, weights: weights.map(w => w / total) };
+}
+
+// Whether a frame at `time` directly follows one remembered at `previous`
+function followsFrame(previous, time) {
+    return previous != null && time > previous && time - previous <= MAX_FRAME_GAP;
+}
+
+/**
+ * Passes as the backends run them: runs of colour passes merged, blurs
+ * split into a horizontal and a vertical pass, and no-ops dropped. An
+ * unsharp mask becomes 'mark' (keep the picture), a blur, and 'unsharp'
+ * (combine the blur with the kept picture).
+ */
+function preparePasses(passes) {
+    const prepared = [];
+    passes.forEach(pass => {
+        if (pass.type === 'color') {
+            pass.matrices.forEach(matrix => {
+                const last = prepared[prepared.length - 1];
+                if (last?.type === 'color' && last.matrices.length < MAX_MATRICES) last.matrices.push(matrix);
+                else prepared.push({ type: 'color', matrices: [matrix] });
+            });
+        } else if (pass.type === 'blur') {
+            if (pass.sigma < 0.1) return;
+            const kernel = blurKernel(pass.sigma);
+            prepared.push({ type: 'blur', direction: [1, 0], ...kernel });
+            prepared.push({ type: 'blur', direction: [0, 1], ...kernel });
+        } else if (pass.type === 'unsharp') {
+            if (pass.sigma < 0.1 || pass.amount <= 0) return;
+            const kernel = blurKernel(pass.sigma);
+            prepared.push({ type: 'mark' });
+            prepared.push({ type: 'blur', direction: [1, 0], ...kernel });
+            prepared.push({ type: 'blur', direction: [0, 1], ...kernel });
+            prepared.push({ type: 'unsharp', amount: pass.amount, threshold: pass.threshold });
+        } else if (pass.type === 'denoise' || pass.type === 'temporal') {
+            if ((pass.type === 'denoise' ? pass.sigmaColor : pass.strength) <= 0) return;
+            if (pass.type === 'temporal' && pass.key == null) return;
+            prepared.push(pass);
+        } else if (pass.type === 'lut') {
+            if (!pass.lut || pass.intensity <= 0) return;
+            prepared.push(pass);
+        } else if (pass.type === 'grade') {
+            prepared.push({ ...pass, hsl: pass.hsl?.slice(0, MAX_HUE_BANDS * 4) ?? null });
+        } else if (pass.type === 'glitch') {
+            prepared.push({ ...pass, slices: pass.slices.slice(0, MAX_SLICES) });
+        } else {
+            prepared.push(pass);
+        }
+    });
+    return prepared;
+}
+
+// A 0-1 colour channel as a position in a LUT's domain, 0 to size - 1
+function lutPosition(value, min, max, size) {
+    return clamp01((value - min) / (max - min)) * (size - 1);
+}
+
+// Entry (r, g, b) of a 3D LUT, whose red index changes fastest
+function lutEntry(lut, r, g, b, out) {
+    const i = (r + (g + b * lut.size) * lut.size) * 3;
+    out[0] = lut.data[i];
+    out[1] = lut.data[i + 1];
+    out[2] = lut.data[i + 2];
+}
+
+/**
+ * RGB of `lut` at a 0-1 colour, written to `out`. Tetrahedral
+ * interpolation splits the cube around the colour into six tetrahedra
+ * and mixes the four corners of the one the colour lies in.
+ */
+function sampleLut(lut, tetrahedral, r, g, b, out) {
+    const { size, data, domainMin: min, domainMax: max } = lut;
+    const pr = lutPosition(r, min[0], max[0], size);
+    const pg = lutPosition(g, min[1], max[1], size);
+    const pb = lutPosition(b, min[2], max[2], size);
+
+    if (lut.dimension === 1) {
+        [pr, pg, pb].forEach((position, channel) => {
+            const i = Math.min(Math.floor(position), size - 2);
+            const f = position - i;
+            out[channel] = data[i * 3 + channel] * (1 - f) + data[(i + 1) * 3 + channel] * f;
+        });
+        return;
+    }
+
+    const r0 = Math.min(Math.floor(pr), size - 2);
+    const g0 = Math.min(Math.floor(pg), size - 2);
+    const b0 = Math.min(Math.floor(pb), size - 2);
+    const fr = pr - r0;
+    const fg = pg - g0;
+    const fb = pb - b0;
+    const corner = [0, 0, 0];
+    out[0] = out[1] = out[2] = 0;
+    const add = (dr, dg, db, weight) => {
+        if (!weight) return;
+        lutEntry(lut, r0 + dr, g0 + dg, b0 + db, corner);
+        out[0] += corner[0] * weight;
+        out[1] += corner[1] * weight;
+        out[2] += corner[2] * weight;
+    };
+
+    if (!tetrahedral) {
+        for (let i = 0; i < 8; i++) {
+            const dr = i & 1;
+            const dg = (i >> 1) & 1;
+            const db = (i >> 2) & 1;
+            add(dr, dg, db, (dr ? fr : 1 - fr) * (dg ? fg : 1 - fg) * (db ? fb : 1 - fb));
+        }
+        return;
+    }
+
+    add(0, 0, 0, 1 - Math.max(fr, fg, fb));
+    add(1, 1, 1, Math.min(fr, fg, fb));
+    if (fr >= fg && fg >= fb) {
+        add(1, 0, 0, fr - fg);
+        add(1, 1, 0, fg - fb);
+    } else if (fr >= fb && fb >= fg) {
+        add(1, 0, 0, fr - fb);
+        add(1, 0, 1, fb - fg);
+    } else if (fb >= fr && fr >= fg) {
+        add(0, 0, 1, fb - fr);
+        add(1, 0, 1, fr - fg);
+    } else if (fb >= fg && fg >= fr) {
+        add(0, 0, 1, fb - fg);
+        add(0, 1, 1, fg - fr);
+    } else if (fg >= fb && fb >= fr) {
+        add(0, 1, 0, fg - fb);
+        add(0, 1, 1, fb - fr);
+    } else {
+        add(0, 1, 0, fg - fr);
+        add(1, 1, 0, fr - fb);
+    }
+}
+
+// Rec. 709 luminance
+function luma(r, g, b) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Curve `channel` of a grade's table at `value`, interpolating samples
+function curveAt(curves, channel, value) {
+    const position = clamp01(value) * (CURVE_SAMPLES - 1);
+    const i = Math.min(Math.floor(position), CURVE_SAMPLES - 2);
+    const f = position - i;
+    return curves[i * 4 + channel] * (1 - f) + curves[(i + 1) * 4 + channel] * f;
+}
+
+// Hue (0-360), saturation and lightness of a 0-1 colour
+function rgbToHsl(r, g, b, out) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    let h = 0;
+    if (d > 0) {
+        if (max === r) h = ((g - b) / d + 6) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+    }
+    out[0] = h * 60;
+    out[1] = d > 0 ? d / (1 - Math.abs(2 * l - 1)) : 0;
+    out[2] = l;
+}
+
+function hslToRgb(h, s, l, out) {
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const k = ((h % 360) + 360) % 360 / 60;
+    const x = c * (1 - Math.abs(k % 2 - 1));
+    const m = l - c / 2;
+    const [r, g, b] = k < 1 ? [c, x, 0] : k < 2 ? [x, c, 0] : k < 3 ? [0, c, x]
+        : k < 4 ? [0, x, c] : k < 5 ? [x, 0, c] : [c, 0, x];
+    out[0] = r + m;
+    out[1] = g + m;
+    out[2] = b + m;
+}
+
+/**
+ * Per-hue adjustment of a colour, in place. A pixel's hue falls between
+ * two band centres and takes a mix of both bands' settings, faded out
+ * towards grey.
+ */
+function adjustHue(color, hsl) {
+    const chroma = Math.max(...color) - Math.min(...color);
+    if (chroma <= 0) return;
+    const weight = clamp01(chroma / HUE_FULL_CHROMA);
+    const hsla = [0, 0, 0];
+    rgbToHsl(color[0], color[1], color[2], hsla);
+
+    const bands = hsl.length / 4;
+    let hue = hsla[0];
+    if (hue < hsl[0]) hue += 360;
+    let i = bands - 1;
+    while (i > 0 && hue < hsl[i * 4]) i--;
+    const next = (i + 1) % bands;
+    const end = next ? hsl[next * 4] : hsl[0] + 360;
+    const t = (hue - hsl[i * 4]) / (end - hsl[i * 4]);
+    const mix = (offset) => hsl[i * 4 + offset] * (1 - t) + hsl[next * 4 + offset] * t;
+
+    hslToRgb(
+        hsla[0] + mix(1) * weight,
+        clamp01(hsla[1] * (1 + mix(2) * weight)),
+        clamp01(hsla[2] + mix(3) * weight),
+        color
+    );
+}
+
+/*
+ * CPU backend: each pass reads one RGBA byte buffer and writes another.
+ * Colours are unpremultiplied, as in ImageData. Unsharp and temporal
+ * passes also read a second buffer: the kept picture, or the layer's
+ * previous frame.
+ */
+const CPU_PASSES = {
+    color(src, dst, width, height, { matrices }) {
+        for (let i = 0; i < src.length; i += 4) {
+            let r = src[i] / 255;
+            let g = src[i + 1] / 255;
+            let b = src[i + 2] / 255;
+            for (const m of matrices) {
+                const nr = clamp01(m[0] * r + m[1] * g + m[2] * b + m[3]);
+                const ng = clamp01(m[4] * r + m[5] * g + m[6] * b + m[7]);
+                const nb = clamp01(m[8] * r + m[9] * g + m[10] * b + m[11]);
+                r = nr;
+                g = ng;
+                b = nb;
+            }
+            dst[i] = r * 255;
+            dst[i + 1] = g * 255;
+            dst[i + 2] = b * 255;
+            dst[i + 3] = src[i + 3];
+        }
+    },
+
+    // Weighted by alpha so transparent edges don't darken the picture
+    blur(src, dst, width, height, { direction: [dx, dy], radius, step, weights }) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                let a = 0;
+                for (let i = -radius; i <= radius; i++) {
+                    const sx = x + i * step * dx;
+                    const sy = y + i * step * dy;
+                    if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+                    const j = (sy * width + sx) * 4;
+                    const w = src[j + 3] / 255 * weights[Math.abs(i)];
+                    r += src[j] * w;
+                    g += src[j + 1] * w;
+                    b += src[j + 2] * w;
+                    a += w;
+                }
+                const k = (y * width + x) * 4;
+                if (a > 0) {
+                    dst[k] = r / a;
+                    dst[k + 1] = g / a;
+                    dst[k + 2] = b / a;
+                    dst[k + 3] = a * 255;
+                } else {
+                    dst[k] = dst[k + 1] = dst[k + 2] = dst[k + 3] = 0;
+                }
+            }
+        }
+    },
+
+    unsharp(src, dst, width, height, { amount, threshold }, base) {
+        for (let i = 0; i < src.length; i += 4) {
+            const dr = base[i] - src[i];
+            const dg = base[i + 1] - src[i + 1];
+            const db = base[i + 2] - src[i + 2];
+            const sharpen = Math.max(Math.abs(dr), Math.abs(dg), Math.abs(db)) >= threshold;
+            dst[i] = sharpen ? base[i] + dr * amount : base[i];
+            dst[i + 1] = sharpen ? base[i + 1] + dg * amount : base[i + 1];
+            dst[i + 2] = sharpen ? base[i + 2] + db * amount : base[i + 2];
+            dst[i + 3] = base[i + 3];
+        }
+    },
+
+    denoise(src, dst, width, height, { radius, sigmaSpace, sigmaColor }) {
+        const space = 2 * sigmaSpace * sigmaSpace;
+        const color = 2 * sigmaColor * sigmaColor * 255 * 255;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const k = (y * width + x) * 4;
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                let total = 0;
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const sy = y + dy;
+                    if (sy < 0 || sy >= height) continue;
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const sx = x + dx;
+                        if (sx < 0 || sx >= width) continue;
+                        const j = (sy * width + sx) * 4;
+                        const dr = src[j] - src[k];
+                        const dg = src[j + 1] - src[k + 1];
+                        const db = src[j + 2] - src[k + 2];
+                        const w = src[j + 3] / 255 *
+                            Math.exp(-(dx * dx + dy * dy) / space - (dr * dr + dg * dg + db * db) / color);
+                        r += src[j] * w;
+                        g += src[j + 1] * w;
+                        b += src[j + 2] * w;
+                        total += w;
+                    }
+                }
+                dst[k] = total > 0 ? r / total : src[k];
+                dst[k + 1] = total > 0 ? g / total : src[k + 1];
+                dst[k + 2] = total > 0 ? b / total : src[k + 2];
+                dst[k + 3] = src[k + 3];
+            }
+        }
+    },
+
+    // Without a previous frame the picture passes through
+    temporal(src, dst, width, height, { strength }, previous) {
+        for (let i = 0; i < src.length; i += 4) {
+            const motion = previous
+                ? Math.max(Math.abs(src[i] - previous[i]), Math.abs(src[i + 1] - previous[i + 1]),
+                    Math.abs(src[i + 2] - previous[i + 2])) / 255
+                : 1;
+            const w = strength * clamp01(1 - motion / MOTION_THRESHOLD);
+            dst[i] = w ? src[i] + (previous[i] - src[i]) * w : src[i];
+            dst[i + 1] = w ? src[i + 1] + (previous[i + 1] - src[i + 1]) * w : src[i + 1];
+            dst[i + 2] = w ? src[i + 2] + (previous[i + 2] - src[i + 2]) * w : src[i + 2];
+            dst[i + 3] = src[i + 3];
+        }
+    },
+
+    grade(src, dst, width, height, { balance, lift, gamma, gain, curves, hsl }) {
+        const color = [0, 0, 0];
+        for (let i = 0; i < src.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                let value = src[i + c] / 255 * balance[c];
+                value = gain[c] * (value + lift[c] * (1 - value));
+                value = Math.max(value, 0) ** gamma[c];
+                color[c] = curves ? curveAt(curves, c, value) : value;
+            }
+            if (curves) {
+                const y = clamp01(luma(color[0], color[1], color[2]));
+                const shift = curveAt(curves, 3, y) - y;
+                for (let c = 0; c < 3; c++) color[c] += shift;
+            }
+            if (hsl) {
+                for (let c = 0; c < 3; c++) color[c] = clamp01(color[c]);
+                adjustHue(color, hsl);
+            }
+            dst[i] = clamp01(color[0]) * 255;
+            dst[i + 1] = clamp01(color[1]) * 255;
+            dst[i + 2] = clamp01(color[2]) * 255;
+            dst[i + 3] = src[i + 3];
+        }
+    },
+
+    lut(src, dst, width, height, { lut, intensity, tetrahedral }) {
+        const out = [0, 0, 0];
+        for (let i = 0; i < src.length; i += 4) {
+            const r = src[i] / 255;
+            const g = src[i + 1] / 255;
+            const b = src[i + 2] / 255;
+            sampleLut(lut, tetrahedral, r, g, b, out);
+            dst[i] = (r + (clamp01(out[0]) - r) * intensity) * 255;
+            dst[i + 1] = (g + (clamp01(out[1]) - g) * intensity) * 255;
+            dst[i + 2] = (b + (clamp01(out[2]) - b) * intensity) * 255;
+            dst[i + 3] = src[i + 3];
+        }
+    },
+
+    vignette(src, dst, width, height, { strength }) {
+        const reach = Math.hypot(width, height) / 2;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const d = Math.hypot(x + 0.5 - width / 2, y + 0.5 - height / 2) / reach;
+                const factor = 1 - strength * clamp01((d - VIGNETTE_INNER) / (1 - VIGNETTE_INNER));
+                const k = (y * width + x) * 4;
+                dst[k] = src[k] * factor;
+                dst[k + 1] = src[k + 1] * factor;
+                dst[k + 2] = src[k + 2] * factor;
+                dst[k + 3] = src[k + 3];
+            }
+        }
+    },
+
+    grain(src, dst, width, height, { amount, seed, cell }) {
+        const seedHash = hash(seed);
+        for (let y = 0; y < height; y++) {
+            const rowHash = hash((Math.floor(y / cell) + seedHash) >>> 0);
+            for (let x = 0; x < width; x++) {
+                const noise = hash((Math.floor(x / cell) + rowHash) >>> 0) / 4294967295 * 255 * amount;
+                const k = (y * width + x) * 4;
+                dst[k] = src[k] * (1 - amount) + noise;
+                dst[k + 1] = src[k + 1] * (1 - amount) + noise;
+                dst[k + 2] = src[k + 2] * (1 - amount) + noise;
+                dst[k + 3] = src[k + 3];
+            }
+        }
+    },
+
+    glitch(src, dst, width, height, { slices, shift }) {
+        // How far each row moves; the first slice over a row wins
+        const offsets = new Int32Array(height);
+        for (let y = 0; y < height; y++) {
+            offsets[y] = slices.find(s => y >= s.y && y < s.y + s.height)?.offset ?? 0;
+        }
+        // Index of the pixel (x, y) shows once its row has moved
+        const sliced = (x, y) => {
+            const sx = x - offsets[y];
+            return (y * width + (sx >= 0 && sx < width ? sx : x)) * 4;
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const j = sliced(x, y);
+                const k = (y * width + x) * 4;
+                dst[k] = x + shift < width ? src[sliced(x + shift, y)] : src[j];
+                dst[k + 1] = src[j + 1];
+                dst[k + 2] = src[j + 2];
+                dst[k + 3] = src[j + 3];
+            }
+        }
+    }
+};
+
+class CpuBackend {
+    constructor() {
+        this.name = 'cpu';
+        this.spares = [];
+        // Layer key -> {time, data} of its last temporally denoised frame
+        this.history = new Map();
+    }
+
+    run(canvas, passes) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const image = ctx.getImageData(0, 0, width, height);
+        const { length } = image.data;
+        if (this.spares[0]?.length !== length) {
+            this.spares = [new Uint8ClampedArray(length), new Uint8ClampedArray(length)];
+        }
+        const buffers = [image.data, ...this.spares];
+
+        let src = image.data;
+        let base = null;
+        passes.forEach(pass => {
+            if (pass.type === 'mark') {
+                base = src;
+                return;
+            }
+            // Any buffer that isn't being read
+            const dst = buffers.find(buffer => buffer !== src && buffer !== base);
+            if (pass.type === 'temporal') {
+                const entry = this.getHistory(pass.key, length);
+                CPU_PASSES.temporal(src, dst, width, height, pass, followsFrame(entry.time, pass.time) ? entry.data : null);
+                entry.data.set(dst);
+                entry.time = pass.time;
+            } else {
+                CPU_PASSES[pass.type](src, dst, width, height, pass, base);
+                if (pass.type === 'unsharp') base = null;
+            }
+            src = dst;
+        });
+        if (src !== image.data) image.data.set(src);
+        ctx.putImageData(image, 0, 0);
+    }
+
+    // The remembered frame of a layer, most recently used last
+    getHistory(key, length) {
+        let entry = this.history.get(key);
+        this.history.delete(key);
+        if (entry?.data.length !== length) entry = { time: null, data: new Uint8ClampedArray(length) };
+        this.history.set(key, entry);
+        if (this.history.size > MAX_HISTORY) this.history.delete(this.history.keys().next().value);
+        return entry;
+    }
+}
+
+/*
+ * WebGL backend: the same passes as fragment shaders, drawing between
+ * three textures. Pixels are addressed from the top left like the
+ * CPU backend's, and colours kept unpremultiplied until the last pass.
+ */
+const VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+void main() {
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+const FRAGMENT_HEADER = `#version 300 es
+precision highp float;
+precision highp int;
+uniform sampler2D u_image;
+uniform ivec2 u_size;
+out vec4 outColor;
+
+// Pixel (x, y) of a frame-sized texture from the top left; transparent
+// outside the frame
+vec4 texel(sampler2D image, int x, int y) {
+    if (x < 0 || y < 0 || x >= u_size.x || y >= u_size.y) return vec4(0.0);
+    return texelFetch(image, ivec2(x, u_size.y - 1 - y), 0);
+}
+
+vec4 pixel(int x, int y) {
+    return texel(u_image, x, y);
+}
+`;
+
+const FRAGMENT_MAIN = `
+void main() {
+    outColor = effect(int(gl_FragCoord.x), u_size.y - 1 - int(gl_FragCoord.y));
+}`;
+
+const FRAGMENT_SHADERS = {
+    // Last pass onto the canvas, which takes premultiplied colours
+    output: `
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    return vec4(c.rgb * c.a, c.a);
+}`,
+
+    // Copies a frame into temporal denoise's history
+    copy: `
+vec4 effect(int x, int y) {
+    return pixel(x, y);
+}`,
+
+    color: `
+uniform vec4 u_rows[${MAX_MATRICES * 3}];
+uniform int u_count;
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    for (int i = 0; i < ${MAX_MATRICES}; i++) {
+        if (i >= u_count) break;
+        vec4 rgb = vec4(c.rgb, 1.0);
+        c.rgb = clamp(vec3(dot(u_rows[i * 3], rgb), dot(u_rows[i * 3 + 1], rgb), dot(u_rows[i * 3 + 2], rgb)), 0.0, 1.0);
+    }
+    return c;
+}`,
+
+    blur: `
+uniform ivec2 u_direction;
+uniform int u_radius;
+uniform int u_step;
+uniform float u_weights[${MAX_TAPS + 1}];
+vec4 effect(int x, int y) {
+    vec4 sum = vec4(0.0);
+    for (int i = -${MAX_TAPS}; i <= ${MAX_TAPS}; i++) {
+        if (abs(i) > u_radius) continue;
+        vec4 s = pixel(x + i * u_step * u_direction.x, y + i * u_step * u_direction.y);
+        sum += vec4(s.rgb * s.a, s.a) * u_weights[abs(i)];
+    }
+    return sum.a > 0.0 ? vec4(sum.rgb / sum.a, sum.a) : vec4(0.0);
+}`,
+
+    // u_image is the blurred picture, u_second the kept one
+    unsharp: `
+uniform sampler2D u_second;
+uniform float u_amount;
+uniform float u_threshold;
+vec4 effect(int x, int y) {
+    vec4 c = texel(u_second, x, y);
+    vec3 diff = c.rgb - pixel(x, y).rgb;
+    vec3 size = abs(diff) * 255.0;
+    if (max(max(size.r, size.g), size.b) < u_threshold) return c;
+    return vec4(clamp(c.rgb + diff * u_amount, 0.0, 1.0), c.a);
+}`,
+
+    denoise: `
+uniform int u_radius;
+uniform float u_sigmaSpace;
+uniform float u_sigmaColor;
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    vec3 sum = vec3(0.0);
+    float total = 0.0;
+    for (int dy = -${MAX_DENOISE_RADIUS}; dy <= ${MAX_DENOISE_RADIUS}; dy++) {
+        for (int dx = -${MAX_DENOISE_RADIUS}; dx <= ${MAX_DENOISE_RADIUS}; dx++) {
+            if (abs(dx) > u_radius || abs(dy) > u_radius) continue;
+            vec4 s = pixel(x + dx, y + dy);
+            vec3 d = s.rgb - c.rgb;
+            float w = s.a * exp(-float(dx * dx + dy * dy) / (2.0 * u_sigmaSpace * u_sigmaSpace)
+                - dot(d, d) / (2.0 * u_sigmaColor * u_sigmaColor));
+            sum += s.rgb * w;
+            total += w;
+        }
+    }
+    return total > 0.0 ? vec4(sum / total, c.a) : c;
+}`,
+
+    // u_second is the layer's previous frame; a strength of 0 passes the
+    // picture through
+    temporal: `
+uniform sampler2D u_second;
+uniform float u_strength;
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    vec4 p = texel(u_second, x, y);
+    vec3 d = abs(c.rgb - p.rgb);
+    float motion = max(max(d.r, d.g), d.b);
+    return vec4(mix(c.rgb, p.rgb, u_strength * clamp(1.0 - motion / ${MOTION_THRESHOLD}, 0.0, 1.0)), c.a);
+}`,
+
+    // The curves are a CURVE_SAMPLES x 1 texture; the maths matches the
+    // CPU's grade pass
+    grade: `
+uniform vec3 u_balance;
+uniform vec3 u_lift;
+uniform vec3 u_gamma;
+uniform vec3 u_gain;
+uniform bool u_hasCurves;
+uniform sampler2D u_curves;
+uniform int u_bands;
+uniform vec4 u_hsl[${MAX_HUE_BANDS}];
+vec4 curveAt(float value) {
+    float position = clamp(value, 0.0, 1.0) * ${CURVE_SAMPLES - 1}.0;
+    int i = min(int(floor(position)), ${CURVE_SAMPLES - 2});
+    return mix(texelFetch(u_curves, ivec2(i, 0), 0), texelFetch(u_curves, ivec2(i + 1, 0), 0), position - float(i));
+}
+vec3 rgbToHsl(vec3 c) {
+    float high = max(c.r, max(c.g, c.b));
+    float low = min(c.r, min(c.g, c.b));
+    float l = (high + low) / 2.0;
+    float d = high - low;
+    float h = 0.0;
+    if (d > 0.0) {
+        if (high == c.r) h = mod((c.g - c.b) / d + 6.0, 6.0);
+        else if (high == c.g) h = (c.b - c.r) / d + 2.0;
+        else h = (c.r - c.g) / d + 4.0;
+    }
+    return vec3(h * 60.0, d > 0.0 ? d / (1.0 - abs(2.0 * l - 1.0)) : 0.0, l);
+}
+vec3 hslToRgb(vec3 hsl) {
+    float c = (1.0 - abs(2.0 * hsl.z - 1.0)) * hsl.y;
+    float k = mod(mod(hsl.x, 360.0) + 360.0, 360.0) / 60.0;
+    float x = c * (1.0 - abs(mod(k, 2.0) - 1.0));
+    vec3 rgb = k < 1.0 ? vec3(c, x, 0.0) : k < 2.0 ? vec3(x, c, 0.0) : k < 3.0 ? vec3(0.0, c, x)
+        : k < 4.0 ? vec3(0.0, x, c) : k < 5.0 ? vec3(x, 0.0, c) : vec3(c, 0.0, x);
+    return rgb + hsl.z - c / 2.0;
+}
+vec3 adjustHue(vec3 c) {
+    float chroma = max(c.r, max(c.g, c.b)) - min(c.r, min(c.g, c.b));
+    if (chroma <= 0.0) return c;
+    float weight = clamp(chroma / ${HUE_FULL_CHROMA}, 0.0, 1.0);
+    vec3 hsl = rgbToHsl(c);
+    float hue = hsl.x < u_hsl[0].x ? hsl.x + 360.0 : hsl.x;
+    int i = u_bands - 1;
+    for (int j = ${MAX_HUE_BANDS - 1}; j > 0; j--) {
+        if (j < u_bands && hue < u_hsl[j].x) i = j - 1;
+    }
+    int next = i + 1 < u_bands ? i + 1 : 0;
+    float end = next > 0 ? u_hsl[next].x : u_hsl[0].x + 360.0;
+    vec3 band = mix(u_hsl[i].yzw, u_hsl[next].yzw, (hue - u_hsl[i].x) / (end - u_hsl[i].x));
+    return hslToRgb(vec3(
+        hsl.x + band.x * weight,
+        clamp(hsl.y * (1.0 + band.y * weight), 0.0, 1.0),
+        clamp(hsl.z + band.z * weight, 0.0, 1.0)));
+}
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    vec3 rgb = c.rgb * u_balance;
+    rgb = u_gain * (rgb + u_lift * (1.0 - rgb));
+    rgb = pow(max(rgb, 0.0), u_gamma);
+    if (u_hasCurves) {
+        rgb = vec3(curveAt(rgb.r).r, curveAt(rgb.g).g, curveAt(rgb.b).b);
+        float luma = clamp(dot(rgb, vec3(0.2126, 0.7152, 0.0722)), 0.0, 1.0);
+        rgb += curveAt(luma).a - luma;
+    }
+    if (u_bands > 0) rgb = adjustHue(clamp(rgb, 0.0, 1.0));
+    return vec4(clamp(rgb, 0.0, 1.0), c.a);
+}`,
+
+    // The table is a 3D texture, 1D LUTs wrapped into rows of LUT_ROW
+    // entries; the sampling matches sampleLut()
+    lut: `
+uniform highp sampler3D u_lut;
+uniform int u_lutSize;
+uniform bool u_oneD;
+uniform bool u_tetrahedral;
+uniform vec3 u_domainMin;
+uniform vec3 u_domainMax;
+uniform float u_intensity;
+vec3 entry(int r, int g, int b) {
+    return texelFetch(u_lut, ivec3(r, g, b), 0).rgb;
+}
+vec3 entry1D(int i) {
+    return texelFetch(u_lut, ivec3(i % ${LUT_ROW}, i / ${LUT_ROW}, 0), 0).rgb;
+}
+vec3 lookup(vec3 c) {
+    vec3 p = clamp((c - u_domainMin) / (u_domainMax - u_domainMin), 0.0, 1.0) * float(u_lutSize - 1);
+    ivec3 i = min(ivec3(floor(p)), ivec3(u_lutSize - 2));
+    vec3 f = p - vec3(i);
+    if (u_oneD) {
+        return vec3(
+            mix(entry1D(i.r).r, entry1D(i.r + 1).r, f.r),
+            mix(entry1D(i.g).g, entry1D(i.g + 1).g, f.g),
+            mix(entry1D(i.b).b, entry1D(i.b + 1).b, f.b));
+    }
+    if (!u_tetrahedral) {
+        vec3 c00 = mix(entry(i.r, i.g, i.b), entry(i.r + 1, i.g, i.b), f.r);
+        vec3 c10 = mix(entry(i.r, i.g + 1, i.b), entry(i.r + 1, i.g + 1, i.b), f.r);
+        vec3 c01 = mix(entry(i.r, i.g, i.b + 1), entry(i.r + 1, i.g, i.b + 1), f.r);
+        vec3 c11 = mix(entry(i.r, i.g + 1, i.b + 1), entry(i.r + 1, i.g + 1, i.b + 1), f.r);
+        return mix(mix(c00, c10, f.g), mix(c01, c11, f.g), f.b);
+    }
+    vec3 sum = entry(i.r, i.g, i.b) * (1.0 - max(f.r, max(f.g, f.b)))
+        + entry(i.r + 1, i.g + 1, i.b + 1) * min(f.r, min(f.g, f.b));
+    ivec3 a;
+    ivec3 b;
+    float wa;
+    float wb;
+    if (f.r >= f.g && f.g >= f.b) {
+        a = ivec3(1, 0, 0); b = ivec3(1, 1, 0); wa = f.r - f.g; wb = f.g - f.b;
+    } else if (f.r >= f.b && f.b >= f.g) {
+        a = ivec3(1, 0, 0); b = ivec3(1, 0, 1); wa = f.r - f.b; wb = f.b - f.g;
+    } else if (f.b >= f.r && f.r >= f.g) {
+        a = ivec3(0, 0, 1); b = ivec3(1, 0, 1); wa = f.b - f.r; wb = f.r - f.g;
+    } else if (f.b >= f.g && f.g >= f.r) {
+        a = ivec3(0, 0, 1); b = ivec3(0, 1, 1); wa = f.b - f.g; wb = f.g - f.r;
+    } else if (f.g >= f.b && f.b >= f.r) {
+        a = ivec3(0, 1, 0); b = ivec3(0, 1, 1); wa = f.g - f.b; wb = f.b - f.r;
+    } else {
+        a = ivec3(0, 1, 0); b = ivec3(1, 1, 0); wa = f.g - f.r; wb = f.r - f.b;
+    }
+    ivec3 ia = i + a;
+    ivec3 ib = i + b;
+    return sum + entry(ia.r, ia.g, ia.b) * wa + entry(ib.r, ib.g, ib.b) * wb;
+}
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    return vec4(mix(c.rgb, clamp(lookup(c.rgb), 0.0, 1.0), u_intensity), c.a);
+}`,
+
+    vignette: `
+uniform float u_strength;
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    vec2 size = vec2(u_size);
+    float d = length(vec2(x, y) + 0.5 - size / 2.0) / (length(size) / 2.0);
+    c.rgb *= 1.0 - u_strength * clamp((d - ${VIGNETTE_INNER}) / ${1 - VIGNETTE_INNER}, 0.0, 1.0);
+    return c;
+}`,
+
+    grain: `
+uniform uint u_seed;
+uniform float u_amount;
+uniform float u_cell;
+uint hash(uint x) {
+    x = (x ^ (x >> 16u)) * 0x7feb352du;
+    x = (x ^ (x >> 15u)) * 0x846ca68bu;
+    return x ^ (x >> 16u);
+}
+vec4 effect(int x, int y) {
+    vec4 c = pixel(x, y);
+    uint row = hash(uint(floor(float(y) / u_cell)) + hash(u_seed));
+    float noise = float(hash(uint(floor(float(x) / u_cell)) + row)) / 4294967295.0;
+    c.rgb = c.rgb * (1.0 - u_amount) + noise * u_amount;
+    return c;
+}`,
+
+    glitch: `
+uniform vec3 u_slices[${MAX_SLICES}];
+uniform int u_sliceCount;
+uniform int u_shift;
+vec4 sliced(int x, int y) {
+    for (int i = 0; i < ${MAX_SLICES}; i++) {
+        if (i >= u_sliceCount) break;
+        vec3 s = u_slices[i];
+        if (float(y) >= s.x && float(y) < s.x + s.y) {
+            int sx = x - int(s.z);
+            if (sx >= 0 && sx < u_size.x) return pixel(sx, y);
+            break;
+        }
+    }
+    return pixel(x, y);
+}
+vec4 effect(int x, int y) {
+    vec4 c = sliced(x, y);
+    if (x + u_shift < u_size.x) c.r = sliced(x + u_shift, y).r;
+    return c;
+}`
+};
+
+class WebGLBackend {
+    // Null when WebGL 2 or one of the shaders isn't available
+    static create() {
+        try {
+            const backend = new WebGLBackend();
+            return backend.gl ? backend : null;
+        } catch (error) {
+            console.warn('WebGL effects unavailable:', error.message);
+            return null;
+        }
+    }
+
+    constructor() {
+        this.name = 'webgl';
+        this.lost = false;
+        this.canvas = document.createElement('canvas');
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.lost = true;
+        });
+        const gl = this.canvas.getContext('webgl2', { premultipliedAlpha: true, preserveDrawingBuffer: true });
+        if (!gl) return;
+
+        this.gl = gl;
+        this.programs = Object.fromEntries(Object.entries(FRAGMENT_SHADERS)
+            .map(([type, source]) => [type, this.createProgram(FRAGMENT_HEADER + source + FRAGMENT_MAIN)]));
+
+        // One triangle covering the viewport
+        this.vertices = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertices);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+
+        this.size = null;
+        this.source = this.createTexture();
+        this.targets = [0, 1, 2].map(() => this.createTarget());
+        // Layer key -> {time, size, texture, framebuffer} of its last
+        // temporally denoised frame
+        this.history = new Map();
+        // LUT -> 3D texture of its table
+        this.lutTextures = new WeakMap();
+        // Grade curves, uploaded for each grade pass
+        this.curveTexture = this.createTexture();
+    }
+
+    // A texture passes can draw into
+    createTarget() {
+        const { gl } = this;
+        const texture = this.createTexture();
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, framebuffer };
+    }
+
+    createProgram(fragmentSource) {
+        const { gl } = this;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(gl.getShaderInfoLog(shader));
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.bindAttribLocation(program, 0, 'a_position');
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+
+        const uniforms = {};
+        const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < count; i++) {
+            const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, '');
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+        return { program, uniforms };
+    }
+
+    createTexture() {
+        const { gl } = this;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    resize(width, height) {
+        if (this.size === `${width}x${height}`) return;
+        this.size = `${width}x${height}`;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.targets.forEach(({ texture }) => this.allocate(texture, width, height));
+    }
+
+    allocate(texture, width, height) {
+        const { gl } = this;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    }
+
+    getLutTexture(lut) {
+        let texture = this.lutTextures.get(lut);
+        if (texture) return texture;
+
+        const { gl } = this;
+        let width = lut.size;
+        let height = lut.size;
+        let depth = lut.size;
+        let { data } = lut;
+        if (lut.dimension === 1) {
+            width = Math.min(lut.size, LUT_ROW);
+            height = Math.ceil(lut.size / LUT_ROW);
+            depth = 1;
+            data = new Float32Array(width * height * 3);
+            data.set(lut.data);
+        }
+        texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_3D, texture);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        // 3D uploads from arrays must not be flipped
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGB32F, width, height, depth, 0, gl.RGB, gl.FLOAT, data);
+        this.lutTextures.set(lut, texture);
+        return texture;
+    }
+
+    // The remembered frame of a layer, most recently used last
+    getHistory(key, width, height) {
+        let entry = this.history.get(key);
+        this.history.delete(key);
+        if (!entry) entry = { time: null, size: null, ...this.createTarget() };
+        if (entry.size !== this.size) {
+            this.allocate(entry.texture, width, height);
+            entry.size = this.size;
+            entry.time = null;
+        }
+        this.history.set(key, entry);
+
+        if (this.history.size > MAX_HISTORY) {
+            const [oldest, { texture, framebuffer }] = this.history.entries().next().value;
+            this.gl.deleteTexture(texture);
+            this.gl.deleteFramebuffer(framebuffer);
+            this.history.delete(oldest);
+        }
+        return entry;
+    }
+
+    run(canvas, passes) {
+        const { gl } = this;
+        const { width, height } = canvas;
+        this.resize(width, height);
+        gl.viewport(0, 0, width, height);
+
+        gl.bindTexture(gl.TEXTURE_2D, this.source);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertices);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        let input = this.source;
+        let base = null;
+        passes.forEach(pass => {
+            if (pass.type === 'mark') {
+                base = input;
+                return;
+            }
+            // Any texture that isn't being read
+            const target = this.targets.find(({ texture }) => texture !== input && texture !== base);
+            if (pass.type === 'temporal') {
+                const entry = this.getHistory(pass.key, width, height);
+                const strength = followsFrame(entry.time, pass.time) ? pass.strength : 0;
+                this.draw({ ...pass, strength }, input, target.framebuffer, width, height, entry.texture);
+                this.draw({ type: 'copy' }, target.texture, entry.framebuffer, width, height);
+                entry.time = pass.time;
+            } else {
+                this.draw(pass, input, target.framebuffer, width, height, base);
+                if (pass.type === 'unsharp') base = null;
+            }
+            input = target.texture;
+        });
+        this.draw({ type: 'output' }, input, null, width, height);
+
+        const ctx = canvas.getContext('2d');
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(this.canvas, 0, 0);
+        ctx.restore();
+    }
+
+    // `second` is the extra texture unsharp and temporal passes read
+    draw(pass, input, framebuffer, width, height, second = null) {
+        const { gl } = this;
+        const { program, uniforms } = this.programs[pass.type];
+        gl.useProgram(program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, input);
+        gl.uniform1i(uniforms.u_image, 0);
+        gl.uniform2i(uniforms.u_size, width, height);
+        if (second && uniforms.u_second) {
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, second);
+            gl.uniform1i(uniforms.u_second, 1);
+        }
+
+        switch (pass.type) {
+            case 'color':
+                gl.uniform4fv(uniforms.u_rows, pass.matrices.flat());
+                gl.uniform1i(uniforms.u_count, pass.matrices.length);
+                break;
+            case 'blur':
+                gl.uniform2i(uniforms.u_direction, ...pass.direction);
+                gl.uniform1i(uniforms.u_radius, pass.radius);
+                gl.uniform1i(uniforms.u_step, pass.step);
+                gl.uniform1fv(uniforms.u_weights, pass.weights);
+                break;
+            case 'unsharp':
+                gl.uniform1f(uniforms.u_amount, pass.amount);
+                gl.uniform1f(uniforms.u_threshold, pass.threshold);
+                break;
+            case 'denoise':
+                gl.uniform1i(uniforms.u_radius, pass.radius);
+                gl.uniform1f(uniforms.u_sigmaSpace, pass.sigmaSpace);
+                gl.uniform1f(uniforms.u_sigmaColor, pass.sigmaColor);
+                break;
+            case 'grade':
+                gl.uniform3fv(uniforms.u_balance, pass.balance);
+                gl.uniform3fv(uniforms.u_lift, pass.lift);
+                gl.uniform3fv(uniforms.u_gamma, pass.gamma);
+                gl.uniform3fv(uniforms.u_gain, pass.gain);
+                gl.uniform1i(uniforms.u_hasCurves, pass.curves ? 1 : 0);
+                if (pass.curves) {
+                    gl.activeTexture(gl.TEXTURE3);
+                    gl.bindTexture(gl.TEXTURE_2D, this.curveTexture);
+                    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, CURVE_SAMPLES, 1, 0, gl.RGBA, gl.FLOAT, pass.curves);
+                    gl.uniform1i(uniforms.u_curves, 3);
+                }
+                gl.uniform1i(uniforms.u_bands, pass.hsl ? pass.hsl.length / 4 : 0);
+                if (pass.hsl) gl.uniform4fv(uniforms.u_hsl, pass.hsl);
+                break;
+            case 'lut':
+                gl.activeTexture(gl.TEXTURE2);
+                gl.bindTexture(gl.TEXTURE_3D, this.getLutTexture(pass.lut));
+                gl.uniform1i(uniforms.u_lut, 2);
+                gl.uniform1i(uniforms.u_lutSize, pass.lut.size);
+                gl.uniform1i(uniforms.u_oneD, pass.lut.dimension === 1 ? 1 : 0);
+                gl.uniform1i(uniforms.u_tetrahedral, pass.tetrahedral ? 1 : 0);
+                gl.uniform3fv(uniforms.u_domainMin, pass.lut.domainMin);
+                gl.uniform3fv(uniforms.u_domainMax, pass.lut.domainMax);
+                gl.uniform1f(uniforms.u_intensity, pass.intensity);
+                break;
+            case 'temporal':
+            case 'vignette':
+                gl.uniform1f(uniforms.u_strength, pass.strength);
+                break;
+            case 'grain':
+                gl.uniform1ui(uniforms.u_seed, pass.seed);
+                gl.uniform1f(uniforms.u_amount, pass.amount);
+                gl.uniform1f(uniforms.u_cell, pass.cell);
+                break;
+            case 'glitch':
+                gl.uniform3fv(uniforms.u_slices, pass.slices.flatMap(s => [s.y, s.height, s.offset]));
+                gl.uniform1i(uniforms.u_sliceCount, pass.slices.length);
+                gl.uniform1i(uniforms.u_shift, pass.shift);
+                break;
+        }
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+}
+
+/**
+ * Applies effect passes to a canvas in place. The backend is picked on
+ * first use; a lost or failing WebGL context falls back to the CPU.
+ */
+export class FramePipeline {
+    constructor() {
+        this.backend = null;
+    }
+
+    getBackend() {
+        if (this.backend?.lost) this.backend = new CpuBackend();
+        if (!this.backend) this.backend = WebGLBackend.create() || new CpuBackend();
+        return this.backend;
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas - frame-sized, transparent outside
+     *   the picture being processed
+     * @param {Array<Object>} passes - from colorPass(), blurPass() and the like
+     */
+    run(canvas, passes) {
+        const prepared = preparePasses(passes);
+        if (!prepared.length || !canvas.width || !canvas.height) return;
+
+        const backend = this.getBackend();
+        try {
+            backend.run(canvas, prepared);
+        } catch (error) {
+            if (backend.name !== 'webgl') throw error;
+            console.warn('WebGL effects failed, using the CPU:', error.message);
+            this.backend = new CpuBackend();
+            this.backend.run(canvas, prepared);
+        }
+    }
+}
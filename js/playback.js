@@ -0,0 +1,482 @@
+/**
+ * Vici Video Editor - Playback Engine
+ * Plays the edited sequence: maps timeline time to clips and source time
+ */
+
+import { getSpeedAt, isConstantSpeed } from './speed.js';
+import { getValue } from './keyframes.js';
+
+// Seconds of drift tolerated before a playing element is re-seeked
+const SYNC_TOLERANCE = 0.25;
+
+// Decks that can't play their clip (reversed clips, freeze frames) are
+// paused and re-seeked once they fall this far behind
+const STEP_TOLERANCE = 0.04;
+
+// playbackRate range browsers accept on media elements
+const MIN_ELEMENT_RATE = 0.0625;
+const MAX_ELEMENT_RATE = 16;
+
+// Where the preview effects quality is remembered between sessions
+const PREVIEW_QUALITY_KEY = 'vici-preview-quality';
+
+// J/K/L shuttle speeds; each extra press of J or L steps up one
+const SHUTTLE_SPEEDS = [1, 2, 4, 8];
+
+export class PlaybackEngine {
+    constructor(app) {
+        this.app = app;
+        this.canvas = document.getElementById('previewCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.placeholder = document.getElementById('previewPlaceholder');
+
+        this.time = 0;
+        this.playing = false;
+        this.rate = 1;
+        // Signed multiplier on `rate` set by the J/L shuttle; negative plays
+        // backwards, which is done by stepping the clock and seeking
+        this.shuttleSpeed = 1;
+        this.volume = 1;
+        this.muted = false;
+        this.lastTick = 0;
+        this.animationFrame = null;
+        this.refreshFrame = null;
+
+        // Pool of <video> decks. Every visible clip plays on its own deck,
+        // and the clip that follows on each track is cued on a spare one so
+        // cuts switch without waiting for a seek. Decks are keyed by the
+        // compositor's layer key, the ids of the clip and any compound
+        // clips around it.
+        this.decks = [];
+        this.active = new Map();     // layer key -> deck showing it
+        this.preloaded = new Map();  // layer key -> deck cued for it
+        this.leaves = new Map();     // layer key -> layer the deck shows
+        this.createDeck(document.getElementById('previewVideo'));
+
+        // Resolution spatial effects preview at; export always runs them
+        // at full resolution
+        this.effectScale = parseFloat(localStorage.getItem(PREVIEW_QUALITY_KEY)) || 1;
+        const quality = document.getElementById('previewQualitySelect');
+        if (quality) {
+            quality.value = String(this.effectScale);
+            quality.addEventListener('change', () => this.setEffectScale(parseFloat(quality.value)));
+        }
+    }
+
+    createDeck(element = document.createElement('video')) {
+        element.playsInline = true;
+        element.preload = 'auto';
+        element.volume = this.volume;
+
+        const deck = { element, mediaId: null, key: null, ready: false, token: 0 };
+        this.decks.push(deck);
+        this.app.audio.connectVideo(element);
+        return deck;
+    }
+
+    // A deck that is neither showing nor cued for an upcoming clip
+    getFreeDeck() {
+        const busy = new Set([...this.active.values(), ...this.preloaded.values()]);
+        return this.decks.find(deck => !busy.has(deck)) || this.createDeck();
+    }
+
+    getDuration() {
+        return this.app.timeline.getDuration();
+    }
+
+    // Video clips with loaded media on shown tracks at `time`, bottom to
+    // top, as the compositor's layer leaves
+    getVisibleLeaves(time) {
+        const { compositor } = this.app;
+        return compositor.getLeaves(compositor.getLayerTree(time))
+            .filter(leaf => this.app.video.getMedia(leaf.clip.mediaId));
+    }
+
+    // Time of the first cut after `time` on the shown video tracks, where
+    // a clip starts or ends; null when nothing changes before the end
+    getNextCut(time) {
+        const { timeline } = this.app;
+        const shown = new Set(this.app.state.tracks
+            .filter(track => track.kind === 'video' && timeline.isTrackVisible(track))
+            .map(track => track.id));
+        const cuts = this.app.state.clips
+            .filter(clip => shown.has(clip.track))
+            .flatMap(clip => [clip.startTime, clip.startTime + clip.duration])
+            .filter(cut => cut > time + 0.001);
+        return cuts.length ? Math.min(...cuts) : null;
+    }
+
+    getSourceTime(clip, time) {
+        return this.app.compositor.getSourceTime(clip, time);
+    }
+
+    get reverse() {
+        return this.shuttleSpeed < 0;
+    }
+
+    // Elements only play forwards; reversed clips and freeze frames are
+    // shown by seeking instead, as is everything inside a compound clip
+    // that is one
+    canPlay(clip, parents = []) {
+        return [...parents, clip].every(c => !c.reverse && !c.freeze);
+    }
+
+    // Playback rate including the shuttle speed
+    getRate() {
+        return this.rate * Math.abs(this.shuttleSpeed);
+    }
+
+    /**
+     * Load `clip` into `deck` and seek it to `sourceTime`. Resolves once
+     * the frame is decoded; a newer cue on the same deck supersedes it.
+     */
+    async cue(deck, clip, sourceTime, key = clip.id) {
+        const media = this.app.video.getMedia(clip.mediaId);
+        const { element } = deck;
+        const token = ++deck.token;
+
+        deck.key = key;
+        deck.ready = false;
+
+        if (deck.mediaId !== media.id) {
+            deck.mediaId = media.id;
+            element.src = media.url;
+        }
+
+        try {
+            await this.app.compositor.seekSource(element, sourceTime);
+        } catch (err) {
+            console.warn('Playback:', err.message);
+            return false;
+        }
+
+        if (token !== deck.token) return false;
+        deck.ready = true;
+        return true;
+    }
+
+    /**
+     * Give every visible clip a deck positioned at the current time.
+     * `exact` re-seeks all of them (after a seek); during playback only
+     * decks that drifted are corrected.
+     * @returns {Promise} resolves once every deck has its frame
+     */
+    updateDecks(exact = false) {
+        const leaves = this.getVisibleLeaves(this.time);
+        this.leaves = new Map(leaves.map(leaf => [leaf.key, leaf]));
+        const pending = [];
+
+        this.active.forEach((deck, key) => {
+            if (!this.leaves.has(key)) {
+                deck.element.pause();
+                this.active.delete(key);
+            }
+        });
+
+        leaves.forEach(leaf => {
+            const { key, clip } = leaf;
+            let deck = this.active.get(key);
+            if (!deck) {
+                deck = this.preloaded.get(key) || this.getFreeDeck();
+                this.preloaded.delete(key);
+                this.active.set(key, deck);
+            }
+
+            const { element } = deck;
+            const sourceTime = this.getSourceTime(clip, leaf.time);
+            const drift = Math.abs(element.currentTime - sourceTime);
+            const playable = this.canPlay(clip, leaf.parents);
+            const plays = this.playing && !this.reverse && playable;
+            this.applyDeckSettings(deck, leaf);
+
+            if (deck.key !== key || exact ||
+                (deck.ready && drift > (playable ? SYNC_TOLERANCE : STEP_TOLERANCE))) {
+                element.pause();
+                pending.push(this.cue(deck, clip, sourceTime, key).then(cued => {
+                    if (cued && plays && this.playing && this.active.get(key) === deck) {
+                        element.play().catch(() => {});
+                    }
+                }));
+            } else if (deck.ready && plays && element.paused && !element.ended) {
+                element.play().catch(() => {});
+            }
+        });
+
+        return Promise.all(pending);
+    }
+
+    // Cue the layers that appear at the next cut, keyed like updateDecks'
+    preloadNext() {
+        const cut = this.getNextCut(this.time);
+        const upcoming = cut === null ? [] :
+            this.getVisibleLeaves(cut).filter(leaf => !this.active.has(leaf.key));
+
+        // Free decks cued for layers that are no longer next
+        this.preloaded.forEach((deck, key) => {
+            if (!upcoming.some(leaf => leaf.key === key)) {
+                this.preloaded.delete(key);
+            }
+        });
+
+        upcoming.forEach(leaf => {
+            if (this.preloaded.has(leaf.key)) return;
+            const deck = this.getFreeDeck();
+            this.preloaded.set(leaf.key, deck);
+            this.cue(deck, leaf.clip, this.getSourceTime(leaf.clip, leaf.time), leaf.key);
+        });
+    }
+
+    play() {
+        if (this.playing || this.getDuration() <= 0) return;
+
+        if (!this.reverse && this.time >= this.getDuration() - 0.01) {
+            this.time = 0;
+        }
+
+        this.playing = true;
+        this.app.setPlaying(true);
+        this.lastTick = performance.now();
+
+        this.updateDecks();
+        this.syncAudio();
+        this.animationFrame = requestAnimationFrame((now) => this.tick(now));
+    }
+
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.app.setPlaying(false);
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+
+        this.decks.forEach(deck => deck.element.pause());
+        this.shuttleSpeed = 1;
+        this.syncAudio();
+        this.render();
+    }
+
+    /**
+     * J/L shuttle: start playing in `direction` (1 or -1), or speed up when
+     * already shuttling that way; the other direction starts back at 1x
+     */
+    shuttle(direction) {
+        const current = this.playing && Math.sign(this.shuttleSpeed) === direction
+            ? SHUTTLE_SPEEDS.indexOf(Math.abs(this.shuttleSpeed)) : -1;
+        const speed = SHUTTLE_SPEEDS[Math.min(current + 1, SHUTTLE_SPEEDS.length - 1)];
+
+        if (this.playing) this.pause();
+        this.shuttleSpeed = speed * direction;
+        this.play();
+    }
+
+    async seek(time) {
+        this.time = Math.max(0, Math.min(time, this.getDuration()));
+        this.app.updateTime(this.time, this.getDuration());
+
+        await this.updateDecks(true);
+        this.syncAudio();
+        this.render();
+        this.preloadNext();
+    }
+
+    skip(seconds) {
+        this.seek(this.time + seconds);
+    }
+
+    tick(now) {
+        if (!this.playing) return;
+
+        const decks = [...this.active.entries()];
+        if (this.reverse) {
+            return this.tickReverse(now, decks);
+        }
+
+        if (decks.every(([, deck]) => deck.ready)) {
+            // Follow a playing element so picture and sound stay together;
+            // in gaps (or once sources run out) advance on the wall clock
+            // (only a clip at a constant speed outside compound clips maps
+            // back to the timeline simply)
+            const leader = decks.find(([key, deck]) => {
+                const leaf = this.leaves.get(key);
+                return leaf && !leaf.parents.length && isConstantSpeed(leaf.clip) &&
+                    !deck.element.paused && !deck.element.ended;
+            });
+            const clip = leader && this.leaves.get(leader[0]).clip;
+            if (clip) {
+                this.time = clip.startTime +
+                    (leader[1].element.currentTime - (clip.trimStart || 0)) / (clip.speed ?? 1);
+            } else {
+                this.time += (now - this.lastTick) / 1000 * this.getRate();
+            }
+        }
+        // Otherwise a clip is still seeking: hold until it is ready
+        this.lastTick = now;
+
+        const duration = this.getDuration();
+        if (this.time >= duration) {
+            this.time = duration;
+            this.pause();
+            this.app.updateTime(this.time, duration);
+            return;
+        }
+
+        this.updateDecks();
+        this.preloadNext();
+        this.syncAudio();
+        this.render();
+        this.app.updateTime(this.time, duration);
+
+        this.animationFrame = requestAnimationFrame((next) => this.tick(next));
+    }
+
+    // Playing backwards: elements can't, so step the clock and re-seek each
+    // deck to it once the previous seek has landed
+    tickReverse(now, decks) {
+        this.time -= (now - this.lastTick) / 1000 * this.getRate();
+        this.lastTick = now;
+
+        if (this.time <= 0) {
+            this.time = 0;
+            this.pause();
+            this.seek(0);
+            return;
+        }
+
+        if (decks.every(([, deck]) => deck.ready)) {
+            this.updateDecks(true);
+        }
+        this.render();
+        this.app.updateTime(this.time, this.getDuration());
+
+        this.animationFrame = requestAnimationFrame((next) => this.tick(next));
+    }
+
+    // Background music follows the timeline clock
+    syncAudio() {
+        const tracks = this.app.audio.audioTracks;
+        const activeTracks = new Set();
+
+        this.app.compositor.getAudioLeaves(this.time)
+            .forEach(({ clip, time, parents, speed, volume }) => {
+                const track = tracks.find(t => t.id === clip.audioId);
+                if (!track || activeTracks.has(track)) return;
+                activeTracks.add(track);
+
+                const { audio } = track;
+                const sourceTime = this.getSourceTime(clip, time);
+                if (!this.playing || this.reverse || !this.canPlay(clip, parents)) {
+                    audio.pause();
+                    return;
+                }
+
+                audio.volume = Math.min(1, track.volume * this.app.audio.masterVolume *
+                    volume * getValue(clip, 'volume', time) / 100);
+                audio.playbackRate = this.getClipRate(clip, time, speed);
+                if (Math.abs(audio.currentTime - sourceTime) > SYNC_TOLERANCE) {
+                    audio.currentTime = sourceTime;
+                }
+                if (audio.paused) audio.play().catch(() => {});
+            });
+
+        tracks
+            .filter(track => !activeTracks.has(track))
+            .forEach(track => track.audio.pause());
+    }
+
+    // Draw the current timeline frame; black where there is no clip
+    render() {
+        const hasClips = this.app.state.clips.length > 0;
+        this.placeholder.classList.toggle('hidden', hasClips);
+        this.updateCanvasSize();
+
+        const { compositor } = this.app;
+        const layers = compositor.getLayerTree(this.time);
+        compositor.getLeaves(layers).forEach(leaf => {
+            const deck = this.active.get(leaf.key);
+            if (deck?.key === leaf.key && deck.element.readyState >= 2) leaf.source = deck.element;
+        });
+        compositor.draw(this.ctx, this.time, layers, { effectScale: this.effectScale });
+    }
+
+    // Preview at the resolution of the first video clip's source
+    updateCanvasSize() {
+        const first = this.app.state.clips.find(c => this.app.timeline.isVideoClip(c) && this.app.video.getMedia(c.mediaId));
+        const media = first && this.app.video.getMedia(first.mediaId);
+        const width = media?.width || 1920;
+        const height = media?.height || 1080;
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    // Re-render after the timeline changed; batched to one per frame
+    refresh() {
+        if (this.refreshFrame) return;
+        this.refreshFrame = requestAnimationFrame(() => {
+            this.refreshFrame = null;
+            if (this.playing) {
+                this.updateDecks();
+                this.syncAudio();
+            } else {
+                this.seek(this.time);
+            }
+        });
+    }
+
+    // Stop and forget all loaded media
+    clear() {
+        this.pause();
+        this.decks.forEach(deck => {
+            deck.element.removeAttribute('src');
+            deck.element.load();
+            Object.assign(deck, { mediaId: null, key: null, ready: false });
+            deck.token++;
+        });
+        this.active.clear();
+        this.preloaded.clear();
+        this.time = 0;
+        this.render();
+        this.app.updateTime(0, 0);
+    }
+
+    // Element playback rate for `clip` at `time` in its sequence: the
+    // clip's speed (following any ramp) times that of the compound clips
+    // around it and the transport rate
+    getClipRate(clip, time = this.time, speed = 1) {
+        const rate = this.getRate() * speed * getSpeedAt(clip, time - clip.startTime);
+        return Math.min(MAX_ELEMENT_RATE, Math.max(MIN_ELEMENT_RATE, rate));
+    }
+
+    // Volume (following the clip's keys), speed and track mute/solo for
+    // the deck playing `leaf`
+    applyDeckSettings(deck, { clip, time, parents, speed, audible, volume }) {
+        const { element } = deck;
+        element.volume = Math.min(1, Math.max(0, this.volume * volume * getValue(clip, 'volume', time) / 100));
+        if (this.canPlay(clip, parents)) element.playbackRate = this.getClipRate(clip, time, speed);
+        element.muted = this.muted || !audible;
+    }
+
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, volume));
+        this.refresh();
+    }
+
+    setEffectScale(scale) {
+        this.effectScale = Math.min(1, Math.max(0.25, scale || 1));
+        localStorage.setItem(PREVIEW_QUALITY_KEY, String(this.effectScale));
+        this.refresh();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.refresh();
+    }
+
+    setPlaybackRate(rate) {
+        this.rate = rate;
+        this.refresh();
+    }
+}
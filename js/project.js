@@ -0,0 +1,451 @@
+/**
+ * Vici Video Editor - Project Manager
+ * Saves and opens projects as portable .vici JSON files
+ */
+
+import { hashFile, formatBytes } from './utils.js';
+import { createDefaultTracks } from './timeline.js';
+import { legacyEffectStack } from './effects.js';
+import { DEFAULT_FRAME_RATE } from './timecode.js';
+
+export const PROJECT_FORMAT = 'vici-project';
+export const PROJECT_VERSION = 2;
+
+const stripThumbnails = (clips) => clips.map(({ thumbnail, ...clip }) => clip);
+
+/**
+ * Upgrades of an older project to the next version, keyed by the version
+ * they upgrade from. Bump PROJECT_VERSION and add one whenever the saved
+ * shape changes.
+ */
+const MIGRATIONS = {
+    // Version 1 graded and transformed the whole project and had no tracks,
+    // compound clips, markers or frame rate. Files saved while those were
+    // being added may already carry some of them, which are kept.
+    1: ({ effects, currentFilter, transform, ...data }) => {
+        const graded = legacyEffectStack(effects, currentFilter).length > 0;
+        const transformed = transform && (transform.scale !== 100 || transform.rotation !== 0);
+        const clips = data.clips.map(clip => {
+            if (clip.mediaId == null) return clip;
+            const upgraded = { ...clip };
+            if (graded && !clip.effects) upgraded.effects = legacyEffectStack(effects, currentFilter);
+            if (transformed && !clip.transform) {
+                upgraded.transform = { scale: transform.scale, rotation: transform.rotation };
+            }
+            return upgraded;
+        });
+
+        return {
+            tracks: createDefaultTracks(),
+            sequences: [],
+            markers: [],
+            frameRate: DEFAULT_FRAME_RATE,
+            ...data,
+            clips,
+            version: 2
+        };
+    }
+};
+
+// Shape checks for the entries of a project's lists, by list
+const ENTRY_CHECKS = {
+    media: (ref) => Number.isFinite(ref?.id) && typeof ref.name === 'string' && Number.isFinite(ref.size),
+    audioTracks: (ref) => Number.isFinite(ref?.id) && typeof ref.name === 'string' && Number.isFinite(ref.size) &&
+        Number.isFinite(ref.volume) && Number.isFinite(ref.startTime),
+    clips: (clip) => Number.isFinite(clip?.id) && Number.isFinite(clip.startTime) && Number.isFinite(clip.duration),
+    textOverlays: (overlay) => Number.isFinite(overlay?.id) && typeof overlay.content === 'string',
+    tracks: (track) => track?.id != null && ['video', 'audio', 'text'].includes(track.kind),
+    sequences: (sequence) => sequence?.id != null && Array.isArray(sequence.tracks) && Array.isArray(sequence.clips),
+    markers: (marker) => Number.isFinite(marker?.time)
+};
+
+/**
+ * A .vici file. Media is referenced, never embedded: each reference keeps
+ * enough (name, size, hash) to find the same file again when reopening.
+ *
+ * @typedef {Object} MediaRef
+ * @property {number} id - id used by clips (mediaId / audioId)
+ * @property {string} name
+ * @property {string} type - MIME type
+ * @property {number} size - bytes
+ * @property {string} hash - see hashFile()
+ *
+ * @typedef {Object} ProjectFile
+ * @property {'vici-project'} format
+ * @property {number} version
+ * @property {string} name
+ * @property {string} savedAt - ISO date
+ * @property {MediaRef[]} media - video files
+ * @property {Array<MediaRef & {volume: number, startTime: number}>} audioTracks
+ * @property {Object[]} tracks - timeline tracks, top to bottom
+ * @property {Object[]} clips - app.state.clips without thumbnails; video
+ *   clips carry their `effects` stack, and any clip its `transform`,
+ *   `volume` and `keyframes`
+ * @property {Object[]} sequences - {id, name, tracks, clips} of each
+ *   compound clip's nested sequence, clips without thumbnails
+ * @property {Object[]} textOverlays
+ * @property {Object[]} markers - {id, time, name, color, comment}
+ * @property {string} frameRate - key of FRAME_RATES
+ * @property {?number} [inPoint] - start of the marked In/Out range
+ * @property {?number} [outPoint]
+ * @property {number} volume
+ */
+
+export class ProjectManager {
+    constructor(app) {
+        this.app = app;
+        this.name = 'Untitled';
+
+        this.relinkList = document.getElementById('relinkList');
+        this.relinkInput = document.getElementById('relinkInput');
+    }
+
+    // Hash is cached on the item; computing it reads up to 2MB of the file
+    async getRef(item) {
+        if (!item.hash) {
+            item.hash = await hashFile(item.file);
+        }
+        return {
+            id: item.id,
+            name: item.name,
+            type: item.type,
+            size: item.size,
+            hash: item.hash
+        };
+    }
+
+    /** @returns {Promise<ProjectFile>} */
+    async serialize() {
+        const { state } = this.app;
+        // Saved from the main sequence whichever one is open
+        const main = this.app.sequences.getProjectData();
+
+        const media = [];
+        for (const item of this.app.video.mediaItems) {
+            media.push(await this.getRef(item));
+        }
+
+        const audioTracks = [];
+        for (const track of this.app.audio.audioTracks) {
+            audioTracks.push({
+                ...await this.getRef(track),
+                volume: track.volume,
+                startTime: track.startTime
+            });
+        }
+
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            name: this.name,
+            savedAt: new Date().toISOString(),
+            media,
+            audioTracks,
+            tracks: main.tracks,
+            // Thumbnails are rebuilt from the media on open
+            clips: stripThumbnails(main.clips),
+            sequences: main.sequences.map(sequence => ({
+                ...sequence,
+                clips: stripThumbnails(sequence.clips)
+            })),
+            textOverlays: state.textOverlays,
+            markers: state.markers,
+            frameRate: state.frameRate,
+            inPoint: state.inPoint,
+            outPoint: state.outPoint,
+            volume: state.volume
+        };
+    }
+
+    async save() {
+        try {
+            const data = await this.serialize();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${this.name}.vici`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+            this.app.showToast('Project saved', 'success');
+        } catch (err) {
+            console.error('Save error:', err);
+            this.app.showToast(`Could not save project: ${err.message}`, 'error');
+        }
+    }
+
+    open() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.vici,application/json';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const data = this.parse(await file.text());
+                this.name = file.name.replace(/\.vici$/i, '') || data.name;
+                await this.load(data);
+                this.app.showToast(`Opened: ${this.name}`, 'success');
+            } catch (err) {
+                console.error('Open error:', err);
+                this.app.showToast(`Could not open project: ${err.message}`, 'error');
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Parse and validate the contents of a .vici file
+     * @param {string} text
+     * @returns {ProjectFile}
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('file is not valid JSON');
+        }
+        return this.validate(data);
+    }
+
+    /**
+     * Check a parsed project, upgrade it to the current version and fill in
+     * optional fields; throws before anything is applied when it is malformed
+     * @returns {ProjectFile}
+     */
+    validate(data) {
+        if (data?.format !== PROJECT_FORMAT) {
+            throw new Error('not a Vici project');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('project has no valid version');
+        }
+        if (data.version > PROJECT_VERSION) {
+            throw new Error(`project version ${data.version} is newer than this editor supports`);
+        }
+        if (!Array.isArray(data.clips) || !Array.isArray(data.media)) {
+            throw new Error('project is missing its timeline');
+        }
+
+        let project = data;
+        for (let version = data.version; version < PROJECT_VERSION; version++) {
+            project = MIGRATIONS[version](project);
+        }
+        project = {
+            audioTracks: [],
+            textOverlays: [],
+            inPoint: null,
+            outPoint: null,
+            ...project
+        };
+
+        Object.entries(ENTRY_CHECKS).forEach(([list, check]) => {
+            if (!Array.isArray(project[list])) throw new Error(`project's ${list} is not a list`);
+            if (!project[list].every(check)) throw new Error(`project has a malformed entry in ${list}`);
+        });
+        project.sequences.forEach(sequence => {
+            if (!sequence.clips.every(ENTRY_CHECKS.clips) || !sequence.tracks.every(ENTRY_CHECKS.tracks)) {
+                throw new Error(`project has a malformed entry in sequence ${sequence.name ?? sequence.id}`);
+            }
+        });
+
+        return project;
+    }
+
+    // Relink media, then replace the current project with `data`
+    async load(data) {
+        const files = await this.relink([...data.media, ...data.audioTracks]);
+        await this.apply(data, files);
+    }
+
+    /**
+     * Find a File for every reference: reuse media already loaded in this
+     * session when the hash matches, and ask the user for the rest
+     * @returns {Promise<Map<number, File>>} reference id -> file
+     */
+    async relink(refs) {
+        const files = new Map();
+        const loaded = [...this.app.video.mediaItems, ...this.app.audio.audioTracks];
+
+        for (const item of loaded) {
+            const ref = await this.getRef(item);
+            refs.filter(r => r.hash === ref.hash && !files.has(r.id))
+                .forEach(r => files.set(r.id, item.file));
+        }
+
+        const missing = refs.filter(ref => !files.has(ref.id));
+        if (missing.length) {
+            await this.promptRelink(missing, files);
+        }
+
+        return files;
+    }
+
+    // Show the relink dialog; resolves when the user continues or closes it.
+    // Anything still missing then opens as an offline clip.
+    promptRelink(missing, files) {
+        const mismatched = new Set();
+
+        const render = () => {
+            this.relinkList.innerHTML = '';
+            missing.forEach(ref => {
+                const status = !files.has(ref.id) ? 'Missing'
+                    : mismatched.has(ref.id) ? 'Linked (different file)' : 'Linked';
+
+                const row = document.createElement('div');
+                row.className = 'relink-item';
+                row.classList.toggle('linked', files.has(ref.id));
+                row.innerHTML = `
+                    <div class="relink-info">
+                        <span class="relink-name"></span>
+                        <span class="relink-meta">${formatBytes(ref.size)} · ${status}</span>
+                    </div>
+                    <button class="btn btn-secondary relink-btn">Locate</button>
+                `;
+                row.querySelector('.relink-name').textContent = ref.name;
+                row.querySelector('.relink-btn').addEventListener('click', () => pick([ref]));
+                this.relinkList.appendChild(row);
+            });
+        };
+
+        // Match chosen files to references by hash, falling back to name and
+        // size; a single explicitly located file is accepted even if it differs
+        const pick = (targets) => {
+            this.relinkInput.value = '';
+            this.relinkInput.multiple = targets.length > 1;
+            this.relinkInput.onchange = async () => {
+                const chosen = Array.from(this.relinkInput.files);
+                for (const file of chosen) {
+                    const hash = await hashFile(file);
+                    const open = targets.filter(ref => !files.has(ref.id) || mismatched.has(ref.id));
+                    const match = open.find(ref => ref.hash === hash) ||
+                        open.find(ref => ref.name === file.name && ref.size === file.size);
+
+                    if (match) {
+                        files.set(match.id, file);
+                        if (match.hash === hash) mismatched.delete(match.id);
+                        else mismatched.add(match.id);
+                    } else if (targets.length === 1) {
+                        files.set(targets[0].id, file);
+                        mismatched.add(targets[0].id);
+                    }
+                }
+                render();
+            };
+            this.relinkInput.click();
+        };
+
+        render();
+        this.app.showModal('relinkModal');
+
+        return new Promise(resolve => {
+            const finish = () => {
+                this.app.hideModal('relinkModal');
+                document.getElementById('relinkLocateBtn').onclick = null;
+                document.getElementById('confirmRelinkBtn').onclick = null;
+                document.getElementById('closeRelinkModal').onclick = null;
+                resolve();
+            };
+
+            document.getElementById('relinkLocateBtn').onclick = () => pick(missing);
+            document.getElementById('confirmRelinkBtn').onclick = finish;
+            document.getElementById('closeRelinkModal').onclick = finish;
+        });
+    }
+
+    async apply(data, files) {
+        const { app } = this;
+        app.video.pause();
+
+        // Drop the current project's media
+        app.audio.audioTracks.forEach(track => track.audio.pause());
+        [...app.video.mediaItems, ...app.audio.audioTracks].forEach(item => {
+            URL.revokeObjectURL(item.url);
+            app.audio.decodedBuffers.delete(item.url);
+        });
+        app.compositor.releaseSources();
+
+        // Files that fail to decode are left out, so their clips open offline
+        const unreadable = [];
+        const mediaItems = [];
+        for (const ref of data.media) {
+            if (files.has(ref.id)) {
+                try {
+                    const item = await app.video.createMediaItem(files.get(ref.id), ref.id);
+                    item.hash = ref.hash;
+                    mediaItems.push(item);
+                } catch (err) {
+                    unreadable.push(ref.name);
+                }
+            }
+        }
+
+        const audioTracks = [];
+        for (const ref of data.audioTracks) {
+            if (files.has(ref.id)) {
+                try {
+                    audioTracks.push(await app.audio.createTrack(files.get(ref.id), {
+                        id: ref.id,
+                        hash: ref.hash,
+                        volume: ref.volume,
+                        startTime: ref.startTime
+                    }));
+                } catch (err) {
+                    unreadable.push(ref.name);
+                }
+            }
+        }
+
+        app.video.mediaItems = mediaItems;
+        app.audio.audioTracks = audioTracks;
+
+        const withThumbnails = (clips) => clips.map(clip => ({
+            ...clip,
+            thumbnail: mediaItems.find(m => m.id === clip.mediaId)?.thumbnail
+        }));
+
+        Object.assign(app.state, {
+            selectedClip: null,
+            selectedClips: [],
+            tracks: data.tracks,
+            clips: withThumbnails(data.clips),
+            sequences: data.sequences.map(sequence => ({ ...sequence, clips: withThumbnails(sequence.clips) })),
+            openSequences: [],
+            textOverlays: data.textOverlays,
+            markers: data.markers,
+            inPoint: data.inPoint,
+            outPoint: data.outPoint,
+            volume: data.volume ?? 100
+        });
+
+        app.video.renderMediaLibrary();
+        app.effects.syncControls();
+        app.keyframes.render();
+        app.setVolume(app.state.volume);
+        app.setFrameRate(data.frameRate);
+        app.sequences.returnTimes = [];
+        app.sequences.render();
+        app.timeline.renderClips();
+        app.markers.render();
+        app.speed.render();
+        app.timeline.renderInOut();
+        app.history.clear();
+
+        const firstClip = app.state.clips.find(c => app.timeline.isVideoClip(c) && app.video.getMedia(c.mediaId));
+        if (firstClip) {
+            app.video.loadVideo(app.video.getMedia(firstClip.mediaId));
+        } else {
+            app.video.clearPreview();
+        }
+
+        if (unreadable.length) {
+            app.showToast(`Media offline, could not load: ${unreadable.join(', ')}`, 'warning');
+        }
+    }
+}
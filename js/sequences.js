@@ -0,0 +1,239 @@
+/**
+ * Vici Video Editor - Sequences
+ * Compound clips: clips collapsed into a nested sequence that plays as one
+ * block on the timeline and can be opened to edit its contents
+ */
+
+import { createId } from './utils.js';
+import { getSourceTime } from './speed.js';
+
+// Id of the project's own (outermost) sequence
+export const MAIN_SEQUENCE = 'main';
+
+// Compound clips nested deeper than this are left out of the picture and mix
+export const MAX_DEPTH = 8;
+
+/**
+ * Nested sequences are stored in `app.state.sequences` as
+ * {id, name, tracks, clips}. The timeline always edits `app.state.tracks`
+ * and `app.state.clips`, so opening a compound clip stores the sequence
+ * being left (the main one under MAIN_SEQUENCE) and loads the compound's
+ * in its place; `app.state.openSequences` is the path of compound
+ * sequences opened from the main one. The record of the open sequence is
+ * stale until it is left again: get() returns the live arrays for it.
+ */
+export class SequenceManager {
+    constructor(app) {
+        this.app = app;
+        this.pathEl = document.getElementById('sequencePath');
+        // Playhead positions to go back to when closing each open sequence
+        this.returnTimes = [];
+
+        this.render();
+    }
+
+    getCurrentId() {
+        const path = this.app.state.openSequences;
+        return path.length ? path[path.length - 1] : MAIN_SEQUENCE;
+    }
+
+    getRecord(id) {
+        return this.app.state.sequences.find(sequence => sequence.id === id) || null;
+    }
+
+    // {tracks, clips} of a sequence, live when it is the one being edited
+    get(id) {
+        if (id === this.getCurrentId()) {
+            return { id, name: this.getRecord(id)?.name || 'Main', tracks: this.app.state.tracks, clips: this.app.state.clips };
+        }
+        return this.getRecord(id);
+    }
+
+    getCurrent() {
+        return this.get(this.getCurrentId());
+    }
+
+    getMain() {
+        return this.get(MAIN_SEQUENCE);
+    }
+
+    // Timeline length of a sequence's contents
+    getDuration(id) {
+        const sequence = this.get(id);
+        if (!sequence) return null;
+        return sequence.clips.reduce((end, clip) => Math.max(end, clip.startTime + clip.duration), 0);
+    }
+
+    // Write the sequence being edited back to its record
+    store() {
+        const id = this.getCurrentId();
+        const record = this.getRecord(id);
+        const { tracks, clips } = this.app.state;
+        if (record) Object.assign(record, { tracks, clips });
+        else this.app.state.sequences.push({ id, name: 'Main', tracks, clips });
+    }
+
+    load(id) {
+        const { tracks, clips } = this.getRecord(id);
+        Object.assign(this.app.state, { tracks, clips, selectedClip: null, selectedClips: [] });
+    }
+
+    /**
+     * Collapse the selected clips into a compound clip on the topmost
+     * video track they use. The new sequence keeps their tracks and their
+     * positions relative to the first of them.
+     */
+    createCompound() {
+        const { timeline } = this.app;
+        const clips = timeline.getSelectedClips();
+        if (!clips.length) {
+            this.app.showToast('Select clips to make a compound clip', 'warning');
+            return;
+        }
+        if (clips.some(clip => timeline.isLocked(clip))) {
+            this.app.showToast('Some selected clips are on a locked track', 'warning');
+            return;
+        }
+
+        const start = Math.min(...clips.map(clip => clip.startTime));
+        const end = Math.max(...clips.map(clip => clip.startTime + clip.duration));
+        const usedTracks = new Set(clips.map(clip => clip.track));
+        const tracks = this.app.state.tracks.filter(track => usedTracks.has(track.id));
+        const videoTrack = tracks.find(track => track.kind === 'video') || timeline.getDefaultTrack('video');
+        const count = this.app.state.sequences.filter(sequence => sequence.id !== MAIN_SEQUENCE).length;
+
+        const sequence = {
+            id: createId(),
+            name: `Compound ${count + 1}`,
+            tracks: tracks.map(track => ({ ...track, locked: false })),
+            clips: clips.map(({ groupId, ...clip }) => ({ ...clip, startTime: clip.startTime - start }))
+        };
+        // The nested sequence needs a video track to sit the compound on
+        // when it is opened, even if it holds only sound or titles
+        if (!sequence.tracks.some(track => track.kind === 'video')) {
+            const audioIndex = sequence.tracks.findIndex(track => track.kind === 'audio');
+            sequence.tracks.splice(audioIndex === -1 ? sequence.tracks.length : audioIndex, 0,
+                { ...videoTrack, locked: false });
+        }
+
+        const compound = {
+            id: createId(),
+            type: 'compound',
+            sequenceId: sequence.id,
+            name: sequence.name,
+            track: videoTrack.id,
+            startTime: start,
+            duration: end - start,
+            trimStart: 0,
+            trimEnd: 0
+        };
+
+        this.app.history.transact('Create compound clip', ['clips'], () => {
+            this.app.state.sequences.push(sequence);
+            this.app.state.clips = this.app.state.clips.filter(clip => !clips.includes(clip));
+            this.app.state.clips.push(compound);
+            timeline.setSelection([compound.id]);
+            timeline.renderClips();
+        });
+        this.app.showToast(`${clips.length} clips combined into ${sequence.name}`, 'success');
+    }
+
+    // Edit the contents of a compound clip in the timeline
+    open(clip) {
+        if (!this.getRecord(clip.sequenceId)) {
+            this.app.showToast('This compound clip\'s sequence is missing', 'error');
+            return;
+        }
+        if (this.app.state.openSequences.includes(clip.sequenceId)) {
+            this.app.showToast('That sequence is already open', 'warning');
+            return;
+        }
+
+        // Keep the playhead over the same frame inside the compound
+        const time = this.app.state.currentTime;
+        const inside = time >= clip.startTime && time < clip.startTime + clip.duration;
+        const innerTime = inside ? getSourceTime(clip, time) : clip.trimStart || 0;
+
+        this.app.playback.pause();
+        this.store();
+        // Undo can change the path without opening or closing anything
+        const depth = this.app.state.openSequences.length;
+        this.returnTimes = [...this.returnTimes.slice(0, depth), time];
+        this.app.state.openSequences = [...this.app.state.openSequences, clip.sequenceId];
+        this.load(clip.sequenceId);
+        this.changed(innerTime);
+    }
+
+    // Go back out to the sequence `depth` levels deep (0 is the main one)
+    close(depth = this.app.state.openSequences.length - 1) {
+        const path = this.app.state.openSequences;
+        if (depth < 0 || depth >= path.length) return;
+
+        this.app.playback.pause();
+        this.store();
+        const time = this.returnTimes[depth] ?? 0;
+        this.returnTimes = this.returnTimes.slice(0, depth);
+        this.app.state.openSequences = path.slice(0, depth);
+        this.load(this.getCurrentId());
+        this.changed(time);
+    }
+
+    closeAll() {
+        this.close(0);
+    }
+
+    changed(time) {
+        this.app.timeline.renderClips();
+        this.app.timeline.setSelection([]);
+        this.app.video.seekTo(time);
+        this.render();
+    }
+
+    /**
+     * The main sequence's tracks and clips plus every nested sequence a
+     * compound clip still uses, for saving
+     */
+    getProjectData() {
+        if (this.app.state.openSequences.length) this.store();
+        const main = this.getMain();
+        const used = new Set();
+        const visit = (clips) => clips
+            .filter(clip => clip.sequenceId != null && !used.has(clip.sequenceId))
+            .forEach(clip => {
+                used.add(clip.sequenceId);
+                const record = this.getRecord(clip.sequenceId);
+                if (record) visit(record.clips);
+            });
+        visit(main.clips);
+
+        return {
+            tracks: main.tracks,
+            clips: main.clips,
+            sequences: this.app.state.sequences.filter(sequence => used.has(sequence.id))
+        };
+    }
+
+    // Breadcrumbs from the main sequence to the open one
+    render() {
+        if (!this.pathEl) return;
+        const path = this.app.state.openSequences;
+        this.pathEl.classList.toggle('hidden', !path.length);
+        this.pathEl.innerHTML = '';
+
+        [MAIN_SEQUENCE, ...path].forEach((id, depth) => {
+            if (depth > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'sequence-separator';
+                separator.textContent = '›';
+                this.pathEl.appendChild(separator);
+            }
+
+            const crumb = document.createElement('button');
+            crumb.className = 'sequence-crumb';
+            crumb.textContent = id === MAIN_SEQUENCE ? 'Main' : this.getRecord(id)?.name || 'Compound';
+            crumb.classList.toggle('active', depth === path.length);
+            crumb.addEventListener('click', () => this.close(depth));
+            this.pathEl.appendChild(crumb);
+        });
+    }
+}
@@ -0,0 +1,370 @@
+/**
+ * Vici Video Editor - Shortcut Manager
+ * Keyboard shortcut registry, rebinding settings and cheat sheet
+ */
+
+const STORAGE_KEY = 'vici-shortcuts';
+
+/**
+ * Every action a key can trigger. `keys` are the default bindings as
+ * combos of modifiers and a KeyboardEvent.code ("Ctrl+Shift+KeyZ"); Ctrl
+ * also matches ⌘ on macOS. Actions marked `repeat` keep firing while
+ * their key is held.
+ */
+export const SHORTCUT_ACTIONS = [
+    { id: 'playPause', label: 'Play / Pause', category: 'Playback', keys: ['Space'], run: (app) => app.togglePlayback() },
+    { id: 'shuttleReverse', label: 'Shuttle reverse (press again to speed up)', category: 'Playback', keys: ['KeyJ'], run: (app) => app.playback.shuttle(-1) },
+    { id: 'shuttleStop', label: 'Stop', category: 'Playback', keys: ['KeyK'], run: (app) => app.video.pause() },
+    { id: 'shuttleForward', label: 'Shuttle forward (press again to speed up)', category: 'Playback', keys: ['KeyL'], run: (app) => app.playback.shuttle(1) },
+    { id: 'frameBack', label: 'Previous frame', category: 'Playback', keys: ['Comma'], repeat: true, run: (app) => app.stepFrame(-1) },
+    { id: 'frameForward', label: 'Next frame', category: 'Playback', keys: ['Period'], repeat: true, run: (app) => app.stepFrame(1) },
+    { id: 'skipBack', label: 'Back 1 second', category: 'Playback', keys: ['ArrowLeft'], repeat: true, run: (app) => app.video.skip(-1) },
+    { id: 'skipForward', label: 'Forward 1 second', category: 'Playback', keys: ['ArrowRight'], repeat: true, run: (app) => app.video.skip(1) },
+    { id: 'skipBackLong', label: 'Back 10 seconds', category: 'Playback', keys: ['Shift+ArrowLeft'], repeat: true, run: (app) => app.video.skip(-10) },
+    { id: 'skipForwardLong', label: 'Forward 10 seconds', category: 'Playback', keys: ['Shift+ArrowRight'], repeat: true, run: (app) => app.video.skip(10) },
+
+    { id: 'markIn', label: 'Mark In', category: 'Marking', keys: ['KeyI'], run: (app) => app.timeline.setInPoint() },
+    { id: 'markOut', label: 'Mark Out', category: 'Marking', keys: ['KeyO'], run: (app) => app.timeline.setOutPoint() },
+    { id: 'clearInOut', label: 'Clear In and Out', category: 'Marking', keys: ['Alt+KeyX'], run: (app) => app.timeline.clearInOut() },
+    { id: 'addMarker', label: 'Add marker', category: 'Marking', keys: ['KeyM'], run: (app) => app.markers.addAtPlayhead() },
+
+    { id: 'selectTool', label: 'Select tool', category: 'Tools', keys: ['KeyV'], run: (app) => app.timeline.setTool('select') },
+    { id: 'cutTool', label: 'Cut tool', category: 'Tools', keys: ['KeyC'], run: (app) => app.timeline.setTool('cut') },
+    {
+        id: 'rippleTool', label: 'Ripple trim tool', category: 'Tools', keys: ['KeyB'], run: (app) => {
+            app.timeline.setTool('trim');
+            app.timeline.setTrimMode('ripple');
+        }
+    },
+
+    { id: 'split', label: 'Split at playhead', category: 'Editing', keys: ['KeyS'], run: (app) => app.timeline.splitClip() },
+    {
+        id: 'delete', label: 'Delete selection', category: 'Editing', keys: ['Delete', 'Backspace'], run: (app) => {
+            if (app.state.selectedClips.length) app.timeline.deleteSelectedClip();
+        }
+    },
+    { id: 'undo', label: 'Undo', category: 'Editing', keys: ['Ctrl+KeyZ'], run: (app) => app.undo() },
+    { id: 'redo', label: 'Redo', category: 'Editing', keys: ['Ctrl+Shift+KeyZ', 'Ctrl+KeyY'], run: (app) => app.redo() },
+    { id: 'copy', label: 'Copy', category: 'Editing', keys: ['Ctrl+KeyC'], run: (app) => app.clipboard.copy() },
+    { id: 'paste', label: 'Paste at playhead', category: 'Editing', keys: ['Ctrl+KeyV'], run: (app) => app.clipboard.paste() },
+    { id: 'pasteAttributes', label: 'Paste attributes', category: 'Editing', keys: ['Ctrl+Alt+KeyV'], run: (app) => app.clipboard.pasteAttributes() },
+    { id: 'duplicate', label: 'Duplicate', category: 'Editing', keys: ['Ctrl+KeyD'], run: (app) => app.clipboard.duplicate() },
+    { id: 'group', label: 'Group', category: 'Editing', keys: ['Ctrl+KeyG'], run: (app) => app.timeline.groupSelected() },
+    { id: 'ungroup', label: 'Ungroup', category: 'Editing', keys: ['Ctrl+Shift+KeyG'], run: (app) => app.timeline.ungroupSelected() },
+    { id: 'selectAll', label: 'Select all', category: 'Editing', keys: ['Ctrl+KeyA'], run: (app) => app.timeline.selectAll() },
+
+    { id: 'export', label: 'Export', category: 'General', keys: ['Ctrl+KeyS'], run: (app) => app.showExportModal() },
+    { id: 'cheatSheet', label: 'Show shortcuts', category: 'General', keys: ['Shift+Slash'], run: (app) => app.shortcuts.toggleCheatSheet() }
+];
+
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+const KEY_NAMES = {
+    Space: 'Space',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: "'",
+    BracketLeft: '[',
+    BracketRight: ']',
+    Minus: '-',
+    Equal: '=',
+    Backquote: '`',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Backspace: '⌫',
+    Delete: 'Del',
+    Enter: 'Enter',
+    Escape: 'Esc',
+    Tab: 'Tab'
+};
+
+// Shifted keys people know by their symbol
+const SHIFTED_NAMES = { Slash: '?' };
+
+export function comboFromEvent(e) {
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(e.code);
+    return parts.join('+');
+}
+
+// "Ctrl+Shift+KeyZ" -> "Ctrl+Shift+Z", "Shift+Slash" -> "?"
+export function formatCombo(combo) {
+    const parts = combo.split('+');
+    const code = parts.pop();
+
+    if (parts.length === 1 && parts[0] === 'Shift' && SHIFTED_NAMES[code]) {
+        return SHIFTED_NAMES[code];
+    }
+
+    const key = KEY_NAMES[code] || code.replace(/^Key|^Digit|^Numpad/, '');
+    return [...parts, key].join('+');
+}
+
+export class ShortcutManager {
+    constructor(app) {
+        this.app = app;
+        this.bindings = this.load();
+        this.recording = null;
+
+        this.modal = document.getElementById('shortcutsModal');
+        this.list = document.getElementById('shortcutsList');
+        this.sheet = document.getElementById('shortcutSheet');
+
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        document.getElementById('shortcutsBtn')?.addEventListener('click', () => this.openSettings());
+        document.getElementById('closeShortcutsModal')?.addEventListener('click', () => this.closeSettings());
+        document.getElementById('doneShortcutsBtn')?.addEventListener('click', () => this.closeSettings());
+        document.getElementById('resetShortcutsBtn')?.addEventListener('click', () => this.resetAll());
+        document.getElementById('printShortcutsBtn')?.addEventListener('click', () => this.print());
+        document.getElementById('customizeShortcutsBtn')?.addEventListener('click', () => {
+            this.toggleCheatSheet(false);
+            this.openSettings();
+        });
+        document.getElementById('closeShortcutSheet')?.addEventListener('click', () => this.toggleCheatSheet(false));
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-shortcuts'));
+    }
+
+    // Defaults with the user's saved changes on top
+    load() {
+        const bindings = new Map(SHORTCUT_ACTIONS.map(action => [action.id, [...action.keys]]));
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            Object.entries(saved).forEach(([id, keys]) => {
+                if (bindings.has(id) && Array.isArray(keys)) bindings.set(id, keys);
+            });
+        } catch (err) {
+            console.warn('Shortcuts: ignoring saved bindings:', err.message);
+        }
+        return bindings;
+    }
+
+    // Only bindings that differ from the defaults are stored
+    save() {
+        const changed = {};
+        SHORTCUT_ACTIONS.forEach(action => {
+            const keys = this.bindings.get(action.id);
+            if (keys.join() !== action.keys.join()) changed[action.id] = keys;
+        });
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    }
+
+    getAction(id) {
+        return SHORTCUT_ACTIONS.find(action => action.id === id);
+    }
+
+    // Actions bound to `combo`, in registry order
+    getActionsFor(combo) {
+        return SHORTCUT_ACTIONS.filter(action => this.bindings.get(action.id).includes(combo));
+    }
+
+    // combo -> ids of every action sharing it, for combos bound more than once
+    getConflicts() {
+        const owners = new Map();
+        this.bindings.forEach((keys, id) => keys.forEach(combo => {
+            owners.set(combo, [...(owners.get(combo) || []), id]);
+        }));
+        return new Map([...owners].filter(([, ids]) => ids.length > 1));
+    }
+
+    onKeyDown(e) {
+        if (this.recording) {
+            this.record(e);
+            return;
+        }
+
+        if (e.key === 'Escape' && !this.sheet?.classList.contains('hidden')) {
+            this.toggleCheatSheet(false);
+            return;
+        }
+
+        // Ignore if typing in an input
+        const { tagName, isContentEditable } = e.target;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || isContentEditable) return;
+        if (MODIFIER_CODES.includes(e.code)) return;
+
+        // A conflicting combo runs the first action that claims it
+        const action = this.getActionsFor(comboFromEvent(e))[0];
+        if (!action) return;
+
+        e.preventDefault();
+        if (e.repeat && !action.repeat) return;
+        action.run(this.app, e);
+    }
+
+    openSettings() {
+        this.renderSettings();
+        this.app.showModal('shortcutsModal');
+    }
+
+    closeSettings() {
+        this.recording = null;
+        this.app.hideModal('shortcutsModal');
+    }
+
+    renderSettings() {
+        if (!this.list) return;
+
+        const conflicts = this.getConflicts();
+        this.list.innerHTML = '';
+
+        if (conflicts.size) {
+            const warning = document.createElement('p');
+            warning.className = 'shortcut-warning';
+            warning.textContent = `${conflicts.size} key${conflicts.size === 1 ? ' is' : 's are'} bound to more than one action; only the first one runs.`;
+            this.list.appendChild(warning);
+        }
+
+        this.getCategories().forEach(([category, actions]) => {
+            const heading = document.createElement('h5');
+            heading.className = 'shortcut-category';
+            heading.textContent = category;
+            this.list.appendChild(heading);
+
+            actions.forEach(action => {
+                const row = document.createElement('div');
+                row.className = 'shortcut-row';
+                row.innerHTML = `
+                    <span class="shortcut-label"></span>
+                    <div class="shortcut-keys"></div>
+                    <button class="shortcut-reset" title="Reset to default">↺</button>
+                `;
+                row.querySelector('.shortcut-label').textContent = action.label;
+
+                const keysEl = row.querySelector('.shortcut-keys');
+                this.bindings.get(action.id).forEach(combo => {
+                    const chip = document.createElement('span');
+                    chip.className = 'shortcut-key';
+                    chip.classList.toggle('conflict', conflicts.has(combo));
+                    chip.title = conflicts.has(combo)
+                        ? `Also bound to: ${conflicts.get(combo).filter(id => id !== action.id).map(id => this.getAction(id).label).join(', ')}`
+                        : 'Remove';
+                    chip.innerHTML = '<kbd></kbd><button class="shortcut-remove">×</button>';
+                    chip.querySelector('kbd').textContent = formatCombo(combo);
+                    chip.querySelector('.shortcut-remove').addEventListener('click', () => this.unbind(action.id, combo));
+                    keysEl.appendChild(chip);
+                });
+
+                const add = document.createElement('button');
+                add.className = 'shortcut-add';
+                const recording = this.recording === action.id;
+                add.classList.toggle('recording', recording);
+                add.textContent = recording ? 'Press a key…' : '+';
+                add.title = 'Add a key';
+                add.addEventListener('click', () => {
+                    this.recording = recording ? null : action.id;
+                    this.renderSettings();
+                });
+                keysEl.appendChild(add);
+
+                row.querySelector('.shortcut-reset').addEventListener('click', () => this.reset(action.id));
+                this.list.appendChild(row);
+            });
+        });
+    }
+
+    // Bind the next key pressed while recording; Escape cancels
+    record(e) {
+        if (MODIFIER_CODES.includes(e.code)) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const id = this.recording;
+        this.recording = null;
+        if (e.code !== 'Escape') this.bind(id, comboFromEvent(e));
+        this.renderSettings();
+    }
+
+    bind(id, combo) {
+        const keys = this.bindings.get(id);
+        if (keys.includes(combo)) return;
+
+        // Taking a key from another action needs confirmation
+        const others = this.getActionsFor(combo).filter(action => action.id !== id);
+        if (others.length) {
+            const names = others.map(action => `"${action.label}"`).join(', ');
+            if (!confirm(`${formatCombo(combo)} is already used by ${names}. Reassign it to "${this.getAction(id).label}"?`)) {
+                return;
+            }
+            others.forEach(action => this.unbind(action.id, combo, false));
+        }
+
+        keys.push(combo);
+        this.save();
+    }
+
+    unbind(id, combo, render = true) {
+        this.bindings.set(id, this.bindings.get(id).filter(c => c !== combo));
+        this.save();
+        if (render) this.renderSettings();
+    }
+
+    reset(id) {
+        this.bindings.set(id, [...this.getAction(id).keys]);
+        this.save();
+        this.renderSettings();
+    }
+
+    resetAll() {
+        if (!confirm('Reset every shortcut to its default key?')) return;
+        this.bindings = new Map(SHORTCUT_ACTIONS.map(action => [action.id, [...action.keys]]));
+        this.save();
+        this.renderSettings();
+        this.app.showToast('Shortcuts reset', 'success');
+    }
+
+    // [category, actions] pairs in registry order
+    getCategories() {
+        const categories = new Map();
+        SHORTCUT_ACTIONS.forEach(action => {
+            categories.set(action.category, [...(categories.get(action.category) || []), action]);
+        });
+        return [...categories];
+    }
+
+    toggleCheatSheet(show = this.sheet?.classList.contains('hidden')) {
+        if (!this.sheet) return;
+        if (show) this.renderCheatSheet();
+        this.sheet.classList.toggle('hidden', !show);
+    }
+
+    renderCheatSheet() {
+        const columns = this.sheet.querySelector('.shortcut-sheet-columns');
+        columns.innerHTML = '';
+
+        this.getCategories().forEach(([category, actions]) => {
+            const section = document.createElement('section');
+            section.innerHTML = `<h4></h4><dl></dl>`;
+            section.querySelector('h4').textContent = category;
+
+            const list = section.querySelector('dl');
+            actions.forEach(action => {
+                const keys = this.bindings.get(action.id);
+                const term = document.createElement('dt');
+                term.innerHTML = keys.length
+                    ? keys.map(() => '<kbd></kbd>').join(' ')
+                    : '<span class="shortcut-unbound">—</span>';
+                term.querySelectorAll('kbd').forEach((kbd, i) => { kbd.textContent = formatCombo(keys[i]); });
+
+                const description = document.createElement('dd');
+                description.textContent = action.label;
+                list.append(term, description);
+            });
+            columns.appendChild(section);
+        });
+    }
+
+    // Print only the cheat sheet
+    print() {
+        document.body.classList.add('printing-shortcuts');
+        window.print();
+    }
+}
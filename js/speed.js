@@ -0,0 +1,425 @@
+/**
+ * Vici Video Editor - Clip Speed
+ * Per-clip speed, speed ramps, reverse and freeze frames, and the mapping
+ * from timeline time to source time they define
+ */
+
+import { createId } from './utils.js';
+import { scaleKeyframes, splitKeyframes } from './keyframes.js';
+
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 8;
+
+// Seconds a freeze frame lasts unless another length is entered
+const DEFAULT_FREEZE_DURATION = 2;
+
+/**
+ * Ramp shapes offered as presets. A ramp is a list of keys, each a
+ * position through the clip (0-1) and a multiplier on the clip's speed;
+ * speed changes linearly between keys and holds before the first and
+ * after the last.
+ */
+export const SPEED_RAMPS = {
+    none: null,
+    'ramp-down': [{ position: 0, speed: 1 }, { position: 1, speed: 0.2 }],
+    'ramp-up': [{ position: 0, speed: 0.2 }, { position: 1, speed: 1 }],
+    dip: [{ position: 0, speed: 1 }, { position: 0.5, speed: 0.2 }, { position: 1, speed: 1 }]
+};
+
+const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+
+// Ramp keys with the held ends made explicit, so the ramp covers 0-1
+function getRampPoints(ramp) {
+    const keys = [...ramp].sort((a, b) => a.position - b.position);
+    return [
+        { position: 0, speed: keys[0].speed },
+        ...keys,
+        { position: 1, speed: keys[keys.length - 1].speed }
+    ];
+}
+
+function rampFactorAt(ramp, u) {
+    const points = getRampPoints(ramp);
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (u <= b.position) {
+            const span = b.position - a.position;
+            return span > 0 ? a.speed + (b.speed - a.speed) * (u - a.position) / span : b.speed;
+        }
+    }
+    return points[points.length - 1].speed;
+}
+
+// Area under the ramp from 0 to `u`
+function integrateRamp(ramp, u) {
+    const points = getRampPoints(ramp);
+    let total = 0;
+    for (let i = 1; i < points.length && points[i - 1].position < u; i++) {
+        const a = points[i - 1];
+        const end = Math.min(u, points[i].position);
+        total += (end - a.position) * (a.speed + rampFactorAt(ramp, end)) / 2;
+    }
+    return total;
+}
+
+export function hasRamp(clip) {
+    return !!clip.speedRamp?.length;
+}
+
+// Whether a clip plays its source straight through at a fixed rate
+export function isConstantSpeed(clip) {
+    return !clip.freeze && !clip.reverse && !hasRamp(clip);
+}
+
+// Speed multiplier `offset` timeline seconds into the clip
+export function getSpeedAt(clip, offset) {
+    if (clip.freeze) return 0;
+    const speed = clip.speed ?? 1;
+    if (!hasRamp(clip) || clip.duration <= 0) return speed;
+    return speed * rampFactorAt(clip.speedRamp, clamp(offset / clip.duration, 0, 1));
+}
+
+// Source seconds played per timeline second, averaged over the clip
+export function getAverageSpeed(clip) {
+    if (clip.freeze) return 0;
+    const speed = clip.speed ?? 1;
+    return hasRamp(clip) ? speed * integrateRamp(clip.speedRamp, 1) : speed;
+}
+
+// Source seconds played through the first `offset` timeline seconds
+export function getSourceOffset(clip, offset) {
+    if (clip.freeze) return 0;
+    const speed = clip.speed ?? 1;
+    if (!hasRamp(clip) || clip.duration <= 0) return offset * speed;
+    const u = clamp(offset / clip.duration, 0, 1);
+    return clip.duration * speed * integrateRamp(clip.speedRamp, u);
+}
+
+// Seconds of source the clip plays from its in-point
+export function getSourceSpan(clip) {
+    return getSourceOffset(clip, clip.duration);
+}
+
+/**
+ * Source time shown at timeline `time`. Reversed clips play their source
+ * range from its end back to the in-point; freeze frames hold the in-point.
+ */
+export function getSourceTime(clip, time) {
+    const start = clip.trimStart || 0;
+    const offset = getSourceOffset(clip, time - clip.startTime);
+    return clip.reverse ? start + getSourceSpan(clip) - offset : start + offset;
+}
+
+// Split a ramp at `u`, giving each half keys that span its own 0-1
+function splitRamp(ramp, u) {
+    const cut = { position: u, speed: rampFactorAt(ramp, u) };
+    const keys = [...ramp].sort((a, b) => a.position - b.position);
+    const first = [...keys.filter(key => key.position < u), cut]
+        .map(key => ({ position: u > 0 ? key.position / u : 0, speed: key.speed }));
+    const second = [cut, ...keys.filter(key => key.position > u)]
+        .map(key => ({ position: u < 1 ? (key.position - u) / (1 - u) : 0, speed: key.speed }));
+    return [first, second];
+}
+
+/**
+ * Source range and ramp for each half of `clip` cut `offset` timeline
+ * seconds in. For reversed clips the first half plays the later source.
+ * @returns {{first: Object, second: Object}} fields to assign to each half
+ */
+export function splitTiming(clip, offset) {
+    const start = clip.trimStart || 0;
+    const trimEnd = clip.trimEnd || 0;
+    const span = getSourceSpan(clip);
+    const played = getSourceOffset(clip, offset);
+    const first = clip.reverse
+        ? { trimStart: start + span - played, trimEnd }
+        : { trimStart: start, trimEnd: trimEnd + span - played };
+    const second = clip.reverse
+        ? { trimStart: start, trimEnd: trimEnd + played }
+        : { trimStart: start + played, trimEnd };
+
+    if (hasRamp(clip)) {
+        [first.speedRamp, second.speedRamp] = splitRamp(clip.speedRamp, clamp(offset / clip.duration, 0, 1));
+    }
+    return { first, second };
+}
+
+// Short label for the clip's timing, shown on the timeline; empty at 1x
+export function describeSpeed(clip) {
+    if (clip.freeze) return 'Freeze';
+    const parts = [];
+    if (hasRamp(clip)) parts.push('Ramp');
+    else if ((clip.speed ?? 1) !== 1) parts.push(`${+(clip.speed).toFixed(2)}x`);
+    if (clip.reverse) parts.push('Reverse');
+    return parts.join(' · ');
+}
+
+export class SpeedManager {
+    constructor(app) {
+        this.app = app;
+        this.rampList = document.getElementById('speedRampList');
+
+        document.querySelectorAll('.preset-btn[data-speed]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (!this.getTargetClips().length) {
+                    this.app.showToast('Select a clip to change its speed', 'warning');
+                    return;
+                }
+                this.app.history.transact('Change speed', ['clips'], () => {
+                    this.setSpeed(parseInt(btn.dataset.speed) / 100);
+                });
+            });
+        });
+
+        document.querySelectorAll('.curve-btn[data-ramp]').forEach(btn => {
+            btn.addEventListener('click', () => this.applyRamp(btn.dataset.ramp));
+        });
+
+        document.getElementById('addSpeedKeyBtn')?.addEventListener('click', () => this.addRampKey());
+
+        document.getElementById('reverseToggle')?.addEventListener('change', (e) => {
+            this.app.history.transact(e.target.checked ? 'Reverse clip' : 'Play clip forward', ['clips'], () => {
+                this.getTargetClips().forEach(clip => {
+                    if (e.target.checked) clip.reverse = true;
+                    else delete clip.reverse;
+                });
+                this.app.timeline.renderClips();
+            });
+        });
+
+        document.getElementById('freezeFrameBtn')?.addEventListener('click', () => {
+            const input = document.getElementById('freezeDuration');
+            this.insertFreezeFrame(parseFloat(input?.value) || DEFAULT_FREEZE_DURATION);
+        });
+
+        this.render();
+    }
+
+    // Selected clips whose timing can change: media and compound clips on
+    // unlocked tracks
+    getTargetClips() {
+        const { timeline } = this.app;
+        return timeline.getSelectedClips()
+            .filter(clip => !['text', 'adjustment'].includes(clip.type) && !clip.freeze && !timeline.isLocked(clip));
+    }
+
+    /**
+     * Change a clip's timing with `mutate` while keeping the source range
+     * it plays, so its timeline duration grows or shrinks instead. Later
+     * clips on the track move with its end.
+     */
+    retime(clip, mutate) {
+        const span = getSourceSpan(clip);
+        const end = clip.startTime + clip.duration;
+        mutate();
+
+        const speed = getAverageSpeed(clip);
+        if (speed <= 0 || span <= 0) return;
+        const duration = span / speed;
+        const delta = duration - clip.duration;
+        this.app.state.clips
+            .filter(c => c.track === clip.track && c !== clip && c.startTime >= end - 0.001)
+            .forEach(c => { c.startTime += delta; });
+        // Keys stay on the frames they animate
+        if (clip.keyframes) clip.keyframes = scaleKeyframes(clip.keyframes, duration / clip.duration);
+        clip.duration = duration;
+    }
+
+    // Set the speed of the selected clips; ramps keep their shape
+    setSpeed(speed) {
+        const clips = this.getTargetClips();
+        if (!clips.length) {
+            // Nothing to change: put the slider back
+            this.render();
+            return;
+        }
+
+        clips.forEach(clip => this.retime(clip, () => {
+            clip.speed = clamp(speed, MIN_SPEED, MAX_SPEED);
+        }));
+        this.app.timeline.applyMagnetic(...clips.map(clip => clip.track));
+        this.app.timeline.renderClips();
+        this.render();
+    }
+
+    applyRamp(name) {
+        const clips = this.getTargetClips();
+        if (!clips.length) {
+            this.app.showToast('Select a clip to ramp its speed', 'warning');
+            return;
+        }
+
+        this.app.history.transact('Speed ramp', ['clips'], () => {
+            clips.forEach(clip => this.retime(clip, () => {
+                if (SPEED_RAMPS[name]) clip.speedRamp = SPEED_RAMPS[name].map(key => ({ ...key }));
+                else delete clip.speedRamp;
+            }));
+            this.app.timeline.applyMagnetic(...clips.map(clip => clip.track));
+            this.app.timeline.renderClips();
+        });
+        this.render();
+    }
+
+    // The clip whose ramp keys the panel lists: the primary selection
+    getRampClip() {
+        const clip = this.app.state.clips.find(c => c.id === this.app.state.selectedClip);
+        return clip && this.getTargetClips().includes(clip) ? clip : null;
+    }
+
+    editRamp(label, mutate) {
+        const clip = this.getRampClip();
+        if (!clip) return;
+
+        this.app.history.transact(label, ['clips'], () => {
+            this.retime(clip, () => {
+                mutate(clip);
+                if (hasRamp(clip)) clip.speedRamp.sort((a, b) => a.position - b.position);
+                else delete clip.speedRamp;
+            });
+            this.app.timeline.applyMagnetic(clip.track);
+            this.app.timeline.renderClips();
+        });
+        this.render();
+    }
+
+    // Key at the playhead, at the speed the clip currently has there
+    addRampKey() {
+        const clip = this.getRampClip();
+        if (!clip) {
+            this.app.showToast('Select a clip to add a speed key', 'warning');
+            return;
+        }
+
+        const offset = clamp(this.app.state.currentTime - clip.startTime, 0, clip.duration);
+        const position = offset / clip.duration;
+        const speed = getSpeedAt(clip, offset) / (clip.speed ?? 1);
+        this.editRamp('Add speed key', (c) => {
+            c.speedRamp = [...(c.speedRamp || []), { position, speed }];
+        });
+    }
+
+    updateRampKey(index, changes) {
+        this.editRamp('Edit speed key', (clip) => {
+            Object.assign(clip.speedRamp[index], changes);
+        });
+    }
+
+    removeRampKey(index) {
+        this.editRamp('Remove speed key', (clip) => {
+            clip.speedRamp.splice(index, 1);
+        });
+    }
+
+    /**
+     * Insert a still of the frame under the playhead, `duration` seconds
+     * long. The clip there is split around it and everything after it on
+     * the track moves along to make room.
+     */
+    insertFreezeFrame(duration) {
+        const { timeline } = this.app;
+        const time = timeline.quantize(this.app.state.currentTime);
+        const visible = this.app.compositor.getVisibleClips(time).filter(c => c.type !== 'adjustment');
+        const clip = visible.find(c => this.app.state.selectedClips.includes(c.id)) || visible[visible.length - 1];
+
+        if (!clip || clip.freeze) {
+            this.app.showToast('Move the playhead over a video clip to freeze a frame', 'warning');
+            return;
+        }
+        if (timeline.isLocked(clip)) {
+            this.app.showToast('Clip is on a locked track', 'warning');
+            return;
+        }
+
+        const length = Math.max(timeline.quantize(duration), 0.1);
+        const freeze = {
+            ...clip,
+            id: createId(),
+            name: `${clip.name} (freeze)`,
+            startTime: time,
+            duration: length,
+            trimStart: getSourceTime(clip, time),
+            freeze: true
+        };
+        delete freeze.speed;
+        delete freeze.speedRamp;
+        delete freeze.reverse;
+        delete freeze.groupId;
+        // Its own effect stack and transform, and keys held at the frozen frame
+        if (clip.effects) {
+            freeze.effects = clip.effects.map(effect => ({ ...effect, id: createId(), params: { ...effect.params } }));
+        }
+        if (clip.transform) freeze.transform = { ...clip.transform };
+        if (clip.keyframes) {
+            const { second } = splitKeyframes(clip.keyframes, time - clip.startTime);
+            freeze.keyframes = Object.fromEntries(Object.entries(second).map(([property, keys]) => [property, keys.slice(0, 1)]));
+        }
+
+        this.app.history.transact('Freeze frame', ['clips'], () => {
+            if (time > clip.startTime) timeline.cutClip(clip, time);
+            this.app.state.clips
+                .filter(c => c.track === clip.track && c.startTime >= time - 0.001)
+                .forEach(c => { c.startTime += length; });
+            this.app.state.clips.push(freeze);
+            timeline.setSelection([freeze.id]);
+            timeline.applyMagnetic(clip.track);
+            timeline.renderClips();
+        });
+        this.app.showToast('Freeze frame added', 'success');
+    }
+
+    // Show the primary selected clip's timing in the Speed panel
+    render() {
+        const clip = this.getRampClip();
+        const speed = Math.round((clip?.speed ?? 1) * 100);
+        this.app.setSliderValue('speedSlider', 'speedValue', speed, (v) => `${(v / 100).toFixed(1)}x`);
+
+        const reverse = document.getElementById('reverseToggle');
+        if (reverse) reverse.checked = !!clip?.reverse;
+
+        document.querySelectorAll('.preset-btn[data-speed]').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.speed) === speed);
+        });
+        // Presets are a starting point for the keys, so only "Constant" stays lit
+        document.querySelectorAll('.curve-btn[data-ramp]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.ramp === 'none' && !(clip && hasRamp(clip)));
+        });
+
+        this.renderRampList(clip);
+    }
+
+    renderRampList(clip) {
+        if (!this.rampList) return;
+        this.rampList.innerHTML = '';
+
+        if (!clip || !hasRamp(clip)) {
+            this.rampList.innerHTML = '<div class="speed-ramp-empty">Constant speed. Add a key or pick a ramp</div>';
+            return;
+        }
+
+        clip.speedRamp.forEach((key, index) => {
+            const row = document.createElement('div');
+            row.className = 'speed-ramp-key';
+            row.innerHTML = `
+                <label>At <input type="number" class="speed-key-position" min="0" max="100" step="1">%</label>
+                <label>Speed <input type="number" class="speed-key-speed" min="10" max="800" step="5">%</label>
+                <button class="layer-btn speed-key-delete" title="Remove key">✕</button>
+            `;
+
+            const position = row.querySelector('.speed-key-position');
+            position.value = Math.round(key.position * 100);
+            position.addEventListener('change', () => {
+                this.updateRampKey(index, { position: clamp(parseFloat(position.value) / 100 || 0, 0, 1) });
+            });
+
+            const speed = row.querySelector('.speed-key-speed');
+            speed.value = Math.round(key.speed * 100);
+            speed.addEventListener('change', () => {
+                this.updateRampKey(index, { speed: clamp(parseFloat(speed.value) / 100 || 1, MIN_SPEED, MAX_SPEED) });
+            });
+
+            row.querySelector('.speed-key-delete').addEventListener('click', () => this.removeRampKey(index));
+            this.rampList.appendChild(row);
+        });
+    }
+}
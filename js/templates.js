@@ -7,7 +7,8 @@ export class TemplatesManager {
     constructor(app) {
         this.app = app;
         this.previewWrapper = document.getElementById('previewWrapper');
-        this.video = document.getElementById('previewVideo');
+        // Animations target what the preview shows: the rendered canvas
+        this.video = document.getElementById('previewCanvas');
         
         this.templates = {
             // Intro templates
@@ -0,0 +1,176 @@
+/**
+ * Vici Video Editor - Thumbnail Manager
+ * Filmstrips of source frames drawn inside video clips on the timeline
+ */
+
+import { getSourceTime } from './speed.js';
+
+// Height of a filmstrip frame; matches a clip on its track
+const FRAME_HEIGHT = 42;
+
+// Frames kept across all media before the oldest are dropped
+const MAX_CACHED_FRAMES = 2000;
+
+// Distinct frames sampled per clip; very long clips repeat frames across
+// neighbouring tiles rather than extracting thousands
+const MAX_FRAMES_PER_CLIP = 120;
+
+// Canvases wider than this fail to draw in some browsers; longer clips
+// get a narrower canvas stretched to the clip's width
+const MAX_CANVAS_WIDTH = 16384;
+
+export class ThumbnailManager {
+    constructor(app) {
+        this.app = app;
+        this.frames = new Map();      // media id -> [{time, image}] sorted by time
+        this.order = [];              // cached frames, oldest first
+        this.extractors = new Map();  // media id -> hidden <video> used for seeking
+        this.queue = [];
+        this.requested = new Set();
+        this.redraws = new Map();     // clip element -> clip, redrawn next frame
+        this.working = false;
+    }
+
+    /**
+     * Draw the filmstrip for `clip` into its element with whatever frames
+     * are cached, and queue the missing ones. Each tile shows the source
+     * frame under its middle, so the spacing follows the zoom level.
+     */
+    renderFilmstrip(clipEl, clip) {
+        const media = this.app.video.getMedia(clip.mediaId);
+        if (!media?.width || !media.height) return;
+
+        let canvas = clipEl.querySelector('.clip-filmstrip');
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.className = 'clip-filmstrip';
+            clipEl.prepend(canvas);
+        }
+
+        const { pixelsPerSecond } = this.app.timeline;
+        const clipWidth = Math.max(1, clip.duration * pixelsPerSecond);
+        const tileWidth = Math.round(FRAME_HEIGHT * media.width / media.height);
+        const scale = Math.min(1, MAX_CANVAS_WIDTH / clipWidth);
+        const spacing = Math.max(tileWidth / pixelsPerSecond, clip.duration / MAX_FRAMES_PER_CLIP);
+
+        canvas.width = Math.ceil(clipWidth * scale);
+        canvas.height = FRAME_HEIGHT;
+        const ctx = canvas.getContext('2d');
+
+        for (let x = 0; x < clipWidth; x += tileWidth) {
+            const slot = Math.floor((x + tileWidth / 2) / pixelsPerSecond / spacing);
+            const time = Math.min(
+                getSourceTime(clip, clip.startTime + (slot + 0.5) * spacing),
+                Math.max(0, media.duration - 0.05));
+            const frame = this.findFrame(media.id, time);
+
+            // Show the nearest frame we have until the right one is ready
+            if (frame) {
+                ctx.drawImage(frame.image, x * scale, 0, tileWidth * scale, FRAME_HEIGHT);
+            }
+            if (!frame || Math.abs(frame.time - time) > spacing / 2) {
+                this.request(media, time, clipEl, clip);
+            }
+        }
+    }
+
+    // Cached frame of `mediaId` closest to `time`
+    findFrame(mediaId, time) {
+        const frames = this.frames.get(mediaId);
+        if (!frames?.length) return null;
+
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (frames[mid].time < time) low = mid + 1;
+            else high = mid;
+        }
+
+        const before = frames[low - 1];
+        return before && time - before.time < frames[low].time - time ? before : frames[low];
+    }
+
+    request(media, time, clipEl, clip) {
+        const key = `${media.id}:${time.toFixed(3)}`;
+        if (this.requested.has(key)) return;
+
+        this.requested.add(key);
+        this.queue.push({ key, media, time, clipEl, clip });
+        this.process();
+    }
+
+    // Extract queued frames one at a time in the background; requests from
+    // clip elements that were re-rendered since (e.g. on zoom) are dropped
+    async process() {
+        if (this.working) return;
+        this.working = true;
+
+        while (this.queue.length) {
+            const { key, media, time, clipEl, clip } = this.queue.shift();
+            if (!clipEl.isConnected) {
+                this.requested.delete(key);
+                continue;
+            }
+
+            try {
+                this.store(media.id, time, await this.extract(media, time), key);
+            } catch (err) {
+                console.warn('Thumbnails:', err.message);
+            }
+            this.scheduleRedraw(clipEl, clip);
+        }
+
+        this.working = false;
+    }
+
+    async extract(media, time) {
+        let video = this.extractors.get(media.id);
+        if (!video) {
+            video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            video.src = media.url;
+            this.extractors.set(media.id, video);
+        }
+
+        await this.app.compositor.seekSource(video, time);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(FRAME_HEIGHT * media.width / media.height);
+        canvas.height = FRAME_HEIGHT;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    store(mediaId, time, image, key) {
+        const frames = this.frames.get(mediaId) || [];
+        const entry = { time, image, key };
+        const index = frames.findIndex(frame => frame.time > time);
+        frames.splice(index === -1 ? frames.length : index, 0, entry);
+        this.frames.set(mediaId, frames);
+        this.order.push({ mediaId, entry });
+
+        while (this.order.length > MAX_CACHED_FRAMES) {
+            const oldest = this.order.shift();
+            const list = this.frames.get(oldest.mediaId);
+            list.splice(list.indexOf(oldest.entry), 1);
+            // Let it be extracted again if it is needed later
+            this.requested.delete(oldest.entry.key);
+        }
+    }
+
+    // Batch redraws of a clip to one per animation frame
+    scheduleRedraw(clipEl, clip) {
+        if (!this.redraws.size) {
+            requestAnimationFrame(() => {
+                const redraws = [...this.redraws];
+                this.redraws.clear();
+                redraws
+                    .filter(([el]) => el.isConnected)
+                    .forEach(([el, c]) => this.renderFilmstrip(el, c));
+            });
+        }
+        this.redraws.set(clipEl, clip);
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Vici Video Editor - Timecode
+ * Project frame rates, SMPTE timecode and frame quantization
+ */
+
+/**
+ * Frame rates a project can use, keyed by the value stored in the project.
+ * `base` is the nominal rate timecode counts in; NTSC rates run 1000/1001
+ * slower than that. Drop-frame timecode skips frame numbers 0 and 1 at the
+ * start of every minute except each tenth, so 29.97 fps timecode keeps
+ * pace with the clock.
+ */
+export const FRAME_RATES = {
+    '23.976': { label: '23.976', fps: 24000 / 1001, base: 24, dropFrame: false },
+    '24': { label: '24', fps: 24, base: 24, dropFrame: false },
+    '25': { label: '25', fps: 25, base: 25, dropFrame: false },
+    '29.97': { label: '29.97 NDF', fps: 30000 / 1001, base: 30, dropFrame: false },
+    '29.97df': { label: '29.97 DF', fps: 30000 / 1001, base: 30, dropFrame: true },
+    '30': { label: '30', fps: 30, base: 30, dropFrame: false },
+    '50': { label: '50', fps: 50, base: 50, dropFrame: false },
+    '60': { label: '60', fps: 60, base: 60, dropFrame: false }
+};
+
+export const DEFAULT_FRAME_RATE = '30';
+
+export function getFrameRate(key) {
+    return FRAME_RATES[key] || FRAME_RATES[DEFAULT_FRAME_RATE];
+}
+
+// Frame showing at `seconds`; the small bias keeps times that sit exactly
+// on a boundary (k / fps) from rounding down to the frame before
+export function toFrame(seconds, key) {
+    return Math.floor(seconds * getFrameRate(key).fps + 1e-6);
+}
+
+export function fromFrame(frame, key) {
+    return frame / getFrameRate(key).fps;
+}
+
+// Nearest frame boundary to `seconds`
+export function snapToFrame(seconds, key) {
+    const { fps } = getFrameRate(key);
+    return Math.round(seconds * fps) / fps;
+}
+
+/**
+ * HH:MM:SS:FF timecode for `seconds`; drop-frame rates use `;` before the
+ * frame count, as is customary
+ */
+export function formatTimecode(seconds, key) {
+    const rate = getFrameRate(key);
+    let frame = toFrame(Math.max(0, seconds), key);
+
+    if (rate.dropFrame) {
+        // Add back the frame numbers skipped so far
+        const dropped = Math.round(rate.base / 15);
+        const perMinute = rate.base * 60 - dropped;
+        const perTenMinutes = perMinute * 10 + dropped;
+        const tens = Math.floor(frame / perTenMinutes);
+        const rest = frame % perTenMinutes;
+        frame += dropped * 9 * tens;
+        if (rest > dropped) {
+            frame += dropped * Math.floor((rest - dropped) / perMinute);
+        }
+    }
+
+    const pad = (value) => value.toString().padStart(2, '0');
+    const ff = frame % rate.base;
+    const totalSeconds = Math.floor(frame / rate.base);
+    const ss = totalSeconds % 60;
+    const mm = Math.floor(totalSeconds / 60) % 60;
+    const hh = Math.floor(totalSeconds / 3600);
+
+    return `${pad(hh)}:${pad(mm)}:${pad(ss)}${rate.dropFrame ? ';' : ':'}${pad(ff)}`;
+}
@@ -3,25 +3,115 @@
  * Handles timeline rendering, clips, and interactions
  */
 
+import { createId } from './utils.js';
+import { formatTimecode, snapToFrame } from './timecode.js';
+import { describeSpeed, getAverageSpeed, getSourceSpan, splitTiming } from './speed.js';
+import { shiftKeyframes, splitKeyframes } from './keyframes.js';
+
+// Shortest clip a trim can leave, in pixels at the current zoom
+const MIN_CLIP_WIDTH = 30;
+
+// How close (in pixels) an edge must come to a snap point to jump to it
+const SNAP_DISTANCE = 8;
+
+// Clips closer than this (seconds) count as touching for roll and slide
+const ADJACENT_EPSILON = 0.01;
+
+// Touch: how long a press on a clip takes to pick it up, and how far (in
+// pixels) a finger may wander before a press counts as a pan instead
+const LONG_PRESS_MS = 450;
+const TAP_DISTANCE = 10;
+
+// History labels for the Trim tool's edit modes
+const TRIM_MODE_LABELS = {
+    trim: 'Trim clip',
+    ripple: 'Ripple trim',
+    roll: 'Roll edit',
+    slip: 'Slip clip',
+    slide: 'Slide clip'
+};
+
+const TRACK_ICONS = {
+    video: '<rect x="2" y="2" width="20" height="20" rx="2.18" ry="2.18" /><line x1="7" y1="2" x2="7" y2="22" /><line x1="17" y1="2" x2="17" y2="22" /><line x1="2" y1="12" x2="22" y2="12" />',
+    audio: '<path d="M9 18V5l12-2v13" /><circle cx="6" cy="18" r="3" /><circle cx="18" cy="16" r="3" />',
+    text: '<polyline points="4 7 4 4 20 4 20 7" /><line x1="9" y1="20" x2="15" y2="20" /><line x1="12" y1="4" x2="12" y2="20" />'
+};
+
+const TRACK_NAMES = { video: 'Video', audio: 'Audio', text: 'Text' };
+
+// Length of a new adjustment layer, in seconds
+const ADJUSTMENT_DURATION = 5;
+
+// Header toggles offered for each kind of track
+const TRACK_TOGGLES = {
+    video: ['locked', 'muted', 'solo', 'hidden'],
+    audio: ['locked', 'muted', 'solo'],
+    text: ['locked', 'solo', 'hidden']
+};
+
+// Button letter, tooltip, and history verbs for turning a toggle on / off
+const TOGGLE_LABELS = {
+    locked: { text: 'L', title: 'Lock track', on: 'Lock', off: 'Unlock' },
+    muted: { text: 'M', title: 'Mute track', on: 'Mute', off: 'Unmute' },
+    solo: { text: 'S', title: 'Solo track', on: 'Solo', off: 'Unsolo' },
+    hidden: { text: 'H', title: 'Hide track', on: 'Hide', off: 'Show' }
+};
+
+/**
+ * Tracks listed top to bottom as shown; video tracks higher in the list
+ * are composited on top. The default ids match the `track` value of clips
+ * from before tracks could be added.
+ */
+export function createDefaultTracks() {
+    return [
+        createTrack('video', 'Video 1', 'video'),
+        createTrack('audio', 'Audio 1', 'audio'),
+        createTrack('text', 'Text 1', 'text')
+    ];
+}
+
+function createTrack(kind, name, id = createId()) {
+    return { id, kind, name, locked: false, muted: false, solo: false, hidden: false };
+}
+
 export class TimelineManager {
     constructor(app) {
         this.app = app;
         this.currentTool = 'select';
+        this.trimMode = 'ripple';
         this.zoom = 5;
         this.pixelsPerSecond = 50;
         this.isDragging = false;
         this.dragClip = null;
         this.dragOffset = 0;
+        this.snapping = true;
+        this.magnetic = false;
 
         this.wrapper = document.querySelector('.timeline-wrapper');
         this.ruler = document.getElementById('timelineRuler');
         this.playhead = document.getElementById('playhead');
-        this.videoTrack = document.getElementById('videoTrack');
-        this.audioTrack = document.getElementById('audioTrack');
-        this.textTrack = document.getElementById('textTrack');
+        this.tracksEl = document.getElementById('timelineTracks');
+        this.trackElements = new Map(); // track id -> .track-content
+        this.clipElements = new Map();  // clip id -> {element, clip, signature, visuals}
+        this.pinned = null;             // ids of clips kept rendered during an edit
+        this.tracksSignature = null;
+        this.scrollFrame = null;
+        this.touchAction = null;        // stops the current one-finger pan or long press
+        this.isTrimming = false;
+        this.isScrubbing = false;
+
+        this.snapIndicator = document.createElement('div');
+        this.snapIndicator.className = 'snap-indicator hidden';
+        this.wrapper.appendChild(this.snapIndicator);
+
+        this.trimTooltip = document.createElement('div');
+        this.trimTooltip.className = 'tooltip';
+        document.body.appendChild(this.trimTooltip);
 
-        this.setupDragDrop();
         this.setupPlayheadDrag();
+        this.setupTouchGestures();
+        this.wrapper.addEventListener('scroll', () => this.onScroll(), { passive: true });
+        window.addEventListener('resize', () => this.onScroll());
     }
 
     initRuler() {
@@ -36,21 +126,35 @@ export class TimelineManager {
     }
 
     renderRuler() {
-        this.ruler.innerHTML = '';
+        this.ruler.innerHTML = '<div class="ruler-ticks"></div>';
         const duration = this.app.state.duration || 60; // Default 60 seconds
         const width = duration * this.pixelsPerSecond;
 
         this.ruler.style.width = `${width + 80}px`;
 
-        // Create time marks
+        this.renderRulerTicks();
+        this.renderInOut();
+        this.app.markers?.renderRuler();
+    }
+
+    // Time marks for the visible part of the ruler only
+    renderRulerTicks() {
+        const ticks = this.ruler.querySelector('.ruler-ticks');
+        if (!ticks) return;
+
+        const duration = this.app.state.duration || 60;
         const interval = this.zoom < 3 ? 10 : this.zoom < 6 ? 5 : 1;
-        
-        for (let time = 0; time <= duration; time += interval) {
+        const range = this.getVisibleRange();
+        const first = Math.max(0, Math.floor(range.start / interval) * interval);
+        const last = Math.min(duration, range.end);
+
+        const fragment = document.createDocumentFragment();
+        for (let time = first; time <= last; time += interval) {
             const mark = document.createElement('div');
             mark.className = 'ruler-mark ruler-mark-major';
             mark.style.left = `${80 + time * this.pixelsPerSecond}px`;
             mark.innerHTML = `<span class="ruler-label">${this.formatTime(time)}</span>`;
-            this.ruler.appendChild(mark);
+            fragment.appendChild(mark);
 
             // Minor marks
             if (interval >= 5) {
@@ -58,42 +162,296 @@ export class TimelineManager {
                     const minorMark = document.createElement('div');
                     minorMark.className = 'ruler-mark ruler-mark-minor';
                     minorMark.style.left = `${80 + (time + minor) * this.pixelsPerSecond}px`;
-                    this.ruler.appendChild(minorMark);
+                    fragment.appendChild(minorMark);
                 }
             }
         }
+        ticks.replaceChildren(fragment);
+    }
+
+    // Shade the ruler between the In and Out points
+    renderInOut() {
+        this.ruler.querySelector('.ruler-range')?.remove();
+
+        const { inPoint, outPoint } = this.app.state;
+        if (inPoint === null && outPoint === null) return;
+
+        const start = inPoint ?? 0;
+        const end = outPoint ?? Math.max(this.getDuration(), start);
+        const range = document.createElement('div');
+        range.className = 'ruler-range';
+        range.classList.toggle('has-in', inPoint !== null);
+        range.classList.toggle('has-out', outPoint !== null);
+        range.style.left = `${80 + start * this.pixelsPerSecond}px`;
+        range.style.width = `${(end - start) * this.pixelsPerSecond}px`;
+        this.ruler.appendChild(range);
+    }
+
+    // Mark In/Out at the playhead; a mark that would cross the other
+    // one clears it
+    setInPoint() {
+        const time = this.quantize(this.app.state.currentTime);
+        const { outPoint } = this.app.state;
+        this.app.state.inPoint = time;
+        if (outPoint !== null && outPoint <= time) this.app.state.outPoint = null;
+        this.inOutChanged();
+    }
+
+    setOutPoint() {
+        const time = this.quantize(this.app.state.currentTime);
+        const { inPoint } = this.app.state;
+        this.app.state.outPoint = time;
+        if (inPoint !== null && inPoint >= time) this.app.state.inPoint = null;
+        this.inOutChanged();
     }
 
+    clearInOut() {
+        this.app.state.inPoint = null;
+        this.app.state.outPoint = null;
+        this.inOutChanged();
+    }
+
+    // The marked range, or null when neither point is set
+    getInOutRange() {
+        const { inPoint, outPoint } = this.app.state;
+        if (inPoint === null && outPoint === null) return null;
+        return { start: inPoint ?? 0, end: outPoint ?? this.getDuration() };
+    }
+
+    inOutChanged() {
+        this.renderInOut();
+        this.app.autosave.markDirty();
+    }
+
+    // Timecode at the project frame rate, to show which frame an edit lands on
     formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+        return formatTimecode(seconds, this.app.state.frameRate);
+    }
+
+    // Nearest frame boundary; edits land on whole frames
+    quantize(time) {
+        return snapToFrame(time, this.app.state.frameRate);
+    }
+
+    getTrack(trackId) {
+        return this.app.state.tracks.find(track => track.id === trackId);
+    }
+
+    // Where new clips of a kind go: the bottom (main) track of that kind
+    getDefaultTrack(kind) {
+        const tracks = this.app.state.tracks.filter(track => track.kind === kind);
+        return tracks[tracks.length - 1];
+    }
+
+    // A clip whose picture comes from video media on a video track
+    isVideoClip(clip) {
+        return clip.mediaId != null && this.getTrack(clip.track)?.kind === 'video';
+    }
+
+    isLocked(clip) {
+        return !!this.getTrack(clip.track)?.locked;
+    }
+
+    // Soloing any picture track hides the unsoloed ones; `tracks` are the
+    // tracks of the sequence holding it
+    isTrackVisible(track, tracks = this.app.state.tracks) {
+        if (!track || track.hidden) return false;
+        const soloed = tracks.some(t => t.solo && t.kind !== 'audio');
+        return !soloed || track.solo;
+    }
+
+    // Soloing any track with sound silences the unsoloed ones
+    isTrackAudible(track, tracks = this.app.state.tracks) {
+        if (!track || track.muted) return false;
+        const soloed = tracks.some(t => t.solo && t.kind !== 'text');
+        return !soloed || track.solo;
+    }
+
+    addTrack(kind) {
+        this.app.history.transact('Add track', ['clips'], () => {
+            this.insertTrack(kind);
+            this.renderClips();
+        });
+    }
+
+    // Add a track of `kind` without recording history
+    insertTrack(kind) {
+        const { tracks } = this.app.state;
+        const count = tracks.filter(track => track.kind === kind).length;
+        const track = createTrack(kind, `${TRACK_NAMES[kind]} ${count + 1}`);
+
+        // New video tracks go above the others so they composite on top;
+        // audio and text tracks go below their kind
+        const indexes = tracks.map((t, i) => t.kind === kind ? i : -1).filter(i => i >= 0);
+        const index = kind === 'video' ? indexes[0] : indexes[indexes.length - 1] + 1;
+        tracks.splice(index ?? tracks.length, 0, track);
+        return track;
+    }
+
+    removeTrack(trackId) {
+        const track = this.getTrack(trackId);
+        if (!track) return;
+
+        if (this.app.state.tracks.filter(t => t.kind === track.kind).length === 1) {
+            this.app.showToast(`Keep at least one ${track.kind} track`, 'warning');
+            return;
+        }
+
+        const clipCount = this.app.state.clips.filter(c => c.track === trackId).length;
+        if (clipCount && !confirm(`Remove "${track.name}" and its ${clipCount} clip${clipCount === 1 ? '' : 's'}?`)) {
+            return;
+        }
+
+        this.app.history.transact('Remove track', ['clips'], () => {
+            this.app.state.tracks = this.app.state.tracks.filter(t => t.id !== trackId);
+            this.app.state.clips = this.app.state.clips.filter(c => c.track !== trackId);
+            this.setSelection(this.app.state.selectedClips.filter(id => this.app.state.clips.some(c => c.id === id)));
+            this.renderClips();
+        });
+    }
+
+    toggleTrack(trackId, flag) {
+        const track = this.getTrack(trackId);
+        if (!track) return;
+
+        const { on, off } = TOGGLE_LABELS[flag];
+        this.app.history.transact(`${track[flag] ? off : on} ${track.name}`, ['clips'], () => {
+            track[flag] = !track[flag];
+            this.renderClips();
+        });
+    }
+
+    showAddTrackMenu(anchor) {
+        const rect = anchor.getBoundingClientRect();
+        this.showMenu(Object.entries(TRACK_NAMES).map(([kind, name]) => ({
+            label: `${name} Track`,
+            icon: TRACK_ICONS[kind],
+            action: () => this.addTrack(kind)
+        })), { left: rect.left, bottom: window.innerHeight - rect.top + 4 });
+    }
+
+    /**
+     * Pop up a `.context-menu`; it closes on the next click anywhere
+     * @param {Array<{label: string, icon?: string, danger?: boolean, action: Function}|null>} items -
+     *   null draws a separator
+     * @param {Object} position - CSS left/top/bottom in pixels
+     */
+    showMenu(items, position) {
+        document.querySelector('.timeline-menu')?.remove();
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu timeline-menu';
+        items.forEach(entry => {
+            if (!entry) {
+                menu.appendChild(Object.assign(document.createElement('div'), { className: 'context-menu-separator' }));
+                return;
+            }
+            const item = document.createElement('button');
+            item.className = 'context-menu-item';
+            item.classList.toggle('danger', !!entry.danger);
+            item.innerHTML = entry.icon
+                ? `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${entry.icon}</svg>`
+                : '';
+            item.append(entry.label);
+            item.addEventListener('click', () => {
+                menu.remove();
+                entry.action();
+            });
+            menu.appendChild(item);
+        });
+
+        Object.entries(position).forEach(([key, value]) => {
+            menu.style[key] = `${value}px`;
+        });
+        document.body.appendChild(menu);
+
+        setTimeout(() => {
+            document.addEventListener('click', () => menu.remove(), { once: true });
+        });
+    }
+
+    showClipMenu(e, clip) {
+        e.preventDefault();
+        if (!this.isSelected(clip.id)) {
+            this.selectClip(clip.id);
+        }
+
+        const { clipboard } = this.app;
+        const count = this.app.state.selectedClips.length;
+        this.showMenu([
+            { label: 'Copy', action: () => clipboard.copy() },
+            { label: 'Paste at Playhead', action: () => clipboard.paste() },
+            { label: 'Duplicate', action: () => clipboard.duplicate() },
+            { label: 'Paste Attributes', action: () => clipboard.pasteAttributes() },
+            null,
+            ...(count > 1 ? [{ label: 'Group', action: () => this.groupSelected() }] : []),
+            ...(clip.groupId != null ? [{ label: 'Ungroup', action: () => this.ungroupSelected() }] : []),
+            { label: 'Create Compound Clip', action: () => this.app.sequences.createCompound() },
+            ...(clip.type === 'compound' ? [{ label: 'Open Compound Clip', action: () => this.app.sequences.open(clip) }] : []),
+            { label: count > 1 ? `Delete ${count} Clips` : 'Delete', danger: true, action: () => this.deleteSelectedClip() }
+        ], { left: e.clientX, top: e.clientY });
     }
 
     addClip(mediaItem) {
+        const track = this.getDefaultTrack('video');
         const clip = {
-            id: Date.now(),
+            id: createId(),
             mediaId: mediaItem.id,
             name: mediaItem.name,
-            track: 'video',
-            startTime: this.getNextAvailablePosition('video'),
+            track: track.id,
+            startTime: this.getNextAvailablePosition(track.id),
             duration: mediaItem.duration,
             thumbnail: mediaItem.thumbnail,
             trimStart: 0,
             trimEnd: 0
         };
 
-        this.app.state.clips.push(clip);
-        this.renderClips();
+        this.app.history.transact('Add clip', ['clips'], () => {
+            this.app.state.clips.push(clip);
+            this.renderClips();
+        });
         this.app.showToast('Clip added to timeline', 'success');
     }
 
+    /**
+     * Add an adjustment layer at the playhead: a clip whose effects apply
+     * to every video track below it. It goes on the top video track, or a
+     * new one above when that is locked or taken there.
+     */
+    addAdjustmentLayer() {
+        const { state } = this.app;
+        const startTime = this.quantize(state.currentTime);
+        const top = state.tracks.find(track => track.kind === 'video');
+        const taken = !top || top.locked || state.clips.some(c =>
+            c.track === top.id &&
+            c.startTime < startTime + ADJUSTMENT_DURATION &&
+            c.startTime + c.duration > startTime);
+
+        const clip = {
+            id: createId(),
+            type: 'adjustment',
+            name: 'Adjustment Layer',
+            track: null,
+            startTime,
+            duration: ADJUSTMENT_DURATION,
+            effects: []
+        };
+
+        this.app.history.transact('Add adjustment layer', ['clips'], () => {
+            clip.track = (taken ? this.insertTrack('video') : top).id;
+            state.clips.push(clip);
+            this.renderClips();
+            this.setSelection([clip.id]);
+        });
+        this.app.showToast('Adjustment layer added. Its effects apply to the tracks below', 'success');
+    }
+
     addTextClip(overlay) {
         const clip = {
             id: overlay.id,
             type: 'text',
             name: overlay.content.substring(0, 20) + '...',
-            track: 'text',
+            track: this.getDefaultTrack('text').id,
             startTime: overlay.startTime,
             duration: overlay.duration
         };
@@ -102,6 +460,12 @@ export class TimelineManager {
         this.renderClips();
     }
 
+    // End of the last clip on any track
+    getDuration() {
+        return this.app.state.clips.reduce((end, clip) =>
+            Math.max(end, clip.startTime + clip.duration), 0);
+    }
+
     getNextAvailablePosition(track) {
         const trackClips = this.app.state.clips.filter(c => c.track === track);
         if (trackClips.length === 0) return 0;
@@ -112,213 +476,969 @@ export class TimelineManager {
         return lastClip.startTime + lastClip.duration;
     }
 
+    // Rebuild the track rows (header + empty content) from state.tracks
+    // Track rows are rebuilt only when the tracks themselves change; clip
+    // elements survive and are moved into the new rows by renderVisibleClips
+    renderTracks() {
+        const signature = JSON.stringify(this.app.state.tracks);
+        if (signature === this.tracksSignature) return;
+        this.tracksSignature = signature;
+
+        this.tracksEl.innerHTML = '';
+        this.trackElements.clear();
+
+        this.app.state.tracks.forEach(track => {
+            const row = document.createElement('div');
+            row.className = 'track';
+            row.dataset.track = track.id;
+            row.classList.toggle('track-locked', track.locked);
+            row.classList.toggle('track-inactive',
+                track.kind === 'audio' ? !this.isTrackAudible(track) : !this.isTrackVisible(track));
+
+            row.innerHTML = `
+                <div class="track-label">
+                    <div class="track-title">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor"
+                            stroke-width="2">${TRACK_ICONS[track.kind]}</svg>
+                        <span class="track-name"></span>
+                        <button class="track-remove" title="Remove track">×</button>
+                    </div>
+                    <div class="track-toggles"></div>
+                </div>
+                <div class="track-content"></div>
+            `;
+            row.querySelector('.track-name').textContent = track.name;
+            row.querySelector('.track-remove').addEventListener('click', () => this.removeTrack(track.id));
+
+            const toggles = row.querySelector('.track-toggles');
+            TRACK_TOGGLES[track.kind].forEach(flag => {
+                const button = document.createElement('button');
+                button.className = `track-toggle track-toggle-${flag}`;
+                button.classList.toggle('active', track[flag]);
+                button.textContent = TOGGLE_LABELS[flag].text;
+                button.title = TOGGLE_LABELS[flag].title;
+                button.addEventListener('click', () => this.toggleTrack(track.id, flag));
+                toggles.appendChild(button);
+            });
+
+            const content = row.querySelector('.track-content');
+            content.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0 || e.target !== content) return;
+                if (e.pointerType === 'touch') this.startPan(e);
+                else this.startMarquee(e);
+            });
+            if (track.kind !== 'text') {
+                this.setupDropTarget(content, track);
+            }
+
+            this.trackElements.set(track.id, content);
+            this.tracksEl.appendChild(row);
+        });
+    }
+
     renderClips() {
-        // Clear tracks
-        this.videoTrack.innerHTML = '';
-        this.audioTrack.innerHTML = '';
-        this.textTrack.innerHTML = '';
+        this.renderTracks();
 
         // Update track width
         const duration = this.app.state.duration || 60;
         const width = duration * this.pixelsPerSecond;
         
-        [this.videoTrack, this.audioTrack, this.textTrack].forEach(track => {
-            track.style.width = `${width}px`;
+        this.trackElements.forEach(content => {
+            content.style.width = `${width}px`;
         });
 
-        // Render each clip
+        this.renderVisibleClips();
+
+        // Keep the preview in step with the edit
+        this.app.playback.refresh();
+    }
+
+    // Timeline seconds worth rendering: the scrolled-to view plus one
+    // view's width either side, so short scrolls don't show empty tracks
+    getVisibleRange() {
+        const view = this.wrapper.clientWidth || window.innerWidth;
+        const left = this.wrapper.scrollLeft - 80;
+        return {
+            start: Math.max(0, (left - view) / this.pixelsPerSecond),
+            end: (left + view * 2) / this.pixelsPerSecond
+        };
+    }
+
+    // Re-render what scrolling brought into view; batched to one per frame
+    onScroll() {
+        if (this.scrollFrame) return;
+        this.scrollFrame = requestAnimationFrame(() => {
+            this.scrollFrame = null;
+            this.renderRulerTicks();
+            this.renderVisibleClips();
+        });
+    }
+
+    /**
+     * Give every clip in the visible range an element and drop the rest.
+     * Existing elements are reused and only touched when the clip changed,
+     * so re-rendering after an edit, scroll or zoom costs in proportion to
+     * what is on screen rather than to the length of the project.
+     */
+    renderVisibleClips() {
+        const { start, end } = this.getVisibleRange();
+        const shown = new Set();
+
         this.app.state.clips.forEach(clip => {
-            this.renderClip(clip);
+            if (!this.trackElements.has(clip.track)) return;
+
+            // Clips being dragged or trimmed keep their element off-screen too
+            const inView = clip.startTime < end && clip.startTime + clip.duration > start;
+            if (!inView && !this.pinned?.has(clip.id)) return;
+
+            shown.add(clip.id);
+            this.syncClip(clip);
+        });
+
+        this.clipElements.forEach((entry, id) => {
+            if (!shown.has(id)) {
+                entry.element.remove();
+                this.clipElements.delete(id);
+            }
         });
     }
 
-    renderClip(clip) {
-        const track = clip.track === 'video' ? this.videoTrack : 
-                      clip.track === 'audio' ? this.audioTrack : this.textTrack;
+    // Everything a clip element shows besides its selection state
+    getClipSignature(clip) {
+        return [
+            clip.track, clip.startTime, clip.duration, clip.trimStart || 0, clip.name,
+            clip.groupId ?? '', this.isOffline(clip), this.pixelsPerSecond, this.getTimingSignature(clip),
+            JSON.stringify(clip.keyframes ?? null), this.app.state.frameRate
+        ].join('|');
+    }
 
-        const clipEl = document.createElement('div');
-        clipEl.className = `clip ${clip.type === 'text' ? 'clip-text' : clip.track === 'audio' ? 'clip-audio' : ''}`;
-        clipEl.dataset.id = clip.id;
-        clipEl.style.left = `${clip.startTime * this.pixelsPerSecond}px`;
-        clipEl.style.width = `${clip.duration * this.pixelsPerSecond}px`;
+    getTimingSignature(clip) {
+        return JSON.stringify([clip.speed, clip.speedRamp, clip.reverse, clip.freeze]);
+    }
 
-        if (this.app.state.selectedClip === clip.id) {
-            clipEl.classList.add('selected');
+    // Create or update the element for `clip`
+    syncClip(clip) {
+        let entry = this.clipElements.get(clip.id);
+        if (!entry) {
+            entry = this.createClipElement(clip);
+            this.clipElements.set(clip.id, entry);
         }
+        // History restores replace clip objects, so listeners read it from here
+        entry.clip = clip;
+
+        const { element } = entry;
+        const track = this.trackElements.get(clip.track);
+        if (element.parentNode !== track) track.appendChild(element);
+        element.classList.toggle('selected', this.isSelected(clip.id));
+
+        const signature = this.getClipSignature(clip);
+        if (signature === entry.signature) return;
+        entry.signature = signature;
+
+        const kind = this.getTrack(clip.track).kind;
+        element.classList.toggle('clip-text', clip.type === 'text');
+        element.classList.toggle('clip-audio', clip.type !== 'text' && kind === 'audio');
+        element.classList.toggle('clip-grouped', clip.groupId != null);
+        element.classList.toggle('clip-compound', clip.type === 'compound');
+        element.classList.toggle('clip-adjustment', clip.type === 'adjustment');
+        element.classList.toggle('clip-offline', this.isOffline(clip));
+        element.title = this.isOffline(clip) ? 'Media offline' : clip.type === 'compound' ? 'Double-click to open' : '';
+        element.querySelector('.clip-name').textContent = clip.name;
+        element.querySelector('.clip-speed').textContent = describeSpeed(clip);
+        this.updateClipElement(clip);
+        this.app.keyframes?.renderDiamonds(element, clip);
 
+        // Filmstrip and waveform fill in as they become available
+        const visuals = [
+            clip.duration, clip.trimStart || 0, this.pixelsPerSecond, kind, this.isOffline(clip),
+            this.getTimingSignature(clip)
+        ].join('|');
+        if (visuals !== entry.visuals) {
+            entry.visuals = visuals;
+            if (this.isVideoClip(clip)) this.app.thumbnails.renderFilmstrip(element, clip);
+            if (clip.type !== 'text') this.app.audio.renderWaveform(element, clip);
+        }
+    }
+
+    createClipElement(clip) {
+        const clipEl = document.createElement('div');
+        clipEl.className = 'clip';
+        clipEl.dataset.id = clip.id;
         clipEl.innerHTML = `
             <div class="clip-handle clip-handle-left"></div>
             <div class="clip-content">
-                ${clip.thumbnail ? `<img class="clip-thumbnail" src="${clip.thumbnail}" alt="">` : ''}
                 <div class="clip-info">
-                    <div class="clip-name">${clip.name}</div>
-                    <div class="clip-duration">${this.formatTime(clip.duration)}</div>
+                    <div class="clip-name"></div>
+                    <div class="clip-duration"></div>
+                    <div class="clip-speed"></div>
                 </div>
             </div>
             <div class="clip-handle clip-handle-right"></div>
         `;
 
-        // Click to select
-        clipEl.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.selectClip(clip.id);
+        const entry = { element: clipEl, clip, signature: null, visuals: null };
+        let pointerType = 'mouse';
+
+        clipEl.addEventListener('click', (e) => e.stopPropagation());
+        clipEl.addEventListener('dblclick', (e) => {
+            if (entry.clip.type !== 'compound' || e.target.classList.contains('clip-handle')) return;
+            this.app.sequences.open(entry.clip);
+        });
+        clipEl.addEventListener('contextmenu', (e) => {
+            // A long press opens the context menu on some phones; on touch
+            // it picks the clip up instead
+            if (pointerType === 'touch') {
+                e.preventDefault();
+                return;
+            }
+            this.showClipMenu(e, entry.clip);
         });
 
-        // Drag to move
-        clipEl.addEventListener('mousedown', (e) => {
-            if (e.target.classList.contains('clip-handle')) return;
-            this.startDrag(e, clip, clipEl);
+        // Select, then drag to move; the Cut tool splits here instead and
+        // the Trim tool's slip/slide modes edit the clip in place
+        const pickUp = (e) => {
+            const { clip } = entry;
+            if (!this.isSelected(clip.id)) {
+                this.selectClip(clip.id);
+            }
+
+            if (e.target.classList.contains('clip-handle') || this.isLocked(clip)) return;
+
+            if (this.currentTool === 'cut') {
+                e.preventDefault();
+                this.cutAt(e, clip, this.trackElements.get(clip.track));
+            } else if (this.currentTool === 'trim' && ['slip', 'slide'].includes(this.trimMode)) {
+                this.startTrim(e, clip, clipEl, null, this.trimMode);
+            } else {
+                this.startDrag(e, clip, clipEl);
+            }
+        };
+
+        clipEl.addEventListener('pointerdown', (e) => {
+            pointerType = e.pointerType;
+            if (e.button !== 0) return;
+            e.stopPropagation();
+
+            // Shift/Ctrl-click adds or removes a clip without dragging
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                this.selectClip(entry.clip.id, { toggle: true });
+                return;
+            }
+
+            // A finger landing on an unselected clip may be starting a pan,
+            // so it only picks the clip up after a long press; a tap selects
+            if (e.pointerType === 'touch' && !this.isSelected(entry.clip.id)) {
+                this.waitForLongPress(e, pickUp, () => this.selectClip(entry.clip.id));
+                return;
+            }
+
+            pickUp(e);
         });
 
         // Trim handles
-        const leftHandle = clipEl.querySelector('.clip-handle-left');
-        const rightHandle = clipEl.querySelector('.clip-handle-right');
+        ['left', 'right'].forEach(side => {
+            clipEl.querySelector(`.clip-handle-${side}`).addEventListener('pointerdown', (e) => {
+                e.stopPropagation();
+                if (this.isLocked(entry.clip)) return;
+                this.startTrim(e, entry.clip, clipEl, side, this.getEdgeMode());
+            });
+        });
 
-        leftHandle.addEventListener('mousedown', (e) => {
-            e.stopPropagation();
-            this.startTrim(e, clip, clipEl, 'left');
+        return entry;
+    }
+
+    // Clip whose source media is not loaded (e.g. not relinked on open)
+    isOffline(clip) {
+        if (clip.mediaId != null) return !this.app.video.getMedia(clip.mediaId);
+        if (clip.audioId != null) return !this.app.audio.audioTracks.some(t => t.id === clip.audioId);
+        if (clip.type === 'compound') return !this.app.sequences.getRecord(clip.sequenceId);
+        return false;
+    }
+
+    // Length of the clip's source media, or null when it has none (text)
+    // or the media is offline; a compound clip's source is its sequence
+    getSourceDuration(clip) {
+        if (clip.type === 'compound') return this.app.sequences.getDuration(clip.sequenceId);
+        if (clip.mediaId != null) return this.app.video.getMedia(clip.mediaId)?.duration ?? null;
+        if (clip.audioId != null) return this.app.audio.audioTracks.find(t => t.id === clip.audioId)?.duration ?? null;
+        return null;
+    }
+
+    // Times clip edges snap to: edges of other clips, markers and the playhead
+    getSnapPoints(excludeIds) {
+        const points = [this.app.state.currentTime, ...this.app.state.markers.map(marker => marker.time)];
+        this.app.state.clips
+            .filter(clip => !excludeIds.includes(clip.id))
+            .forEach(clip => points.push(clip.startTime, clip.startTime + clip.duration));
+        return points;
+    }
+
+    /**
+     * Offset that brings the nearest of `edges` onto a snap point (including
+     * the ruler's one-second ticks) within reach, or 0. Snapping is skipped
+     * when turned off or while Alt is held.
+     */
+    getSnapOffset(edges, excludeIds, e) {
+        this.snapIndicator.classList.add('hidden');
+        if (!this.snapping || e.altKey) return 0;
+
+        const reach = SNAP_DISTANCE / this.pixelsPerSecond;
+        const points = this.getSnapPoints(excludeIds);
+        let best = null;
+
+        edges.forEach(edge => {
+            [...points, Math.round(edge)].forEach(point => {
+                const offset = point - edge;
+                if (Math.abs(offset) <= reach && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, point };
+                }
+            });
         });
 
-        rightHandle.addEventListener('mousedown', (e) => {
-            e.stopPropagation();
-            this.startTrim(e, clip, clipEl, 'right');
+        if (!best) return 0;
+
+        this.snapIndicator.style.left = `${80 + best.point * this.pixelsPerSecond}px`;
+        this.snapIndicator.classList.remove('hidden');
+        return best.offset;
+    }
+
+    setSnapping(enabled) {
+        this.snapping = enabled;
+        document.getElementById('snapBtn')?.classList.toggle('active', enabled);
+    }
+
+    // The magnetic main track is the bottom video track: its clips stay
+    // packed end to end, so gaps close and overlaps are pushed apart
+    setMagnetic(enabled) {
+        this.magnetic = enabled;
+        document.getElementById('magneticBtn')?.classList.toggle('active', enabled);
+
+        if (enabled) {
+            this.app.history.transact('Magnetic main track', ['clips'], () => {
+                this.applyMagnetic(this.getDefaultTrack('video').id);
+                this.renderClips();
+            });
+        }
+    }
+
+    isMagnetic(trackId) {
+        return this.magnetic && trackId === this.getDefaultTrack('video').id;
+    }
+
+    // Re-pack any of the given tracks that are magnetic; call inside the
+    // history edit that changed them
+    applyMagnetic(...trackIds) {
+        new Set(trackIds)
+            .forEach(trackId => {
+                if (!this.isMagnetic(trackId) || this.getTrack(trackId).locked) return;
+
+                // Order by midpoint so a clip dropped over another swaps with it
+                let time = 0;
+                this.app.state.clips
+                    .filter(clip => clip.track === trackId)
+                    .sort((a, b) => (a.startTime + a.duration / 2) - (b.startTime + b.duration / 2))
+                    .forEach(clip => {
+                        clip.startTime = time;
+                        time += clip.duration;
+                    });
+            });
+    }
+
+    isSelected(clipId) {
+        return this.app.state.selectedClips.includes(clipId);
+    }
+
+    getSelectedClips() {
+        return this.app.state.clips.filter(clip => this.isSelected(clip.id));
+    }
+
+    // Ids plus every clip grouped with them
+    withGroups(ids) {
+        const groups = new Set(this.app.state.clips
+            .filter(clip => ids.includes(clip.id) && clip.groupId != null)
+            .map(clip => clip.groupId));
+        return this.app.state.clips
+            .filter(clip => ids.includes(clip.id) || groups.has(clip.groupId))
+            .map(clip => clip.id);
+    }
+
+    /**
+     * Select a clip (and its group). `toggle` adds it to or removes it
+     * from the current selection instead of replacing it.
+     */
+    selectClip(clipId, { toggle = false } = {}) {
+        const ids = this.withGroups([clipId]);
+        let selected = ids;
+        if (toggle) {
+            selected = this.isSelected(clipId)
+                ? this.app.state.selectedClips.filter(id => !ids.includes(id))
+                : [...new Set([...this.app.state.selectedClips, ...ids])];
+        }
+        this.setSelection(selected, selected.includes(clipId) ? clipId : null);
+    }
+
+    // `selectedClip` is the primary clip single-clip edits act on
+    setSelection(ids, primary = ids[ids.length - 1] ?? null) {
+        this.app.state.selectedClips = ids;
+        this.app.state.selectedClip = primary;
+        this.clipElements.forEach(({ element }, id) => {
+            element.classList.toggle('selected', ids.includes(id));
         });
+        this.app.speed?.render();
+        this.app.effects?.syncControls();
+        this.app.keyframes?.render();
+    }
 
-        track.appendChild(clipEl);
+    selectAll() {
+        this.setSelection(this.app.state.clips.map(clip => clip.id));
     }
 
-    selectClip(clipId) {
-        this.app.state.selectedClip = clipId;
-        document.querySelectorAll('.clip').forEach(el => {
-            el.classList.toggle('selected', el.dataset.id == clipId);
+    // Rubber-band selection from a press on an empty part of a track
+    startMarquee(e) {
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+        const initial = additive ? [...this.app.state.selectedClips] : [];
+        const origin = this.tracksEl.getBoundingClientRect();
+        const startX = e.clientX - origin.left;
+        const startY = e.clientY - origin.top;
+        let box = null;
+
+        const onMove = (moveE) => {
+            const x = moveE.clientX - origin.left;
+            const y = moveE.clientY - origin.top;
+            if (!box) {
+                if (Math.hypot(x - startX, y - startY) < 4) return;
+                box = document.createElement('div');
+                box.className = 'selection-box';
+                this.tracksEl.appendChild(box);
+            }
+
+            const left = Math.min(x, startX);
+            const top = Math.min(y, startY);
+            const width = Math.abs(x - startX);
+            const height = Math.abs(y - startY);
+            Object.assign(box.style, {
+                left: `${left}px`, top: `${top}px`, width: `${width}px`, height: `${height}px`
+            });
+
+            // Hit-test against the clip data, since clips outside the view
+            // have no element to measure
+            const rows = new Map();
+            this.trackElements.forEach((content, trackId) => {
+                const rect = content.getBoundingClientRect();
+                rows.set(trackId, rect);
+            });
+            const hits = this.app.state.clips.filter(clip => {
+                const row = rows.get(clip.track);
+                if (!row || row.bottom <= origin.top + top || row.top >= origin.top + top + height) return false;
+                const clipLeft = row.left + clip.startTime * this.pixelsPerSecond;
+                const clipRight = clipLeft + clip.duration * this.pixelsPerSecond;
+                return clipRight > origin.left + left && clipLeft < origin.left + left + width;
+            }).map(clip => clip.id);
+            this.setSelection([...new Set([...initial, ...this.withGroups(hits)])]);
+        };
+
+        const onUp = () => {
+            // A click on empty track space clears the selection
+            if (!box && !additive) this.setSelection([]);
+            box?.remove();
+        };
+
+        this.trackPointer(e, onMove, onUp);
+    }
+
+    /**
+     * Follow the pointer that produced `e` until it is lifted or cancelled.
+     * Pointer events cover mouse, pen and touch alike; each finger is its
+     * own pointer, so moves from other fingers are ignored.
+     * @returns {Function} stops following early, without calling `onEnd`
+     */
+    trackPointer(e, onMove, onEnd) {
+        const move = (moveE) => {
+            if (moveE.pointerId === e.pointerId) onMove(moveE);
+        };
+        const end = (endE) => {
+            if (endE.pointerId !== e.pointerId) return;
+            stop();
+            onEnd?.(endE);
+        };
+        const stop = () => {
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', end);
+            document.removeEventListener('pointercancel', end);
+        };
+
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', end);
+        document.addEventListener('pointercancel', end);
+        return stop;
+    }
+
+    // Touch: call `onPress` if the finger stays put for a long press, or
+    // `onTap` if it lifts first; moving away turns the touch into a pan
+    waitForLongPress(e, onPress, onTap) {
+        let last = e;
+        const stop = this.trackPointer(e, (moveE) => {
+            last = moveE;
+            if (Math.hypot(moveE.clientX - e.clientX, moveE.clientY - e.clientY) > TAP_DISTANCE) {
+                cancel();
+                this.startPan(e);
+            }
+        }, (endE) => {
+            cancel();
+            if (endE.type === 'pointerup') onTap();
+        });
+        const timer = setTimeout(() => {
+            cancel();
+            navigator.vibrate?.(10);
+            onPress(last);
+        }, LONG_PRESS_MS);
+        const cancel = () => {
+            clearTimeout(timer);
+            stop();
+            this.touchAction = null;
+        };
+        this.touchAction = cancel;
+    }
+
+    // Touch: drag the timeline around with one finger; a tap on empty
+    // track space clears the selection, as a click does
+    startPan(e) {
+        const { scrollLeft, scrollTop } = this.wrapper;
+        let moved = false;
+
+        this.touchAction = this.trackPointer(e, (moveE) => {
+            const dx = moveE.clientX - e.clientX;
+            const dy = moveE.clientY - e.clientY;
+            moved ||= Math.hypot(dx, dy) > TAP_DISTANCE;
+            this.wrapper.scrollLeft = scrollLeft - dx;
+            this.wrapper.scrollTop = scrollTop - dy;
+        }, (endE) => {
+            this.touchAction = null;
+            if (!moved && endE.type === 'pointerup') this.setSelection([]);
+        });
+    }
+
+    /**
+     * Two fingers on the timeline pinch to zoom and pan it sideways. The
+     * time under the midpoint of the fingers stays under it, so zooming
+     * and panning can happen in the same gesture.
+     */
+    setupTouchGestures() {
+        const touches = new Map(); // pointer id -> {x, y}
+        let pinch = null;
+        let frame = null;
+
+        const measure = () => {
+            const [a, b] = [...touches.values()];
+            return { distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)), mid: (a.x + b.x) / 2 };
+        };
+
+        const update = () => {
+            frame = null;
+            if (!pinch) return;
+
+            const { distance, mid } = measure();
+            const pixelsPerSecond = pinch.pixelsPerSecond * distance / pinch.distance;
+            const zoom = Math.min(10, Math.max(1, (pixelsPerSecond - 20) / 15));
+            if (zoom !== this.zoom) {
+                this.updateZoom(zoom);
+                document.getElementById('zoomSlider').value = Math.round(zoom);
+            }
+
+            const left = this.wrapper.getBoundingClientRect().left;
+            this.wrapper.scrollLeft = 80 + pinch.anchor * this.pixelsPerSecond - (mid - left);
+        };
+
+        // Capture, so touches on clips (which stop propagation) count too
+        this.wrapper.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            // A second finger takes over from a pan or pending long press,
+            // but not from an edit already under way
+            if (touches.size !== 2 || this.isDragging || this.isTrimming || this.isScrubbing) return;
+            this.touchAction?.();
+            this.touchAction = null;
+
+            const { distance, mid } = measure();
+            const left = this.wrapper.getBoundingClientRect().left;
+            pinch = {
+                distance,
+                pixelsPerSecond: this.pixelsPerSecond,
+                anchor: (this.wrapper.scrollLeft + mid - left - 80) / this.pixelsPerSecond
+            };
+        }, true);
+
+        document.addEventListener('pointermove', (e) => {
+            if (!touches.has(e.pointerId)) return;
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pinch && !frame) frame = requestAnimationFrame(update);
         });
+
+        const lift = (e) => {
+            touches.delete(e.pointerId);
+            if (touches.size < 2) pinch = null;
+        };
+        document.addEventListener('pointerup', lift);
+        document.addEventListener('pointercancel', lift);
+    }
+
+    groupSelected() {
+        const clips = this.getSelectedClips();
+        if (clips.length < 2) {
+            this.app.showToast('Select at least two clips to group', 'warning');
+            return;
+        }
+
+        const groupId = createId();
+        this.app.history.transact('Group clips', ['clips'], () => {
+            clips.forEach(clip => { clip.groupId = groupId; });
+            this.renderClips();
+        });
+        this.app.showToast(`Grouped ${clips.length} clips`, 'success');
     }
 
+    ungroupSelected() {
+        const clips = this.getSelectedClips().filter(clip => clip.groupId != null);
+        if (!clips.length) return;
+
+        this.app.history.transact('Ungroup clips', ['clips'], () => {
+            clips.forEach(clip => { delete clip.groupId; });
+            this.renderClips();
+        });
+    }
+
+    // Move the selected clips together; a single clip can also change track
     startDrag(e, clip, clipEl) {
+        const moving = this.getSelectedClips().filter(c => !this.isLocked(c));
         this.isDragging = true;
         this.dragClip = clip;
         this.dragElement = clipEl;
         this.dragOffset = e.clientX - clipEl.getBoundingClientRect().left;
+        this.dragMoving = new Map(moving.map(c => [c, { startTime: c.startTime, track: c.track }]));
+        this.pinned = new Set([clip.id]);
+        this.dragEdit = this.app.history.begin(moving.length > 1 ? 'Move clips' : 'Move clip', ['clips']);
 
-        document.addEventListener('mousemove', this.onDrag);
-        document.addEventListener('mouseup', this.endDrag);
+        this.trackPointer(e, this.onDrag, this.endDrag);
     }
 
     onDrag = (e) => {
         if (!this.isDragging || !this.dragClip) return;
 
-        const trackRect = this.videoTrack.getBoundingClientRect();
+        // Move to another unlocked track of the same kind under the pointer
+        if (this.dragMoving.size === 1) {
+            const row = document.elementFromPoint(e.clientX, e.clientY)?.closest('.track');
+            const target = row && this.getTrack(row.dataset.track);
+            const current = this.getTrack(this.dragClip.track);
+            if (target && target !== current && target.kind === current.kind && !target.locked) {
+                this.dragClip.track = target.id;
+                this.trackElements.get(target.id).appendChild(this.dragElement);
+            }
+        }
+
+        const trackRect = this.trackElements.get(this.dragClip.track).getBoundingClientRect();
         const newLeft = e.clientX - trackRect.left - this.dragOffset;
-        const newTime = Math.max(0, newLeft / this.pixelsPerSecond);
+        let delta = newLeft / this.pixelsPerSecond - this.dragMoving.get(this.dragClip).startTime;
+
+        // Snap the outer edges of the whole selection, and keep it after 0
+        const moving = [...this.dragMoving.keys()];
+        const first = Math.min(...moving.map(c => this.dragMoving.get(c).startTime));
+        const last = Math.max(...moving.map(c => this.dragMoving.get(c).startTime + c.duration));
+        delta += this.getSnapOffset([first + delta, last + delta], moving.map(c => c.id), e);
+        delta = Math.max(this.quantize(first + delta) - first, -first);
 
-        this.dragClip.startTime = newTime;
-        this.dragElement.style.left = `${newTime * this.pixelsPerSecond}px`;
+        moving.forEach(c => {
+            c.startTime = this.dragMoving.get(c).startTime + delta;
+            this.updateClipElement(c);
+        });
     }
 
     endDrag = () => {
+        this.snapIndicator.classList.add('hidden');
+        if (this.dragClip) {
+            const tracks = [...this.dragMoving].flatMap(([c, start]) => [start.track, c.track]);
+            this.applyMagnetic(...tracks);
+            this.renderClips();
+        }
+        this.dragEdit?.commit();
+        this.dragEdit = null;
         this.isDragging = false;
         this.dragClip = null;
         this.dragElement = null;
-        document.removeEventListener('mousemove', this.onDrag);
-        document.removeEventListener('mouseup', this.endDrag);
+        this.dragMoving = null;
+        this.pinned = null;
+    }
+
+    // What dragging a clip edge does with the current tool
+    getEdgeMode() {
+        return this.currentTool === 'trim' && ['ripple', 'roll'].includes(this.trimMode)
+            ? this.trimMode : 'trim';
     }
 
-    startTrim(e, clip, clipEl, side) {
+    // Clips on the same track that end where `clip` starts / start where it ends
+    getNeighbors(clip) {
+        const trackClips = this.app.state.clips.filter(c => c.track === clip.track && c !== clip);
+        const end = clip.startTime + clip.duration;
+        return {
+            prev: trackClips.find(c => Math.abs(c.startTime + c.duration - clip.startTime) < ADJACENT_EPSILON) || null,
+            next: trackClips.find(c => Math.abs(c.startTime - end) < ADJACENT_EPSILON) || null
+        };
+    }
+
+    /**
+     * Drag a clip edge (`side`) or, for slip and slide, the clip body.
+     * `trimStart` is the source in-point and `trimEnd` the seconds cut from
+     * the end of the source; no mode can reach past the media.
+     *
+     * - trim: move one edge
+     * - ripple: move one edge and shift everything after it on the track
+     * - roll: move the cut between this clip and its neighbor
+     * - slip: shift the source content inside the clip
+     * - slide: move the clip, trimming its neighbors to keep the gap closed
+     */
+    startTrim(e, clip, clipEl, side, mode = 'trim') {
         const startX = e.clientX;
-        const startWidth = clip.duration * this.pixelsPerSecond;
-        const startLeft = clip.startTime * this.pixelsPerSecond;
+        const { prev, next } = this.getNeighbors(clip);
+        const following = this.app.state.clips.filter(c =>
+            c.track === clip.track && c !== clip && c.startTime >= clip.startTime + clip.duration - ADJACENT_EPSILON);
+
+        // Every move is applied to the state as it was on pointerdown
+        const involved = [clip, prev, next, ...following].filter(Boolean);
+        // Edges move in timeline seconds; `rate` converts them to source
+        // seconds for clips that aren't at 1x, and reversed clips take
+        // their in-point from the right edge. Freeze frames can be any length.
+        const original = new Map(involved.map(c => {
+            const sourceDuration = c.freeze ? null : this.getSourceDuration(c);
+            const trimStart = c.trimStart || 0;
+            const rate = getAverageSpeed(c);
+            const sourceBefore = sourceDuration === null ? Infinity : trimStart;
+            const sourceAfter = sourceDuration === null ? Infinity
+                : Math.max(0, sourceDuration - trimStart - getSourceSpan(c));
+            return [c, {
+                startTime: c.startTime,
+                duration: c.duration,
+                trimStart,
+                rate,
+                reverse: !!c.reverse,
+                sourceBefore,
+                sourceAfter,
+                // Timeline seconds the left / right edge can extend by
+                before: (c.reverse ? sourceAfter : sourceBefore) / rate,
+                after: (c.reverse ? sourceBefore : sourceAfter) / rate,
+                hasSource: sourceDuration !== null,
+                sourceDuration,
+                keyframes: c.keyframes
+            }];
+        }));
+        const o = original.get(clip);
+        const minDuration = (c) => Math.min(original.get(c).duration, MIN_CLIP_WIDTH / this.pixelsPerSecond);
+        const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+
+        const setIn = (c, delta, anchored = false) => {
+            const start = original.get(c);
+            if (!anchored) c.startTime = start.startTime + delta;
+            c.duration = start.duration - delta;
+            // Keys stay on the frames they animate
+            if (start.keyframes) c.keyframes = shiftKeyframes(start.keyframes, -delta);
+            if (!start.hasSource) return;
+            if (start.reverse) c.trimEnd = start.sourceAfter + delta * start.rate;
+            else c.trimStart = start.trimStart + delta * start.rate;
+        };
+        const setOut = (c, delta) => {
+            const start = original.get(c);
+            c.duration = start.duration + delta;
+            if (!start.hasSource) return;
+            if (start.reverse) c.trimStart = start.trimStart - delta * start.rate;
+            else c.trimEnd = start.sourceAfter - delta * start.rate;
+        };
+        const shiftFollowing = (delta) => following.forEach(c => {
+            c.startTime = original.get(c).startTime + delta;
+        });
+
+        if (mode === 'roll' && !(side === 'left' ? prev : next)) mode = 'trim';
+        if (mode === 'slip' && !o.hasSource) return;
+
+        const edit = this.app.history.begin(TRIM_MODE_LABELS[mode], ['clips']);
+        this.selectClip(clip.id);
+        this.pinned = new Set([clip.id]);
+        this.isTrimming = true;
 
         const onTrim = (moveE) => {
-            const delta = moveE.clientX - startX;
-            
-            if (side === 'left') {
-                const newLeft = Math.max(0, startLeft + delta);
-                const newWidth = startWidth - delta;
-                if (newWidth > 30) {
-                    clip.startTime = newLeft / this.pixelsPerSecond;
-                    clip.duration = newWidth / this.pixelsPerSecond;
-                    clipEl.style.left = `${newLeft}px`;
-                    clipEl.style.width = `${newWidth}px`;
+            let delta = (moveE.clientX - startX) / this.pixelsPerSecond;
+            const edges = side === 'left' ? [o.startTime + delta]
+                : side === 'right' ? [o.startTime + o.duration + delta]
+                : mode === 'slide' ? [o.startTime + delta, o.startTime + o.duration + delta]
+                : [];
+            if (edges.length) {
+                delta += this.getSnapOffset(edges, involved.map(c => c.id), moveE);
+                // Land the dragged edge on a frame boundary
+                const edge = side === 'right' ? o.startTime + o.duration : o.startTime;
+                delta = this.quantize(edge + delta) - edge;
+            } else {
+                delta = this.quantize(delta);
+            }
+
+            if (mode === 'slip') {
+                // Dragging right reveals earlier source, like pulling film through a gate
+                const shift = clamp(-delta * o.rate, -o.sourceBefore, o.sourceAfter);
+                clip.trimStart = o.trimStart + shift;
+                clip.trimEnd = o.sourceAfter - shift;
+            } else if (mode === 'slide') {
+                const p = prev && original.get(prev);
+                const n = next && original.get(next);
+                const low = Math.max(
+                    p ? -(p.duration - minDuration(prev)) : -o.startTime,
+                    n ? -n.before : -Infinity);
+                const high = Math.min(
+                    p ? p.after : Infinity,
+                    n ? n.duration - minDuration(next) : Infinity);
+                delta = clamp(delta, low, high);
+                clip.startTime = o.startTime + delta;
+                if (prev) setOut(prev, delta);
+                if (next) setIn(next, delta);
+            } else if (mode === 'roll') {
+                if (side === 'left') {
+                    delta = clamp(delta,
+                        Math.max(-o.before, -(original.get(prev).duration - minDuration(prev))),
+                        Math.min(o.duration - minDuration(clip), original.get(prev).after));
+                    setIn(clip, delta);
+                    setOut(prev, delta);
+                } else {
+                    delta = clamp(delta,
+                        Math.max(minDuration(clip) - o.duration, -original.get(next).before),
+                        Math.min(o.after, original.get(next).duration - minDuration(next)));
+                    setOut(clip, delta);
+                    setIn(next, delta);
                 }
+            } else if (side === 'left') {
+                // A ripple keeps the clip's start and pulls later clips along;
+                // a plain trim can't extend before the timeline start
+                const ripple = mode === 'ripple';
+                delta = clamp(delta,
+                    ripple ? -o.before : Math.max(-o.before, -o.startTime),
+                    o.duration - minDuration(clip));
+                setIn(clip, delta, ripple);
+                if (ripple) shiftFollowing(-delta);
             } else {
-                const newWidth = Math.max(30, startWidth + delta);
-                clip.duration = newWidth / this.pixelsPerSecond;
-                clipEl.style.width = `${newWidth}px`;
+                delta = clamp(delta, minDuration(clip) - o.duration, o.after);
+                setOut(clip, delta);
+                if (mode === 'ripple') shiftFollowing(delta);
             }
+
+            involved.forEach(c => this.updateClipElement(c));
+            this.showTrimTooltip(clip, clipEl, side, o.sourceDuration);
         };
 
         const endTrim = () => {
-            document.removeEventListener('mousemove', onTrim);
-            document.removeEventListener('mouseup', endTrim);
+            this.trimTooltip.classList.remove('visible');
+            this.snapIndicator.classList.add('hidden');
+            this.pinned = null;
+            this.isTrimming = false;
+            this.applyMagnetic(clip.track);
+            this.renderClips();
+            edit.commit();
         };
 
-        document.addEventListener('mousemove', onTrim);
-        document.addEventListener('mouseup', endTrim);
+        this.trackPointer(e, onTrim, endTrim);
     }
 
-    setupDragDrop() {
-        [this.videoTrack, this.audioTrack].forEach(track => {
-            track.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                track.classList.add('drag-over');
-            });
+    // Move and resize a clip's element to match the clip during a drag
+    updateClipElement(clip) {
+        const clipEl = this.clipElements.get(clip.id)?.element;
+        if (!clipEl) return;
 
-            track.addEventListener('dragleave', () => {
-                track.classList.remove('drag-over');
-            });
+        clipEl.style.left = `${clip.startTime * this.pixelsPerSecond}px`;
+        clipEl.style.width = `${clip.duration * this.pixelsPerSecond}px`;
+        clipEl.querySelector('.clip-duration').textContent = this.formatTime(clip.duration);
+    }
 
-            track.addEventListener('drop', (e) => {
-                e.preventDefault();
-                track.classList.remove('drag-over');
-                
-                try {
-                    const data = JSON.parse(e.dataTransfer.getData('application/json'));
-                    const rect = track.getBoundingClientRect();
-                    const dropX = e.clientX - rect.left;
-                    const dropTime = dropX / this.pixelsPerSecond;
-
-                    const clip = {
-                        id: Date.now(),
-                        mediaId: data.id,
-                        name: data.name,
-                        track: track.id.replace('Track', ''),
-                        startTime: Math.max(0, dropTime),
-                        duration: data.duration,
-                        thumbnail: data.thumbnail
-                    };
+    // Source timecode of the edge being trimmed, under that edge; slip and
+    // slide (no `side`) show both ends of the clip
+    showTrimTooltip(clip, clipEl, side, sourceDuration) {
+        const rect = clipEl.getBoundingClientRect();
+        const trimStart = clip.trimStart || 0;
+        const trimOut = trimStart + getSourceSpan(clip);
 
-                    this.app.state.clips.push(clip);
-                    this.renderClips();
-                } catch (err) {
-                    console.error('Drop error:', err);
-                }
-            });
-        });
+        if (!side) {
+            this.trimTooltip.textContent = sourceDuration === null
+                ? `${this.formatTime(clip.startTime)} – ${this.formatTime(clip.startTime + clip.duration)}`
+                : `In ${this.formatTime(trimStart)} · Out ${this.formatTime(trimOut)}`;
+        } else if (sourceDuration === null) {
+            this.trimTooltip.textContent = side === 'left'
+                ? `Start ${this.formatTime(clip.startTime)}`
+                : `End ${this.formatTime(clip.startTime + clip.duration)}`;
+        } else {
+            this.trimTooltip.textContent = side === 'left'
+                ? `In ${this.formatTime(trimStart)}`
+                : `Out ${this.formatTime(trimOut)} / ${this.formatTime(sourceDuration)}`;
+        }
+
+        const x = side === 'left' ? rect.left : side === 'right' ? rect.right : rect.left + rect.width / 2;
+        this.trimTooltip.style.left = `${x + window.scrollX - this.trimTooltip.offsetWidth / 2}px`;
+        this.trimTooltip.style.top = `${rect.bottom + window.scrollY + 8}px`;
+        this.trimTooltip.classList.add('visible');
     }
 
-    setupPlayheadDrag() {
-        let isDragging = false;
+    // Media from the library can be dropped onto video and audio tracks
+    setupDropTarget(content, track) {
+        content.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            if (!track.locked) content.classList.add('drag-over');
+        });
 
-        this.ruler.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            this.movePlayhead(e);
+        content.addEventListener('dragleave', () => {
+            content.classList.remove('drag-over');
         });
 
-        document.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                this.movePlayhead(e);
+        content.addEventListener('drop', (e) => {
+            e.preventDefault();
+            content.classList.remove('drag-over');
+            if (track.locked) return;
+
+            try {
+                const data = JSON.parse(e.dataTransfer.getData('application/json'));
+                const rect = content.getBoundingClientRect();
+                const dropX = e.clientX - rect.left;
+                const dropTime = dropX / this.pixelsPerSecond;
+
+                const clip = {
+                    id: createId(),
+                    mediaId: data.id,
+                    name: data.name,
+                    track: track.id,
+                    startTime: Math.max(0, dropTime),
+                    duration: data.duration,
+                    thumbnail: data.thumbnail,
+                    trimStart: 0,
+                    trimEnd: 0
+                };
+
+                this.app.history.transact('Add clip', ['clips'], () => {
+                    this.app.state.clips.push(clip);
+                    this.applyMagnetic(track.id);
+                    this.renderClips();
+                });
+            } catch (err) {
+                console.error('Drop error:', err);
             }
         });
+    }
 
-        document.addEventListener('mouseup', () => {
-            isDragging = false;
+    setupPlayheadDrag() {
+        this.ruler.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            this.isScrubbing = true;
+            this.movePlayhead(e);
+            this.trackPointer(e, (moveE) => this.movePlayhead(moveE), () => {
+                this.isScrubbing = false;
+            });
         });
     }
 
     movePlayhead(e) {
         const rect = this.ruler.getBoundingClientRect();
         const x = e.clientX - rect.left - 80;
-        const time = Math.max(0, x / this.pixelsPerSecond);
+        const time = Math.max(0, this.quantize(x / this.pixelsPerSecond));
         
         if (time <= this.app.state.duration) {
             this.app.video.seekTo(time);
@@ -332,8 +1452,21 @@ export class TimelineManager {
 
     setTool(tool) {
         this.currentTool = tool;
+        this.wrapper.dataset.tool = tool;
+        document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+        document.getElementById('trimModes')?.classList.toggle('hidden', tool !== 'trim');
+    }
+
+    setTrimMode(mode) {
+        this.trimMode = mode;
+        document.querySelectorAll('.trim-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
     }
 
+    // Split the selected clip at the playhead
     splitClip() {
         const selectedId = this.app.state.selectedClip;
         if (!selectedId) {
@@ -341,47 +1474,109 @@ export class TimelineManager {
             return;
         }
 
-        const clipIndex = this.app.state.clips.findIndex(c => c.id === selectedId);
-        if (clipIndex === -1) return;
+        const clip = this.app.state.clips.find(c => c.id === selectedId);
+        if (!clip) return;
 
-        const clip = this.app.state.clips[clipIndex];
-        const splitTime = this.app.state.currentTime;
+        if (this.isLocked(clip)) {
+            this.app.showToast('Clip is on a locked track', 'warning');
+            return;
+        }
 
         // Check if split point is within the clip
+        const splitTime = this.app.state.currentTime;
         if (splitTime <= clip.startTime || splitTime >= clip.startTime + clip.duration) {
             this.app.showToast('Move playhead inside clip to split', 'warning');
             return;
         }
 
-        const splitPoint = splitTime - clip.startTime;
-        
+        this.splitClipAt(clip, splitTime);
+        this.app.showToast('Clip split', 'success');
+    }
+
+    // Cut tool: split the clip under the pointer where it was clicked
+    cutAt(e, clip, trackEl) {
+        const rect = trackEl.getBoundingClientRect();
+        let time = (e.clientX - rect.left) / this.pixelsPerSecond;
+        time += this.getSnapOffset([time], [], e);
+        this.snapIndicator.classList.add('hidden');
+
+        if (time > clip.startTime && time < clip.startTime + clip.duration) {
+            this.splitClipAt(clip, time);
+        }
+    }
+
+    splitClipAt(clip, time) {
+        // Cut on a frame boundary, but never at the very edge of the clip
+        const splitTime = this.quantize(time);
+        if (splitTime <= clip.startTime || splitTime >= clip.startTime + clip.duration) return;
+
+        this.app.history.transact('Split clip', ['clips', 'text'], () => {
+            this.cutClip(clip, splitTime);
+            this.renderClips();
+        });
+    }
+
+    // Cut `clip` in two at `time` without recording history, for edits
+    // that split as one of their steps; returns the second half
+    cutClip(clip, time) {
+        const splitPoint = time - clip.startTime;
+        const { first, second } = splitTiming(clip, splitPoint);
+
         // Create second clip
         const newClip = {
             ...clip,
-            id: Date.now(),
-            startTime: splitTime,
+            ...second,
+            id: createId(),
+            startTime: time,
             duration: clip.duration - splitPoint
         };
 
-        // Modify original clip
+        // Each half gets its own effect stack, transform and keys to edit
+        if (clip.effects) {
+            newClip.effects = clip.effects.map(effect => ({ ...effect, id: createId(), params: { ...effect.params } }));
+        }
+        if (clip.transform) newClip.transform = { ...clip.transform };
+        if (clip.keyframes) {
+            const keyframes = splitKeyframes(clip.keyframes, splitPoint);
+            clip.keyframes = keyframes.first;
+            newClip.keyframes = keyframes.second;
+        }
+
+        // Modify original clip; its out-point moves to the split
+        Object.assign(clip, first);
         clip.duration = splitPoint;
 
+        // Text clips find their overlay by id, so the new half needs its own
+        if (clip.type === 'text') {
+            const overlay = this.app.state.textOverlays.find(o => o.id === clip.id);
+            if (overlay) this.app.state.textOverlays.push({ ...overlay, id: newClip.id });
+        }
+
         this.app.state.clips.push(newClip);
-        this.renderClips();
-        this.app.showToast('Clip split', 'success');
+        return newClip;
     }
 
     deleteSelectedClip() {
-        const selectedId = this.app.state.selectedClip;
-        if (!selectedId) {
+        const selected = this.getSelectedClips();
+        if (!selected.length) {
             this.app.showToast('Select a clip to delete', 'warning');
             return;
         }
 
-        this.app.state.clips = this.app.state.clips.filter(c => c.id !== selectedId);
-        this.app.state.selectedClip = null;
-        this.renderClips();
-        this.app.showToast('Clip deleted', 'success');
+        const clips = selected.filter(clip => !this.isLocked(clip));
+        if (!clips.length) {
+            this.app.showToast('Clip is on a locked track', 'warning');
+            return;
+        }
+
+        const label = clips.length > 1 ? `Delete ${clips.length} clips` : 'Delete clip';
+        this.app.history.transact(label, ['clips'], () => {
+            this.app.state.clips = this.app.state.clips.filter(c => !clips.includes(c));
+            this.setSelection(selected.filter(c => !clips.includes(c)).map(c => c.id));
+            this.applyMagnetic(...clips.map(c => c.track));
+            this.renderClips();
+        });
+        this.app.showToast(clips.length > 1 ? `${clips.length} clips deleted` : 'Clip deleted', 'success');
     }
 
     zoomIn() {
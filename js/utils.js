@@ -0,0 +1,36 @@
+/**
+ * Vici Video Editor - Utilities
+ * Small helpers shared between managers
+ */
+
+let lastId = 0;
+
+// Unique, increasing numeric id; Date.now() alone repeats when several
+// items are created in the same millisecond
+export function createId() {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId;
+}
+
+const HASH_SAMPLE_BYTES = 1024 * 1024;
+
+// SHA-256 over the file size plus its first and last megabyte: fast even
+// for multi-gigabyte videos and still tells different files apart
+export async function hashFile(file) {
+    const head = file.slice(0, HASH_SAMPLE_BYTES);
+    const tail = file.slice(Math.max(HASH_SAMPLE_BYTES, file.size - HASH_SAMPLE_BYTES));
+    const data = await new Blob([String(file.size), head, tail]).arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
@@ -3,57 +3,52 @@
  * Handles video loading, playback, and processing
  */
 
+import { createId } from './utils.js';
+
 export class VideoManager {
     constructor(app) {
         this.app = app;
         this.video = document.getElementById('previewVideo');
         this.canvas = document.getElementById('previewCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.placeholder = document.getElementById('previewPlaceholder');
         this.mediaItems = [];
-        this.animationFrame = null;
-        this.textOverlays = [];
-
-        this.setupVideoEvents();
     }
 
-    setupVideoEvents() {
-        this.video.addEventListener('loadedmetadata', () => {
-            this.canvas.width = this.video.videoWidth;
-            this.canvas.height = this.video.videoHeight;
-            this.app.updateTime(0, this.video.duration);
-            this.placeholder.classList.add('hidden');
-            this.video.classList.remove('hidden');
-        });
-
-        this.video.addEventListener('timeupdate', () => {
-            this.app.updateTime(this.video.currentTime, this.video.duration);
-        });
-
-        this.video.addEventListener('play', () => {
-            this.app.setPlaying(true);
-            this.startRenderLoop();
-        });
+    async addMedia(file) {
+        let mediaItem;
+        try {
+            mediaItem = await this.createMediaItem(file);
+        } catch (err) {
+            this.app.showToast(`Could not add ${file.name}: ${err.message}`, 'error');
+            return;
+        }
 
-        this.video.addEventListener('pause', () => {
-            this.app.setPlaying(false);
-            this.stopRenderLoop();
-        });
+        this.mediaItems.push(mediaItem);
+        this.renderMediaLibrary();
+        this.app.autosave.markDirty();
+        this.app.showToast(`Added: ${file.name}`, 'success');
 
-        this.video.addEventListener('ended', () => {
-            this.app.setPlaying(false);
-            this.stopRenderLoop();
-        });
+        // Auto-load first video
+        if (this.mediaItems.length === 1) {
+            this.loadVideo(mediaItem);
+        }
     }
 
-    async addMedia(file) {
+    // Build a media item (metadata + thumbnail) without adding it anywhere;
+    // `id` lets a reopened project keep its original media ids. Rejects
+    // when the file can't be decoded
+    async createMediaItem(file, id = createId()) {
         const url = URL.createObjectURL(file);
         const mediaItem = {
-            id: Date.now(),
+            id,
             name: file.name,
             type: file.type,
+            size: file.size,
+            file,
             url: url,
             duration: 0,
+            width: 0,
+            height: 0,
             thumbnail: null
         };
 
@@ -62,9 +57,15 @@ export class VideoManager {
         tempVideo.src = url;
         tempVideo.muted = true;
 
-        await new Promise((resolve) => {
+        await new Promise((resolve, reject) => {
+            tempVideo.addEventListener('error', () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('unsupported or damaged file'));
+            }, { once: true });
             tempVideo.addEventListener('loadedmetadata', () => {
                 mediaItem.duration = tempVideo.duration;
+                mediaItem.width = tempVideo.videoWidth;
+                mediaItem.height = tempVideo.videoHeight;
                 
                 // Generate thumbnail
                 tempVideo.currentTime = 1;
@@ -80,14 +81,11 @@ export class VideoManager {
             });
         });
 
-        this.mediaItems.push(mediaItem);
-        this.renderMediaLibrary();
-        this.app.showToast(`Added: ${file.name}`, 'success');
+        return mediaItem;
+    }
 
-        // Auto-load first video
-        if (this.mediaItems.length === 1) {
-            this.loadVideo(mediaItem);
-        }
+    getMedia(mediaId) {
+        return this.mediaItems.find(item => item.id === mediaId);
     }
 
     renderMediaLibrary() {
@@ -114,48 +112,47 @@ export class VideoManager {
         });
     }
 
+    // Show `item` in the preview: add it to the timeline if needed and
+    // move the playhead to its first clip
     loadVideo(item) {
-        this.video.src = item.url;
-        this.video.load();
         this.currentMedia = item;
-        
-        // Add to timeline if not already there
+
         if (!this.app.state.clips.find(c => c.mediaId === item.id)) {
             this.app.timeline.addClip(item);
         }
+
+        const clip = this.app.state.clips.find(c => c.mediaId === item.id);
+        this.app.playback.seek(clip.startTime);
     }
 
+    clearPreview() {
+        this.currentMedia = null;
+        this.app.playback.clear();
+    }
+
+    // Transport controls act on the whole timeline
     play() {
-        if (this.video.src) {
-            this.video.play();
-        }
+        this.app.playback.play();
     }
 
     pause() {
-        this.video.pause();
+        this.app.playback.pause();
     }
 
     skip(seconds) {
-        if (this.video.src) {
-            this.video.currentTime = Math.max(0, Math.min(
-                this.video.duration,
-                this.video.currentTime + seconds
-            ));
-        }
+        this.app.playback.skip(seconds);
     }
 
     seekTo(time) {
-        if (this.video.src) {
-            this.video.currentTime = time;
-        }
+        this.app.playback.seek(time);
     }
 
     setVolume(volume) {
-        this.video.volume = volume;
+        this.app.playback.setVolume(volume);
     }
 
     setPlaybackRate(rate) {
-        this.video.playbackRate = rate;
+        this.app.playback.setPlaybackRate(rate);
     }
 
     toggleFullscreen() {
@@ -167,73 +164,16 @@ export class VideoManager {
         }
     }
 
-    updateTransform() {
-        const { scale, rotation } = this.app.state.transform;
-        this.video.style.transform = `scale(${scale/100}) rotate(${rotation}deg)`;
-    }
-
-    // Render loop for canvas effects
-    startRenderLoop() {
-        const render = () => {
-            if (!this.video.paused && !this.video.ended) {
-                this.renderFrame();
-                this.animationFrame = requestAnimationFrame(render);
-            }
-        };
-        render();
-    }
-
-    stopRenderLoop() {
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-            this.animationFrame = null;
-        }
-    }
-
-    renderFrame() {
-        // Draw video frame to canvas
-        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-
-        // Apply effects via CSS (more performant)
-        const effects = this.app.state.effects;
-        let filter = '';
-        
-        if (effects.brightness !== 0) {
-            filter += `brightness(${1 + effects.brightness/100}) `;
-        }
-        if (effects.contrast !== 0) {
-            filter += `contrast(${1 + effects.contrast/100}) `;
-        }
-        if (effects.saturation !== 0) {
-            filter += `saturate(${1 + effects.saturation/100}) `;
-        }
-        if (effects.blur) {
-            filter += 'blur(2px) ';
-        }
-
-        this.canvas.style.filter = filter.trim() || 'none';
-
-        // Render text overlays
-        this.renderTextOverlays();
-    }
-
-    renderTextOverlay(overlay) {
-        this.textOverlays.push(overlay);
+    renderTextOverlay() {
+        this.app.playback.refresh();
     }
 
-    renderTextOverlays() {
-        const currentTime = this.video.currentTime;
-        
-        this.textOverlays.forEach(overlay => {
-            if (currentTime >= overlay.startTime && 
-                currentTime <= overlay.startTime + overlay.duration) {
-                this.drawText(overlay);
-            }
-        });
-    }
+    drawText(overlay, ctx = this.ctx) {
+        const { width, height } = ctx.canvas;
+        // Sizes below are authored for a 1080p frame
+        const scale = height / 1080;
 
-    drawText(overlay) {
-        this.ctx.save();
+        ctx.save();
         
         // Font settings based on style
         const styles = {
@@ -246,62 +186,27 @@ export class VideoManager {
         const style = styles[overlay.style] || styles.title;
         const fontStyle = style.italic ? 'italic ' : '';
         
-        this.ctx.font = `${fontStyle}${style.weight} ${style.size}px Inter, sans-serif`;
-        this.ctx.fillStyle = overlay.color;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+        ctx.font = `${fontStyle}${style.weight} ${style.size * scale}px Inter, sans-serif`;
+        ctx.fillStyle = overlay.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
         
         // Add text shadow
-        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-        this.ctx.shadowBlur = 4;
-        this.ctx.shadowOffsetX = 2;
-        this.ctx.shadowOffsetY = 2;
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowBlur = 4 * scale;
+        ctx.shadowOffsetX = 2 * scale;
+        ctx.shadowOffsetY = 2 * scale;
 
-        const x = (overlay.x / 100) * this.canvas.width;
-        const y = (overlay.y / 100) * this.canvas.height;
+        const x = (overlay.x / 100) * width;
+        const y = (overlay.y / 100) * height;
         
-        this.ctx.fillText(overlay.content, x, y);
-        this.ctx.restore();
+        ctx.fillText(overlay.content, x, y);
+        ctx.restore();
     }
 
     // Export functionality
     async export() {
-        const quality = document.querySelector('.export-option.active')?.dataset.quality || '1080';
-        const progressEl = document.getElementById('exportProgress');
-        const progressFill = document.getElementById('progressFill');
-        const progressText = document.getElementById('progressText');
-
-        progressEl.classList.remove('hidden');
-        document.getElementById('confirmExportBtn').disabled = true;
-
-        // Simulate export process
-        for (let i = 0; i <= 100; i += 2) {
-            await new Promise(r => setTimeout(r, 50));
-            progressFill.style.width = `${i}%`;
-            
-            if (i < 30) progressText.textContent = 'Processing video...';
-            else if (i < 60) progressText.textContent = 'Applying effects...';
-            else if (i < 90) progressText.textContent = 'Encoding...';
-            else progressText.textContent = 'Finalizing...';
-        }
-
-        progressText.textContent = 'Export complete!';
-        
-        // Create download
-        if (this.video.src) {
-            const a = document.createElement('a');
-            a.href = this.video.src;
-            a.download = `vici-export-${quality}p.mp4`;
-            a.click();
-        }
-
-        setTimeout(() => {
-            this.app.hideModal('exportModal');
-            progressEl.classList.add('hidden');
-            progressFill.style.width = '0%';
-            document.getElementById('confirmExportBtn').disabled = false;
-            this.app.showToast('Video exported successfully!', 'success');
-        }, 1000);
+        return this.app.exporter.export();
     }
 
     formatDuration(seconds) {
@@ -0,0 +1,267 @@
+/**
+ * Vici Video Editor - WebM Muxer
+ * Packs encoded WebCodecs chunks into a playable WebM (Matroska) file
+ */
+
+const textEncoder = new TextEncoder();
+
+// Matroska element IDs (marker bits included)
+const IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+// Opus pre-skip written into the fallback OpusHead (samples at 48kHz)
+const OPUS_PRE_SKIP = 312;
+
+// A SimpleBlock timecode is a signed 16-bit offset from its cluster
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+function concat(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+function encodeId(id) {
+    const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = id & 0xFF;
+        id = Math.floor(id / 256);
+    }
+    return bytes;
+}
+
+// Smallest EBML variable-length integer that can hold `size`
+function encodeSize(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+}
+
+function encodeUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function encodeFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function element(id, payload) {
+    const data = Array.isArray(payload) ? concat(payload) : payload;
+    return concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+const uintElement = (id, value) => element(id, encodeUint(value));
+const floatElement = (id, value) => element(id, encodeFloat(value));
+const stringElement = (id, value) => element(id, textEncoder.encode(value));
+
+function opusHead(channels, sampleRate) {
+    const bytes = new Uint8Array(19);
+    const view = new DataView(bytes.buffer);
+    bytes.set(textEncoder.encode('OpusHead'), 0);
+    view.setUint8(8, 1);
+    view.setUint8(9, channels);
+    view.setUint16(10, OPUS_PRE_SKIP, true);
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true);
+    view.setUint8(18, 0);
+    return bytes;
+}
+
+export class WebMMuxer {
+    /**
+     * @param {Object} options
+     * @param {{codecId: string, width: number, height: number, fps: number}} options.video
+     * @param {{sampleRate: number, channels: number}} [options.audio]
+     */
+    constructor({ video, audio = null }) {
+        this.video = video;
+        this.audio = audio;
+        this.audioCodecPrivate = null;
+        this.blocks = [];
+    }
+
+    addVideoChunk(chunk) {
+        this.addChunk(VIDEO_TRACK, chunk);
+    }
+
+    addAudioChunk(chunk, metadata) {
+        const description = metadata?.decoderConfig?.description;
+        if (description && !this.audioCodecPrivate) {
+            this.audioCodecPrivate = new Uint8Array(
+                ArrayBuffer.isView(description) ? description.buffer : description
+            );
+        }
+        this.addChunk(AUDIO_TRACK, chunk);
+    }
+
+    addChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.blocks.push({
+            track,
+            timecode: Math.round(chunk.timestamp / 1000),
+            keyframe: chunk.type === 'key',
+            data
+        });
+    }
+
+    /**
+     * Assemble the file once every chunk has been added
+     * @param {number} durationMs - total length written into the segment info
+     * @returns {Blob}
+     */
+    finalize(durationMs) {
+        const header = element(IDS.EBML, [
+            uintElement(IDS.EBMLVersion, 1),
+            uintElement(IDS.EBMLReadVersion, 1),
+            uintElement(IDS.EBMLMaxIDLength, 4),
+            uintElement(IDS.EBMLMaxSizeLength, 8),
+            stringElement(IDS.DocType, 'webm'),
+            uintElement(IDS.DocTypeVersion, 4),
+            uintElement(IDS.DocTypeReadVersion, 2)
+        ]);
+
+        const info = element(IDS.Info, [
+            uintElement(IDS.TimecodeScale, 1000000),
+            floatElement(IDS.Duration, durationMs),
+            stringElement(IDS.MuxingApp, 'Vici'),
+            stringElement(IDS.WritingApp, 'Vici Video Editor')
+        ]);
+
+        const segment = element(IDS.Segment, [info, this.buildTracks(), ...this.buildClusters()]);
+        return new Blob([header, segment], { type: 'video/webm' });
+    }
+
+    buildTracks() {
+        const entries = [
+            element(IDS.TrackEntry, [
+                uintElement(IDS.TrackNumber, VIDEO_TRACK),
+                uintElement(IDS.TrackUID, VIDEO_TRACK),
+                uintElement(IDS.TrackType, 1),
+                stringElement(IDS.CodecID, this.video.codecId),
+                uintElement(IDS.DefaultDuration, Math.round(1e9 / this.video.fps)),
+                element(IDS.Video, [
+                    uintElement(IDS.PixelWidth, this.video.width),
+                    uintElement(IDS.PixelHeight, this.video.height)
+                ])
+            ])
+        ];
+
+        if (this.audio) {
+            const { sampleRate, channels } = this.audio;
+            entries.push(element(IDS.TrackEntry, [
+                uintElement(IDS.TrackNumber, AUDIO_TRACK),
+                uintElement(IDS.TrackUID, AUDIO_TRACK),
+                uintElement(IDS.TrackType, 2),
+                stringElement(IDS.CodecID, 'A_OPUS'),
+                element(IDS.CodecPrivate, this.audioCodecPrivate || opusHead(channels, sampleRate)),
+                uintElement(IDS.CodecDelay, Math.round(OPUS_PRE_SKIP / 48000 * 1e9)),
+                uintElement(IDS.SeekPreRoll, 80000000),
+                element(IDS.Audio, [
+                    floatElement(IDS.SamplingFrequency, sampleRate),
+                    uintElement(IDS.Channels, channels)
+                ])
+            ]));
+        }
+
+        return element(IDS.Tracks, entries);
+    }
+
+    buildClusters() {
+        // Interleave both tracks by time; audio first on ties so players
+        // have sound ready when the matching video frame arrives
+        const blocks = [...this.blocks].sort((a, b) =>
+            a.timecode - b.timecode || b.track - a.track
+        );
+
+        const clusters = [];
+        let current = null;
+
+        const flush = () => {
+            if (current) {
+                clusters.push(element(IDS.Cluster, [
+                    uintElement(IDS.Timecode, current.timecode),
+                    ...current.blocks
+                ]));
+            }
+        };
+
+        blocks.forEach(block => {
+            const startNew = !current ||
+                (block.track === VIDEO_TRACK && block.keyframe) ||
+                block.timecode - current.timecode > MAX_CLUSTER_SPAN_MS;
+
+            if (startNew) {
+                flush();
+                current = { timecode: block.timecode, blocks: [] };
+            }
+
+            const header = new Uint8Array(4);
+            const view = new DataView(header.buffer);
+            view.setUint8(0, 0x80 | block.track);
+            view.setInt16(1, block.timecode - current.timecode);
+            view.setUint8(3, block.keyframe ? 0x80 : 0);
+            current.blocks.push(element(IDS.SimpleBlock, [header, block.data]));
+        });
+
+        flush();
+        return clusters;
+    }
+}
@@ -3,7 +3,7 @@
  * Enables offline functionality and PWA installation
  */
 
-const CACHE_NAME = 'vici-v1';
+const CACHE_NAME = 'vici-v14';
 const ASSETS = [
     '/',
     '/index.html',
@@ -16,6 +16,25 @@ const ASSETS = [
     '/js/effects.js',
     '/js/templates.js',
     '/js/audio.js',
+    '/js/autosave.js',
+    '/js/clipboard.js',
+    '/js/compositor.js',
+    '/js/export.js',
+    '/js/grading.js',
+    '/js/history.js',
+    '/js/keyframes.js',
+    '/js/luts.js',
+    '/js/markers.js',
+    '/js/pipeline.js',
+    '/js/playback.js',
+    '/js/project.js',
+    '/js/sequences.js',
+    '/js/shortcuts.js',
+    '/js/speed.js',
+    '/js/thumbnails.js',
+    '/js/timecode.js',
+    '/js/utils.js',
+    '/js/webm.js',
     '/manifest.json'
 ];
 